@@ -1,21 +1,29 @@
 import axios from "axios";
+import { fileFromSync, FormData } from "node-fetch";
 import fs from "node:fs";
 import { formatTime, toGBorTB } from '../utils/other.js'
 import puppeteer from "../../../lib/puppeteer/puppeteer.js";
 import PickSongList from "../model/pick-song.js";
 import NeteaseMusicInfo from '../model/neteaseMusicInfo.js'
 import { NETEASE_API_CN, NETEASE_SONG_DOWNLOAD, NETEASE_TEMP_API } from "../constants/tools.js";
-import { COMMON_USER_AGENT, REDIS_YUNZAI_ISOVERSEA, REDIS_YUNZAI_SONGINFO, REDIS_YUNZAI_CLOUDSONGLIST } from "../constants/constant.js";
-import { downloadAudio, retryAxiosReq } from "../utils/common.js";
-import { redisExistKey, redisGetKey, redisSetKey } from "../utils/redis-util.js";
+import { COMMON_USER_AGENT, RATE_LIMIT_FEATURE, REDIS_YUNZAI_SONGINFO, REDIS_YUNZAI_CLOUDSONGLIST } from "../constants/constant.js";
+import { downloadAudio } from "../utils/common.js";
+import { redisGetKey, redisSetKey } from "../utils/redis-util.js";
 import { checkAndRemoveFile, checkFileExists, splitPaths } from "../utils/file.js";
+import { createHttpClient, isOverseasServer } from "../utils/http-client.js";
+import { createLogger } from "../utils/plugin-logger.js";
+import { checkRateLimit } from "../utils/rate-limiter.js";
 import { sendMusicCard, getGroupFileUrl, getReplyMsg } from "../utils/yunzai-util.js";
 import config from "../model/config.js";
-import FormData from 'form-data';
 import NodeID3 from 'node-id3';
 
 let FileSuffix = 'flac'
 
+const songLog = createLogger("点歌");
+const cloudLog = createLogger("云盘");
+const fileCheckLog = createLogger("文件检测");
+const ncmCookieLog = createLogger("ncm-Cookie检测");
+
 export class songRequest extends plugin {
     constructor() {
         super({
@@ -93,9 +101,11 @@ export class songRequest extends plugin {
     async pickSong(e) {
         // 判断功能是否开启
         if (!this.useNeteaseSongRequest) {
-            logger.info('当前未开启网易云点歌')
+            songLog.info('当前未开启网易云点歌')
             return false
         }
+        // 限流
+        if (!(await checkRateLimit(e, RATE_LIMIT_FEATURE.SONG))) return
         // 获取自定义API
         const autoSelectNeteaseApi = await this.pickApi()
         // 只在群里可以使用
@@ -146,7 +156,7 @@ export class songRequest extends plugin {
                             });
                         }
                     } catch (error) {
-                        logger.info('并未获取云服务歌曲')
+                        songLog.info('并未获取云服务歌曲')
                     }
                     const ids = musicDate.data.map(item => item.id).join(',');
                     detailUrl = detailUrl.replace("{}", ids)
@@ -215,9 +225,11 @@ export class songRequest extends plugin {
     // 播放策略
     async playSong(e) {
         if (!this.useNeteaseSongRequest) {
-            logger.info('当前未开启网易云点歌')
+            songLog.info('当前未开启网易云点歌')
             return
         }
+        // 限流
+        if (!(await checkRateLimit(e, RATE_LIMIT_FEATURE.SONG))) return
         // 只在群里可以使用
         let group_id = e.group_id
         if (!group_id) return
@@ -297,11 +309,11 @@ export class songRequest extends plugin {
             try {
                 await e?.reply('更新成功')
             } catch (error) {
-                logger.error('trss又拉屎了？')
+                songLog.error('trss又拉屎了？')
             }
             await this.myCloud(e)
         } catch (error) {
-            logger.error('更新云盘失败', error)
+            songLog.error('更新云盘失败', error)
         }
     }
 
@@ -330,7 +342,7 @@ export class songRequest extends plugin {
             // 删除文件
             await checkAndRemoveFile(path);
         } catch (error) {
-            logger.error(error);
+            songLog.error(error);
         }
     }
 
@@ -354,45 +366,33 @@ export class songRequest extends plugin {
         if (!fileExists) {
             return;
         }
-        const tryUpload = async () => {
-            let formData = new FormData();
-            formData.append('songFile', fs.createReadStream(path));
-            const headers = {
-                ...formData.getHeaders(),
+        const client = createHttpClient("网易云音乐");
+        const formData = new FormData();
+        formData.append('songFile', fileFromSync(path));
+        const updateUrl = `${autoSelectNeteaseApi}/cloud?time=${Date.now()}`;
+        const res = await client.getJson(updateUrl, {
+            method: 'POST',
+            headers: {
                 'Cookie': this.neteaseCloudCookie,  // 使用云盘CK
-            };
-            const updateUrl = `${autoSelectNeteaseApi}/cloud?time=${Date.now()}`;
-            try {
-                const res = await axios({
-                    method: 'post',
-                    url: updateUrl,
-                    headers: headers,
-                    data: formData,
-                });
-                if (res.data.code == 200) {
-                    let matchUrl = `${autoSelectNeteaseApi}/cloud/match?uid=${this.uid}&sid=${res.data.privateCloud.songId}&asid=${id}`;
-                    try {
-                        const matchRes = await axios.get(matchUrl, {
-                            headers: {
-                                "User-Agent": COMMON_USER_AGENT,
-                                "Cookie": this.neteaseCloudCookie  // 使用云盘CK
-                            },
-                        });
-                        logger.info('歌曲信息匹配成功');
-                    } catch (error) {
-                        logger.error('歌曲信息匹配错误', error);
-                    }
-                    this.songCloudUpdate(e);
-                    return res;
-
-                } else {
-                    throw new Error('上传失败，响应不正确');
-                }
-            } catch (error) {
-                throw error;
-            }
-        };
-        await retryAxiosReq(() => tryUpload())
+            },
+            body: formData,
+        });
+        if (res.code != 200) {
+            throw new Error('上传失败，响应不正确');
+        }
+        let matchUrl = `${autoSelectNeteaseApi}/cloud/match?uid=${this.uid}&sid=${res.privateCloud.songId}&asid=${id}`;
+        try {
+            await client.getJson(matchUrl, {
+                headers: {
+                    "User-Agent": COMMON_USER_AGENT,
+                    "Cookie": this.neteaseCloudCookie  // 使用云盘CK
+                },
+            });
+            songLog.info('歌曲信息匹配成功');
+        } catch (error) {
+            songLog.error('歌曲信息匹配错误', error);
+        }
+        this.songCloudUpdate(e);
         await checkAndRemoveFile(path)
     }
 
@@ -448,22 +448,22 @@ export class songRequest extends plugin {
             // 检测文件是否存在 已提升性能
             if (await checkFileExists(cleanPath)) {
                 // 如果文件已存在
-                logger.mark(`[R插件][云盘] 上传路径审计：已存在下载文件`);
+                cloudLog.mark(`上传路径审计：已存在下载文件`);
                 cleanPath = `${this.getCurDownloadPath(e)}/${songName}.${fileFormat}`;
             } else {
                 // 如果文件不存在
-                logger.mark(`[R插件][云盘] 上传路径审计：不存在下载文件，将进行下载...`);
+                cloudLog.mark(`上传路径审计：不存在下载文件，将进行下载...`);
                 cleanPath = await downloadAudio(cleanPath, this.getCurDownloadPath(e), songName, "manual", fileFormat);
             }
         }
-        logger.info(`[R插件][云盘] 上传路径审计： ${cleanPath}`);
+        cloudLog.info(`上传路径审计： ${cleanPath}`);
         // 使用 splitPaths 提取信息
         const [{ dir: dirPath, fileName, extension, baseFileName }] = splitPaths(cleanPath);
         // 文件名拆解为两部分
         const parts = baseFileName.trim().match(/^([\s\S]+)\s*-\s*([\s\S]+)$/);
         // 命令不规范检测
         if (parts == null || parts.length < 2) {
-            logger.warn("[R插件][云盘] 上传路径审计：命名不规范");
+            cloudLog.warn("上传路径审计：命名不规范");
             e.reply("请规范上传文件的命名：歌手-歌名，例如：梁静茹-勇气");
             return true;
         }
@@ -478,40 +478,27 @@ export class songRequest extends plugin {
             // 写入元数据
             let success = NodeID3.write(tags, cleanPath)
             if (fs.existsSync(newFileName)) {
-                logger.info(`音频已存在`);
+                songLog.info(`音频已存在`);
                 fs.unlinkSync(newFileName);
             }
             // 文件重命名
             fs.renameSync(cleanPath, newFileName)
-            if (success) logger.info('写入元数据成功')
+            if (success) songLog.info('写入元数据成功')
         } else {
-            logger.info('未按照标准命名')
+            songLog.info('未按照标准命名')
         }
         // 上传请求
-        const tryUpload = async () => {
-            let formData = new FormData()
-            await formData.append('songFile', fs.createReadStream(newFileName))
-            const headers = {
-                ...formData.getHeaders(),
+        const formData = new FormData()
+        formData.append('songFile', fileFromSync(newFileName))
+        const updateUrl = autoSelectNeteaseApi + `/cloud?time=${Date.now()}`
+        await createHttpClient("网易云音乐").getJson(updateUrl, {
+            method: 'POST',
+            headers: {
                 'Cookie': this.neteaseCloudCookie,  // 使用云盘CK
-            };
-            const updateUrl = autoSelectNeteaseApi + `/cloud?time=${Date.now()}`
-            try {
-                const res = await axios({
-                    method: 'post',
-                    url: updateUrl,
-                    headers: headers,
-                    data: formData,
-                });
-                this.songCloudUpdate(e);
-                return res;
-
-            } catch (error) {
-                throw error;
-            }
-        };
-        // 重试
-        await retryAxiosReq(() => tryUpload())
+            },
+            body: formData,
+        });
+        this.songCloudUpdate(e);
         checkAndRemoveFile(newFileName)
     }
 
@@ -523,15 +510,7 @@ export class songRequest extends plugin {
 
     // 判断是否海外服务器
     async isOverseasServer() {
-        // 如果第一次使用没有值就设置
-        if (!(await redisExistKey(REDIS_YUNZAI_ISOVERSEA))) {
-            await redisSetKey(REDIS_YUNZAI_ISOVERSEA, {
-                os: false,
-            })
-            return true;
-        }
-        // 如果有就取出来
-        return (await redisGetKey(REDIS_YUNZAI_ISOVERSEA)).os;
+        return isOverseasServer();
     }
 
     // API选择
@@ -562,10 +541,10 @@ export class songRequest extends plugin {
                 await config.updateField("tools", "neteaseUserId", res.data.data.profile.userId);
             }
             if (userInfo) {
-                logger.info('[R插件][ncm-Cookie检测][${cookieType}]ck活着，使用ck进行高音质下载')
+                ncmCookieLog.info(`[${cookieType}]ck活着，使用ck进行高音质下载`)
                 status = true
             } else {
-                logger.info('[R插件][ncm-Cookie检测][${cookieType}]ck失效，将启用临时接口下载')
+                ncmCookieLog.info(`[${cookieType}]ck失效，将启用临时接口下载`)
                 status = false
             }
         })
@@ -675,10 +654,10 @@ export class songRequest extends plugin {
                 cardSentSuccessfully = true;
             } catch (error) {
                 if (error.message) {
-                    logger.error("发送卡片错误错误:", error.message, '将尝试发送文件/语音');
+                    songLog.error("发送卡片错误错误:", error.message, '将尝试发送文件/语音');
                 } else {
-                    logger.error("发送卡片错误错误，请查看控制台报错，将尝试发送文件/语音")
-                    logger.error(error)
+                    songLog.error("发送卡片错误错误，请查看控制台报错，将尝试发送文件/语音")
+                    songLog.error(error)
                 }
                 cardSentSuccessfully = false;
             }
@@ -698,10 +677,10 @@ export class songRequest extends plugin {
                             await checkAndRemoveFile(path);
                         }
                     }
-                    logger.info(`下载音乐完成: ${title}，路径: ${path}`);
+                    songLog.info(`下载音乐完成: ${title}，路径: ${path}`);
                 })
                 .catch(err => {
-                    logger.error(`下载音乐失败，错误信息为: ${err}`);
+                    songLog.error(`下载音乐失败，错误信息为: ${err}`);
                 });
         });
     }
@@ -758,7 +737,7 @@ export class songRequest extends plugin {
     async waitForFile(path, e, timeoutSeconds = 120) {
         let attempts = 0;
         const maxAttempts = timeoutSeconds;
-        logger.info(`[R插件][文件检测] 正在检测文件: ${path}`);
+        fileCheckLog.info(`正在检测文件: ${path}`);
 
         let lastSize = -1;
         let stableChecks = 0;
@@ -779,11 +758,11 @@ export class songRequest extends plugin {
                     lastSize = currentSize;
 
                     if (stableChecks >= requiredStableChecks) {
-                        logger.info(`[R插件][文件检测] 文件已发现: ${path}，开始上传。`);
+                        fileCheckLog.info(`文件已发现: ${path}，开始上传。`);
                         return true;
                     }
                 } catch (error) {
-                    logger.warn(`[R插件][文件检测] 获取文件状态时出错: ${error.message}`);
+                    fileCheckLog.warn(`获取文件状态时出错: ${error.message}`);
                     lastSize = -1;
                     stableChecks = 0;
                 }
@@ -794,7 +773,7 @@ export class songRequest extends plugin {
             await new Promise(resolve => setTimeout(resolve, 500));
             attempts++;
         }
-        logger.error(`[R插件][文件检测] 超时: ${maxAttempts}秒后文件仍未下载完成: ${path}`);
+        fileCheckLog.error(`超时: ${maxAttempts}秒后文件仍未下载完成: ${path}`);
         e.reply(`等待文件下载${maxAttempts}秒超时，上传任务已取消。`);
         return false;
     }
@@ -1,8 +1,30 @@
 import schedule from 'node-schedule';
-import { REDIS_YUNZAI_ISOVERSEA, REDIS_YUNZAI_WHITELIST } from "../constants/constant.js";
+import puppeteer from "../../../lib/puppeteer/puppeteer.js";
+import { OUTPUT_STYLE_LIST, REDIS_YUNZAI_ISOVERSEA, REDIS_YUNZAI_WHITELIST } from "../constants/constant.js";
 import config from "../model/config.js";
+import ResolveJobs from "../model/resolve-jobs.js";
+import ResolveStats from "../model/resolve-stats.js";
+import { formatSeconds } from "../utils/common.js";
 import { deleteFolderRecursive, readCurrentDir } from "../utils/file.js";
+import {
+    getOutputStyle,
+    getOutputStyleLabel,
+    matchOutputStyle,
+    resetOutputStyle,
+    setOutputStyle
+} from "../utils/output-style.js";
 import { redisExistAndGetKey, redisGetKey, redisSetKey } from "../utils/redis-util.js";
+import {
+    getResolveOverrides,
+    getResolveScope,
+    matchResolveName,
+    resetResolveOverride,
+    setResolveOverride
+} from "../utils/resolve-controller.js";
+import { flushResolveCache, listResolveCache } from "../utils/resolve-cache.js";
+import { getResolverNames } from "../utils/resolver-registry.js";
+import { cancelJob, getDownloadQueue, getJobs } from "../utils/resolve-job.js";
+import { getResolveStats } from "../utils/resolve-stats.js";
 
 // 自动清理定时
 const autotime = config.getConfig("tools").autoclearTrashtime;
@@ -45,6 +67,47 @@ export class switchers extends plugin {
                     reg: "^#删除R信任用户(.*)",
                     fnc: "deleteWhiteList",
                     permission: "master",
+                },
+                {
+                    reg: "^#R解析列表$",
+                    fnc: "getResolveController",
+                },
+                {
+                    reg: "^#R(开启|关闭)解析(.*)",
+                    fnc: "setResolveController",
+                },
+                {
+                    reg: "^#R重置解析(.*)",
+                    fnc: "resetResolveController",
+                },
+                {
+                    reg: "^#R输出样式(.*)$",
+                    fnc: "setResolveOutputStyle",
+                },
+                {
+                    reg: "^#R任务$",
+                    fnc: "getResolveJobs",
+                    permission: "master",
+                },
+                {
+                    reg: "^#R取消(.*)",
+                    fnc: "cancelResolveJob",
+                    permission: "master",
+                },
+                {
+                    reg: "^#R解析缓存(.*)",
+                    fnc: "showResolveCache",
+                    permission: "master",
+                },
+                {
+                    reg: "^#R清理解析缓存(.*)",
+                    fnc: "clearResolveCache",
+                    permission: "master",
+                },
+                {
+                    reg: "^#R统计(7|30)?天?$",
+                    fnc: "getResolveStats",
+                    permission: "master",
                 }
             ]
         });
@@ -179,6 +242,268 @@ export class switchers extends plugin {
             e.reply(`删除R信任用户时发生错误: ${ err.message }`);
         }
     }
+
+    /**
+     * 查看当前会话的解析开关
+     * @param e
+     * @returns {Promise<void>}
+     */
+    async getResolveController(e) {
+        if (!canManageResolve(e)) {
+            e.reply("只有主人或群管理才能查看解析设置");
+            return;
+        }
+        try {
+            const globalBlackList = config.getConfig("tools").globalBlackList || [];
+            const overrides = await getResolveOverrides(getResolveScope(e));
+            const lines = getResolverNames().map(name => {
+                if (globalBlackList.includes(name)) {
+                    return `⛔ ${ name }（全局禁用）`;
+                }
+                if (name in overrides) {
+                    return `${ overrides[name] ? '✅' : '❌' } ${ name }（${ e.isGroup ? '本群' : '私聊' }设置）`;
+                }
+                return `✅ ${ name }`;
+            });
+            e.reply(`当前${ e.isGroup ? '群' : '私聊' }的解析开关：\n${ lines.join("\n") }`);
+        } catch (err) {
+            e.reply(`获取解析设置时发生错误: ${ err.message }`);
+        }
+    }
+
+    /**
+     * 开启 / 关闭当前会话的某个解析
+     * @param e
+     * @returns {Promise<void>}
+     */
+    async setResolveController(e) {
+        if (!canManageResolve(e)) {
+            e.reply("只有主人或群管理才能修改解析设置");
+            return;
+        }
+        try {
+            const [, action, input] = /^#R(开启|关闭)解析(.*)/.exec(e.msg);
+            const resolveName = matchResolveName(input);
+            if (!resolveName) {
+                e.reply(`未找到该解析，可选：${ getResolverNames().join("、") }`);
+                return;
+            }
+            const enabled = action === "开启";
+            await setResolveOverride(getResolveScope(e), resolveName, enabled);
+            const globalBlackList = config.getConfig("tools").globalBlackList || [];
+            const tip = enabled && globalBlackList.includes(resolveName) ? "\n⚠️ 该解析已被全局禁用，开启后仍不会生效" : "";
+            e.reply(`已${ action }${ e.isGroup ? '本群' : '私聊' }的【${ resolveName }】解析${ tip }`);
+        } catch (err) {
+            e.reply(`修改解析设置时发生错误: ${ err.message }`);
+        }
+    }
+
+    /**
+     * 重置当前会话的解析设置，恢复跟随全局
+     * @param e
+     * @returns {Promise<void>}
+     */
+    async resetResolveController(e) {
+        if (!canManageResolve(e)) {
+            e.reply("只有主人或群管理才能修改解析设置");
+            return;
+        }
+        try {
+            const input = e.msg.replace("#R重置解析", "").trim();
+            const resolveName = input ? matchResolveName(input) : undefined;
+            if (input && !resolveName) {
+                e.reply(`未找到该解析，可选：${ getResolverNames().join("、") }`);
+                return;
+            }
+            await resetResolveOverride(getResolveScope(e), resolveName);
+            e.reply(`已将${ e.isGroup ? '本群' : '私聊' }的${ resolveName ? `【${ resolveName }】` : '全部' }解析恢复为全局设置`);
+        } catch (err) {
+            e.reply(`重置解析设置时发生错误: ${ err.message }`);
+        }
+    }
+
+    /**
+     * 查看 / 设置当前会话的解析结果输出样式，例如：#R输出样式简洁、#R输出样式重置
+     * @param e
+     * @returns {Promise<void>}
+     */
+    async setResolveOutputStyle(e) {
+        if (!canManageResolve(e)) {
+            e.reply("只有主人或群管理才能设置输出样式");
+            return;
+        }
+        try {
+            const input = e.msg.replace("#R输出样式", "").trim();
+            const scopeName = e.isGroup ? '本群' : '私聊';
+            if (!input) {
+                const { style, isDefault } = await getOutputStyle(e);
+                e.reply(`${ scopeName }的输出样式：${ getOutputStyleLabel(style) }${ isDefault ? '（跟随全局）' : '' }\n可选：${ OUTPUT_STYLE_LIST.map(item => item.label).join("、") }，发送 #R输出样式重置 恢复跟随全局`);
+                return;
+            }
+            if (input === "重置") {
+                await resetOutputStyle(getResolveScope(e));
+                e.reply(`已将${ scopeName }的输出样式恢复为全局设置`);
+                return;
+            }
+            const style = matchOutputStyle(input);
+            if (style === undefined) {
+                e.reply(`未找到该样式，可选：${ OUTPUT_STYLE_LIST.map(item => item.label).join("、") }`);
+                return;
+            }
+            await setOutputStyle(getResolveScope(e), style);
+            e.reply(`已将${ scopeName }的输出样式设置为【${ getOutputStyleLabel(style) }】`);
+        } catch (err) {
+            e.reply(`设置输出样式时发生错误: ${ err.message }`);
+        }
+    }
+
+    /**
+     * 查看正在进行和排队中的解析任务
+     * @param e
+     * @returns {Promise<void>}
+     */
+    async getResolveJobs(e) {
+        try {
+            const queue = getDownloadQueue();
+            const jobs = getJobs().map(job => ({
+                id: job.id,
+                platform: job.platform,
+                stage: [
+                    job.stage,
+                    job.track && `第 ${ job.track.index }/${ job.track.total } 首`,
+                    job.progress !== undefined && `${ Math.round(job.progress * 100) }%`,
+                ].filter(Boolean).join(" "),
+                nickname: job.nickname,
+                groupId: job.groupId,
+                bytes: `${ (job.bytes / 1024 / 1024).toFixed(1) }MB`,
+                elapsed: formatSeconds(Math.floor((Date.now() - job.startTime) / 1000)),
+            }));
+            const data = await new ResolveJobs(e).getData({
+                jobs,
+                running: queue.pending,
+                queued: queue.size,
+            });
+            const img = await puppeteer.screenshot("resolve-jobs", data);
+            e.reply(img);
+        } catch (err) {
+            e.reply(`获取解析任务时发生错误: ${ err.message }`);
+        }
+    }
+
+    /**
+     * 取消解析任务
+     * @param e
+     * @returns {Promise<void>}
+     */
+    async cancelResolveJob(e) {
+        const id = e.msg.replace("#R取消", "").trim();
+        if (!id) {
+            e.reply("请输入任务ID，可以通过 #R任务 查看");
+            return;
+        }
+        const job = cancelJob(id);
+        if (!job) {
+            e.reply(`没有找到任务：${ id }`);
+            return;
+        }
+        e.reply(`已取消 ${ job.platform } 任务：${ id }`);
+    }
+
+    /**
+     * 查看解析结果缓存，可以指定平台
+     * @param e
+     * @returns {Promise<void>}
+     */
+    async showResolveCache(e) {
+        const input = e.msg.replace("#R解析缓存", "").trim();
+        const resolveName = input ? matchResolveName(input) : undefined;
+        if (input && !resolveName) {
+            e.reply(`未找到该解析，可选：${ getResolverNames().join("、") }`);
+            return;
+        }
+        try {
+            const { total, items } = await listResolveCache(resolveName);
+            if (total === 0) {
+                e.reply(`当前没有${ resolveName ? `【${ resolveName }】的` : '' }解析缓存`);
+                return;
+            }
+            const lines = items.map(item => `${ item.platform } ${ item.id }（剩余 ${ formatSeconds(item.ttl) }）\n${ item.title || '无标题' }`);
+            const tip = total > items.length ? `\n……仅显示最近的 ${ items.length } 条` : "";
+            e.reply(`${ resolveName ? `【${ resolveName }】` : '' }解析缓存共 ${ total } 条：\n${ lines.join("\n") }${ tip }`);
+        } catch (err) {
+            e.reply(`获取解析缓存时发生错误: ${ err.message }`);
+        }
+    }
+
+    /**
+     * 清理解析结果缓存，可以指定平台
+     * @param e
+     * @returns {Promise<void>}
+     */
+    async clearResolveCache(e) {
+        const input = e.msg.replace("#R清理解析缓存", "").trim();
+        const resolveName = input ? matchResolveName(input) : undefined;
+        if (input && !resolveName) {
+            e.reply(`未找到该解析，可选：${ getResolverNames().join("、") }`);
+            return;
+        }
+        try {
+            const count = await flushResolveCache(resolveName);
+            e.reply(`已清理${ resolveName ? `【${ resolveName }】的` : '全部' }解析缓存，共 ${ count } 条`);
+        } catch (err) {
+            e.reply(`清理解析缓存时发生错误: ${ err.message }`);
+        }
+    }
+
+    /**
+     * 查看最近 7 / 30 天的解析统计
+     * @param e
+     * @returns {Promise<void>}
+     */
+    async getResolveStats(e) {
+        const days = Number(/^#R统计(7|30)?/.exec(e.msg)?.[1]) || 7;
+        try {
+            const stats = await getResolveStats(days);
+            const maxPlatformTotal = stats.platforms[0]?.total || 1;
+            const maxGroupTotal = stats.groups[0]?.total || 1;
+            const data = await new ResolveStats(e).getData({
+                days,
+                total: stats.total,
+                fail: stats.fail,
+                successRate: stats.total ? Math.round((stats.total - stats.fail) / stats.total * 1000) / 10 : 0,
+                platforms: stats.platforms.slice(0, 10).map(item => ({
+                    ...item,
+                    percent: Math.round(item.total / maxPlatformTotal * 100),
+                })),
+                slowest: [...stats.platforms].sort((a, b) => b.avgLatency - a.avgLatency).slice(0, 5).map(item => ({
+                    platform: item.platform,
+                    latency: `${ (item.avgLatency / 1000).toFixed(1) }s`,
+                    size: `${ (item.bytes / 1024 / 1024).toFixed(1) }MB`,
+                })),
+                groups: stats.groups.slice(0, 10).map(item => ({
+                    ...item,
+                    percent: Math.round(item.total / maxGroupTotal * 100),
+                })),
+                reasons: stats.reasons.slice(0, 5),
+            });
+            const img = await puppeteer.screenshot("resolve-stats", data);
+            e.reply(img);
+        } catch (err) {
+            e.reply(`获取解析统计时发生错误: ${ err.message }`);
+        }
+    }
+}
+
+/**
+ * 判断当前用户是否可以管理本会话的解析：群聊为主人或群管理，私聊只有主人
+ * @param e
+ * @returns {boolean}
+ */
+function canManageResolve(e) {
+    if (e.isMaster) {
+        return true;
+    }
+    return e.isGroup && (e.member?.is_admin || e.member?.is_owner);
 }
 
 /**
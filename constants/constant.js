@@ -52,6 +52,18 @@ export const CAT_LIMIT = 10;
  */
 export const COMMON_USER_AGENT = "Mozilla/5.0 (Linux; Android 5.0; SM-G900P Build/LRX21T) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.25 Mobile Safari/537.36";
 
+/**
+ * 统一 HTTP 客户端轮换使用的 User-Agent，每个客户端创建时选一个，同一个客户端的请求保持一致
+ * @type {string[]}
+ */
+export const USER_AGENT_POOL = Object.freeze([
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.0.0",
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15",
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:125.0) Gecko/20100101 Firefox/125.0",
+]);
+
 /**
  * 无水印的头请求
  * @type {{cookie: string, "User-Agent": string, accept: string}}
@@ -92,6 +104,54 @@ export const REDIS_YUNZAI_CLOUDSONGLIST = "Yz:rconsole:tools:cloudsonglist";
  */
 export const REDIS_YUNZAI_WHITELIST = "Yz:rconsole:tools:whitelist";
 
+/**
+ * 解析结果缓存的前缀，后面拼接平台名称和内容ID
+ * @type {string}
+ */
+export const REDIS_YUNZAI_RESOLVE_CACHE = "Yz:rconsole:resolve:cache";
+
+/**
+ * 群内重复链接记录的前缀，后面拼接群号、平台名称和内容ID
+ * @type {string}
+ */
+export const REDIS_YUNZAI_RESOLVE_DEDUP = "Yz:rconsole:resolve:dedup";
+
+/**
+ * 限流令牌桶的前缀，后面拼接功能、范围（user / group）和QQ号或群号
+ * @type {string}
+ */
+export const REDIS_YUNZAI_RATE_LIMIT = "Yz:rconsole:ratelimit";
+
+/**
+ * 解析统计的前缀，按天分桶，后面拼接日期，例如：Yz:rconsole:resolve:stats:2024-01-01
+ * @type {string}
+ */
+export const REDIS_YUNZAI_RESOLVE_STATS = "Yz:rconsole:resolve:stats";
+
+/**
+ * 失败报告的前缀，后面拼接 window（当前统计窗口）或 reported（已报告标记）和平台名称
+ * @type {string}
+ */
+export const REDIS_YUNZAI_FAILURE_REPORT = "Yz:rconsole:failure:report";
+
+/**
+ * 短链接展开结果的缓存前缀，后面拼接短链接
+ * @type {string}
+ */
+export const REDIS_YUNZAI_SHORT_LINK = "Yz:rconsole:shortlink";
+
+/**
+ * 群 / 私聊单独设置的输出样式
+ * @type {string}
+ */
+export const REDIS_YUNZAI_OUTPUT_STYLE = "Yz:rconsole:output:style";
+
+/**
+ * 专辑、歌单的曲目列表，后面拼接群 / 私聊，用 #曲目N 选择下载
+ * @type {string}
+ */
+export const REDIS_YUNZAI_FREYR_TRACKS = "Yz:rconsole:freyr:tracks";
+
 export const TWITTER_BEARER_TOKEN = "";
 
 /**
@@ -206,6 +266,117 @@ export const NETEASECLOUD_QUALITY_LIST = Object.freeze([
     { label: '杜比全景声(不推荐)', value: 'dolby' },
     { label: '超清母带', value: 'jymaster' },
 ]);
+/**
+ * 下载前检查超过限制时的处理方式
+ * @type {Readonly<{SKIP: number, COVER: number, GROUP_FILE: number}>}
+ */
+export const PREFLIGHT_ACTION = Object.freeze({
+    SKIP: 0,
+    COVER: 1,
+    GROUP_FILE: 2,
+});
+
+export const PREFLIGHT_ACTION_LIST = Object.freeze([
+    { label: '跳过', value: PREFLIGHT_ACTION.SKIP },
+    { label: '只发送封面和信息', value: PREFLIGHT_ACTION.COVER },
+    { label: '直接上传群文件', value: PREFLIGHT_ACTION.GROUP_FILE },
+]);
+
+/**
+ * 解析结果的输出样式
+ * @type {Readonly<{FULL: number, COMPACT: number, CARD: number, SILENT: number}>}
+ */
+export const OUTPUT_STYLE = Object.freeze({
+    FULL: 0,
+    COMPACT: 1,
+    CARD: 2,
+    SILENT: 3,
+});
+
+export const OUTPUT_STYLE_LIST = Object.freeze([
+    { label: '完整', value: OUTPUT_STYLE.FULL },
+    { label: '简洁', value: OUTPUT_STYLE.COMPACT },
+    { label: '卡片', value: OUTPUT_STYLE.CARD },
+    { label: '静默', value: OUTPUT_STYLE.SILENT },
+]);
+
+/**
+ * 冷却时间内再次收到同一个内容时的处理方式
+ * @type {Readonly<{IGNORE: number, NOTE: number}>}
+ */
+export const DEDUP_ACTION = Object.freeze({
+    IGNORE: 0,
+    NOTE: 1,
+});
+
+export const DEDUP_ACTION_LIST = Object.freeze([
+    { label: '直接忽略', value: DEDUP_ACTION.IGNORE },
+    { label: '引用之前的消息提示已解析', value: DEDUP_ACTION.NOTE },
+]);
+
+/**
+ * 解析器的内容分类，解析器没有声明时为视频，限流时按分类计入对应的功能
+ * @type {Readonly<{VIDEO: string, IMAGE: string, MUSIC: string}>}
+ */
+export const RESOLVER_CATEGORY = Object.freeze({
+    VIDEO: "video",
+    IMAGE: "image",
+    MUSIC: "music",
+});
+
+/**
+ * 限流的功能分类
+ * @type {Readonly<{VIDEO: string, IMAGE: string, MUSIC: string, SUMMARY: string, TRANSLATE: string, SONG: string}>}
+ */
+export const RATE_LIMIT_FEATURE = Object.freeze({
+    VIDEO: "video",
+    IMAGE: "image",
+    MUSIC: "music",
+    SUMMARY: "summary",
+    TRANSLATE: "translate",
+    SONG: "song",
+});
+
+export const RATE_LIMIT_FEATURE_LIST = Object.freeze([
+    { label: '视频解析下载', value: RATE_LIMIT_FEATURE.VIDEO },
+    { label: '图文解析', value: RATE_LIMIT_FEATURE.IMAGE },
+    { label: '音乐解析', value: RATE_LIMIT_FEATURE.MUSIC },
+    { label: 'AI总结', value: RATE_LIMIT_FEATURE.SUMMARY },
+    { label: '翻译', value: RATE_LIMIT_FEATURE.TRANSLATE },
+    { label: '点歌', value: RATE_LIMIT_FEATURE.SONG },
+]);
+
+/**
+ * 解析失败的分类，由 utils/resolve-error.js 中的 ResolveError 使用
+ * @type {Readonly<Object<string, string>>}
+ */
+export const RESOLVE_ERROR_TYPE = Object.freeze({
+    COOKIE_EXPIRED: "COOKIE_EXPIRED",
+    CONTENT_UNAVAILABLE: "CONTENT_UNAVAILABLE",
+    REGION_BLOCKED: "REGION_BLOCKED",
+    PROXY_UNREACHABLE: "PROXY_UNREACHABLE",
+    TOOL_MISSING: "TOOL_MISSING",
+    OVER_LIMIT: "OVER_LIMIT",
+    API_CHANGED: "API_CHANGED",
+    INVALID_LINK: "INVALID_LINK",
+    NETWORK: "NETWORK",
+    UNKNOWN: "UNKNOWN",
+});
+
+/**
+ * 限流的范围：每个人单独计算 / 整个群共用
+ * @type {Readonly<{USER: string, GROUP: string}>}
+ */
+export const RATE_LIMIT_SCOPE = Object.freeze({
+    USER: "user",
+    GROUP: "group",
+});
+
+export const RATE_LIMIT_SCOPE_LIST = Object.freeze([
+    { label: '每个人', value: RATE_LIMIT_SCOPE.USER },
+    { label: '整个群', value: RATE_LIMIT_SCOPE.GROUP },
+]);
+
 /**
  * 消息撤回时间
  * @type {number}
@@ -218,6 +389,18 @@ export const MESSAGE_RECALL_TIME = 60;
  */
 export const DOWNLOAD_WAIT_DETECT_FILE_TIME = 3000;
 
+/**
+ * 多线程下载时每个分片的最大重试次数
+ * @type {number}
+ */
+export const DOWNLOAD_PART_RETRY_TIMES = 3;
+
+/**
+ * 分片第一次重试前等待的时间（毫秒），之后每次翻倍
+ * @type {number}
+ */
+export const DOWNLOAD_PART_RETRY_DELAY = 1000;
+
 /**
  * 短链接接口
  * @type {string}
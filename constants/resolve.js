@@ -1,23 +1 @@
 export const REDIS_YUNZAI_RESOLVE_CONTROLLER = "Yz:rconsole:resolve:controller"
-
-export const RESOLVE_CONTROLLER_NAME_ENUM = {
-    "douyin": "抖音",
-    "bili": "哔哩哔哩",
-    "tiktok": "TikTok",
-    "twitter_x": "Twitter",
-    "acfun": "Acfun",
-    "xhs": "小红书",
-    "bodianMusic": "波点",
-    "general": "通用（包含快手等）",
-    "sy2b": "YouTube",
-    "miyoushe": "米游社",
-    "netease": "网易云音乐",
-    "weibo": "微博",
-    "weishi": "微视",
-    "zuiyou": "最右",
-    "freyr": "AM+Spotify",
-    "qqMusic": "扣扣音乐",
-    "qishuiMusic": "汽水音乐",
-    "aircraft": "小飞机",
-    "tieba": "贴吧",
-}
@@ -1,14 +1,14 @@
 import _ from "lodash";
 import path from "path";
-import { BILI_CDN_SELECT_LIST, BILI_DOWNLOAD_METHOD, BILI_RESOLUTION_LIST, YOUTUBE_GRAPHICS_LIST, NETEASECLOUD_QUALITY_LIST } from "./constants/constant.js";
-import { RESOLVE_CONTROLLER_NAME_ENUM } from "./constants/resolve.js";
+import { BILI_CDN_SELECT_LIST, BILI_DOWNLOAD_METHOD, BILI_RESOLUTION_LIST, YOUTUBE_GRAPHICS_LIST, NETEASECLOUD_QUALITY_LIST, PREFLIGHT_ACTION_LIST, DEDUP_ACTION_LIST, OUTPUT_STYLE_LIST, RATE_LIMIT_FEATURE_LIST, RATE_LIMIT_SCOPE_LIST } from "./constants/constant.js";
 import model from "./model/config.js";
+import { getResolverNames } from "./utils/resolver-registry.js";
 
 const pluginName = `rconsole-plugin`;
 
 const _path = process.cwd() + `/plugins/${pluginName}`;
 export function supportGuoba() {
-    let globalWhitelist = Object.values(RESOLVE_CONTROLLER_NAME_ENUM).map(value => ({ value }));
+    let globalWhitelist = getResolverNames().map(value => ({ value }));
     const globalWhitelistComponent = globalWhitelist.length === 0 ? 'GTags' : 'Select'
     return {
         pluginInfo: {
@@ -82,6 +82,19 @@ export function supportGuoba() {
                     component: "Switch",
                     required: false,
                 },
+                {
+                    field: "tools.proxyPlatforms",
+                    label: "走魔法的平台",
+                    bottomHelpMessage: "选中的平台通过上面的魔法地址访问，没选中的平台直连，海外服务器全部直连",
+                    component: globalWhitelistComponent,
+                    required: false,
+                    componentProps: {
+                        allowAdd: true,
+                        allowDel: true,
+                        mode: 'multiple',
+                        options: globalWhitelist,
+                    },
+                },
                 {
                     field: "tools.identifyPrefix",
                     label: "识别前缀",
@@ -92,6 +105,15 @@ export function supportGuoba() {
                         placeholder: "请输入识别前缀",
                     },
                 },
+                {
+                    field: "tools.outputStyle",
+                    label: "解析结果输出样式",
+                    bottomHelpMessage: "完整：封面和全部信息；简洁：一行文字；卡片：生成一张信息图片；静默：只发送视频、图片等媒体。各群可以用 #R输出样式 单独设置",
+                    component: "Select",
+                    componentProps: {
+                        options: OUTPUT_STYLE_LIST,
+                    }
+                },
                 {
                     field: "tools.deeplApiUrls",
                     label: "DeeplX API地址集合",
@@ -143,6 +165,287 @@ export function supportGuoba() {
                         placeholder: "请输入视频大小限制",
                     },
                 },
+                {
+                    field: "tools.preflightMaxSize",
+                    label: "下载前检查大小上限",
+                    bottomHelpMessage:
+                        "在下载之前探测视频大小（单位MB），超过后按照下面的处理方式执行，0为不限制",
+                    component: "InputNumber",
+                    required: false,
+                    componentProps: {
+                        placeholder: "请输入下载前检查大小上限",
+                    },
+                },
+                {
+                    field: "tools.preflightMaxDuration",
+                    label: "下载前检查时长上限",
+                    bottomHelpMessage:
+                        "在下载之前使用ffprobe探测视频时长（单位秒），0为不限制",
+                    component: "InputNumber",
+                    required: false,
+                    componentProps: {
+                        placeholder: "请输入下载前检查时长上限",
+                    },
+                },
+                {
+                    field: "tools.preflightAction",
+                    label: "超过上限的处理方式",
+                    bottomHelpMessage:
+                        "跳过：不下载；只发送封面和信息：不下载视频；直接上传群文件：下载后不发视频直接上传群文件",
+                    component: "Select",
+                    componentProps: {
+                        options: PREFLIGHT_ACTION_LIST,
+                    }
+                },
+                {
+                    field: "tools.preflightPlatformLimits",
+                    label: "按平台设置下载前检查",
+                    bottomHelpMessage: "单独设置某个平台的上限和处理方式，没有填写的项跟随上面的全局设置",
+                    component: "GSubForm",
+                    componentProps: {
+                        multiple: true,
+                        schemas: [
+                            {
+                                field: "platform",
+                                label: "平台",
+                                component: "Select",
+                                required: true,
+                                componentProps: {
+                                    options: globalWhitelist,
+                                },
+                            },
+                            {
+                                field: "maxSize",
+                                label: "大小上限（MB）",
+                                component: "InputNumber",
+                            },
+                            {
+                                field: "maxDuration",
+                                label: "时长上限（秒）",
+                                component: "InputNumber",
+                            },
+                            {
+                                field: "action",
+                                label: "处理方式",
+                                component: "Select",
+                                componentProps: {
+                                    options: PREFLIGHT_ACTION_LIST,
+                                },
+                            },
+                        ],
+                    },
+                },
+                {
+                    field: "tools.resolveCacheTTL",
+                    label: "解析结果缓存时间",
+                    bottomHelpMessage:
+                        "同一个内容在缓存时间内不会重复请求平台接口（单位秒），0为不缓存；缓存中的视频链接有时效，过期后会发送失败，不要设置得太长",
+                    component: "InputNumber",
+                    required: false,
+                    componentProps: {
+                        placeholder: "请输入解析结果缓存时间（默认0秒，不缓存）",
+                    },
+                },
+                {
+                    field: "tools.resolveCachePlatformTTL",
+                    label: "按平台设置缓存时间",
+                    bottomHelpMessage: "视频链接有时效的平台可以设置得短一些，没有填写的平台跟随上面的全局设置",
+                    component: "GSubForm",
+                    componentProps: {
+                        multiple: true,
+                        schemas: [
+                            {
+                                field: "platform",
+                                label: "平台",
+                                component: "Select",
+                                required: true,
+                                componentProps: {
+                                    options: globalWhitelist,
+                                },
+                            },
+                            {
+                                field: "ttl",
+                                label: "缓存时间（秒）",
+                                component: "InputNumber",
+                            },
+                        ],
+                    },
+                },
+                {
+                    field: "tools.mediaStoreEnable",
+                    label: "开启媒体库",
+                    bottomHelpMessage:
+                        "按平台+内容ID+清晰度保存下载好的视频，所有群共用，同一个视频再次解析时不再下载",
+                    component: "Switch",
+                    required: false,
+                },
+                {
+                    field: "tools.mediaStorePath",
+                    label: "媒体库位置",
+                    bottomHelpMessage:
+                        "不要放在视频保存路径里，否则会被清理垃圾删除",
+                    component: "Input",
+                    required: false,
+                    componentProps: {
+                        placeholder: "请输入媒体库位置（默认./data/rcmedia/）",
+                    },
+                },
+                {
+                    field: "tools.mediaStoreQuota",
+                    label: "媒体库容量",
+                    bottomHelpMessage:
+                        "单位MB，超过后删除最久没有使用的视频，0为不限制",
+                    component: "InputNumber",
+                    required: false,
+                    componentProps: {
+                        placeholder: "请输入媒体库容量（默认2048MB）",
+                    },
+                },
+                {
+                    field: "tools.dedupCooldown",
+                    label: "重复链接冷却时间",
+                    bottomHelpMessage:
+                        "冷却时间内同一个群再次发送同一个内容时不再重复解析（单位秒），0为不限制",
+                    component: "InputNumber",
+                    required: false,
+                    componentProps: {
+                        placeholder: "请输入重复链接冷却时间",
+                    },
+                },
+                {
+                    field: "tools.dedupAction",
+                    label: "重复链接处理方式",
+                    bottomHelpMessage: "直接忽略：不做任何回复；引用之前的消息提示已解析：回复「N 分钟前已经解析过了」",
+                    component: "Select",
+                    componentProps: {
+                        options: DEDUP_ACTION_LIST,
+                    }
+                },
+                {
+                    field: "tools.multiLinkLimit",
+                    label: "单条消息最多解析链接数",
+                    bottomHelpMessage:
+                        "一条消息中有多个链接（包括文本和卡片中的链接）时按顺序解析，超过数量的不再解析",
+                    component: "InputNumber",
+                    required: false,
+                    componentProps: {
+                        placeholder: "请输入单条消息最多解析链接数（默认3）",
+                    },
+                },
+                {
+                    field: "tools.rateLimitEnable",
+                    label: "开启限流",
+                    bottomHelpMessage:
+                        "按照下面的规则限制视频、图文、音乐解析和AI总结、翻译、点歌的使用频率，主人和R信任用户不受限制",
+                    component: "Switch",
+                    required: false,
+                },
+                {
+                    field: "tools.rateLimitRules",
+                    label: "限流规则",
+                    bottomHelpMessage: "令牌桶：最多连续使用「次数」次，用完后在「恢复时间」内逐渐恢复满",
+                    component: "GSubForm",
+                    componentProps: {
+                        multiple: true,
+                        schemas: [
+                            {
+                                field: "feature",
+                                label: "功能",
+                                component: "Select",
+                                required: true,
+                                componentProps: {
+                                    options: RATE_LIMIT_FEATURE_LIST,
+                                },
+                            },
+                            {
+                                field: "scope",
+                                label: "范围",
+                                component: "Select",
+                                required: true,
+                                componentProps: {
+                                    options: RATE_LIMIT_SCOPE_LIST,
+                                },
+                            },
+                            {
+                                field: "capacity",
+                                label: "次数",
+                                component: "InputNumber",
+                                required: true,
+                            },
+                            {
+                                field: "interval",
+                                label: "恢复时间（秒）",
+                                component: "InputNumber",
+                                required: true,
+                            },
+                        ],
+                    },
+                },
+                {
+                    field: "tools.failureReportEnable",
+                    label: "失败报告",
+                    bottomHelpMessage: "某个平台的解析失败率在时间窗口内超过阈值时，私聊主人发送一次汇总（示例链接、错误堆栈、插件版本），恢复之前不再重复发送",
+                    component: "Switch",
+                    required: false,
+                },
+                {
+                    field: "tools.failureReportWindow",
+                    label: "失败报告统计窗口",
+                    bottomHelpMessage: "单位：秒，默认10分钟",
+                    component: "InputNumber",
+                    required: false,
+                    componentProps: {
+                        placeholder: "请输入统计窗口（默认600秒）",
+                    },
+                },
+                {
+                    field: "tools.failureReportThreshold",
+                    label: "失败率阈值",
+                    bottomHelpMessage: "单位：百分比，窗口内失败率达到这个值时报告",
+                    component: "InputNumber",
+                    required: false,
+                    componentProps: {
+                        placeholder: "请输入失败率阈值（默认50）",
+                    },
+                },
+                {
+                    field: "tools.failureReportMinCount",
+                    label: "最少解析次数",
+                    bottomHelpMessage: "窗口内至少解析这么多次才计算失败率，避免偶尔一次失败就报告",
+                    component: "InputNumber",
+                    required: false,
+                    componentProps: {
+                        placeholder: "请输入最少解析次数（默认5）",
+                    },
+                },
+                {
+                    field: "tools.logDebugModules",
+                    label: "调试日志模块",
+                    bottomHelpMessage: "这些模块的 debug 日志会直接输出，例如：BILI下载、yt-dlp、哔哩哔哩，填 * 为全部模块",
+                    component: "GTags",
+                    required: false,
+                    componentProps: {
+                        allowAdd: true,
+                        allowDel: true,
+                    },
+                },
+                {
+                    field: "tools.logJsonLines",
+                    label: "JSON行日志",
+                    bottomHelpMessage: "额外以 JSON 行写入日志文件，每行带有任务ID，方便按任务查找一次解析的全部日志，Cookie、密钥会被隐藏",
+                    component: "Switch",
+                    required: false,
+                },
+                {
+                    field: "tools.logJsonPath",
+                    label: "JSON行日志位置",
+                    bottomHelpMessage: "按日期分文件，例如：./data/rclogs/2024-08-02.jsonl",
+                    component: "Input",
+                    required: false,
+                    componentProps: {
+                        placeholder: "请输入日志位置（默认./data/rclogs/）",
+                    },
+                },
                 {
                     field: "tools.biliSessData",
                     label: "哔哩哔哩SESSDATA",
@@ -296,6 +599,44 @@ export function supportGuoba() {
                         placeholder: "请输入Youtube Cookie所在的路径，例如：/path/to/cookies.txt",
                     },
                 },
+                {
+                    field: "tools.ytDlpDomains",
+                    label: "yt-dlp通用解析域名",
+                    bottomHelpMessage: "这些域名的链接交给 yt-dlp 解析，yt-dlp 支持的网站都可以添加，例如：vimeo.com、twitch.tv、nicovideo.jp、soundcloud.com",
+                    component: "GTags",
+                    required: false,
+                    componentProps: {
+                        allowAdd: true,
+                        allowDel: true,
+                    },
+                },
+                {
+                    field: "tools.ytDlpDuration",
+                    label: "yt-dlp最大解析时长",
+                    bottomHelpMessage: "超过时长只发送封面和信息（单位：秒），下载前检查设置了时长时以下载前检查为准",
+                    component: "InputNumber",
+                    required: false,
+                    componentProps: {
+                        placeholder: "请输入yt-dlp最大解析时长（默认600秒）",
+                    },
+                },
+                {
+                    field: "tools.ytDlpFallback",
+                    label: "yt-dlp兜底",
+                    bottomHelpMessage: "其他解析器失败时尝试用 yt-dlp 解析同一个链接，链接无效、超过限制和音乐平台不兜底",
+                    component: "Switch",
+                    required: false,
+                },
+                {
+                    field: "tools.freyrTimeout",
+                    label: "freyr下载超时",
+                    bottomHelpMessage: "Apple Music / Spotify 使用 freyr 下载单曲的超时时间（单位：秒），超时后结束 freyr",
+                    component: "InputNumber",
+                    required: false,
+                    componentProps: {
+                        placeholder: "请输入超时时间（默认600秒）",
+                    },
+                },
                 {
                     field: "tools.isSendVocal",
                     label: "网易云开启发送音频",
@@ -4,17 +4,40 @@ import YAML from 'yaml';
 import chokidar from 'chokidar';
 import Base from "./base.js";
 
+/**
+ * getCachedConfig 的缓存时间（毫秒）
+ * @type {number}
+ */
+const CONFIG_CACHE_TIME = 10 * 1000;
+
 class RConfig extends Base{
     constructor(e) {
         super(e);
         this.configPath = `./plugins/${RConfig.pluginName}/config/`;
         this.previousContent = new Map(); // 存储每个文件之前的内容
+        this.cachedContent = new Map(); // getCachedConfig 的缓存
     }
 
     getConfig(name) {
         return this.getYaml(name);
     }
 
+    /**
+     * 读取配置并缓存一小段时间，不监听文件
+     * 每次请求、每条消息都要读取的配置用这个，getConfig 每次都会同步读文件并创建一个新的监听
+     * @param name 配置名，例如：tools
+     * @returns {Object}
+     */
+    getCachedConfig(name) {
+        const cached = this.cachedContent.get(name);
+        if (cached && Date.now() - cached.time < CONFIG_CACHE_TIME) {
+            return cached.config;
+        }
+        const config = this.getYaml(name, false);
+        this.cachedContent.set(name, { time: Date.now(), config });
+        return config;
+    }
+
     getField(name, field) {
         const config = this.getConfig(name);
         return config[field];
@@ -63,6 +86,8 @@ class RConfig extends Base{
     }
 
     saveAllConfig(name, data) {
+        // 通过命令修改的配置立即生效
+        this.cachedContent.delete(name);
         let file = this.getFilePath(name);
         if (_.isEmpty(data)) {
             fs.existsSync(file) && fs.unlinkSync(file);
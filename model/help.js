@@ -1,6 +1,7 @@
 import Base from './base.js'
 import config from './config.js'
 import cfg from '../../../lib/config/config.js'
+import { buildResolverHelpList } from '../utils/resolver-registry.js'
 
 export default class Help extends Base {
     constructor(e) {
@@ -16,6 +17,12 @@ export default class Help extends Base {
     async getData() {
         let helpData = config.getConfig('help')
 
+        // 各平台解析的帮助由解析器提供
+        const resolveGroup = helpData.find(item => item.group === '工具类合集')
+        if (resolveGroup) {
+            resolveGroup.list = [...resolveGroup.list, ...buildResolverHelpList()]
+        }
+
         let groupCfg = cfg.getGroup(this.group_id)
 
         if (groupCfg.disable && groupCfg.disable.length) {
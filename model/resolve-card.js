@@ -0,0 +1,17 @@
+import Base from './base.js'
+
+export default class ResolveCard extends Base {
+    constructor (e) {
+        super(e)
+        this.model = 'resolve-card'
+    }
+
+    /** 生成解析信息卡片 */
+    async getData (cardData) {
+        return {
+            ...this.screenData,
+            saveId: 'resolve-card',
+            cardData,
+        }
+    }
+}
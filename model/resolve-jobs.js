@@ -0,0 +1,17 @@
+import Base from './base.js'
+
+export default class ResolveJobs extends Base {
+    constructor (e) {
+        super(e)
+        this.model = 'resolve-jobs'
+    }
+
+    /** 生成解析任务列表图片 */
+    async getData (jobData) {
+        return {
+            ...this.screenData,
+            saveId: 'resolve-jobs',
+            jobData,
+        }
+    }
+}
@@ -0,0 +1,17 @@
+import Base from './base.js'
+
+export default class ResolveStats extends Base {
+    constructor (e) {
+        super(e)
+        this.model = 'resolve-stats'
+    }
+
+    /** 生成解析统计图片 */
+    async getData (statsData) {
+        return {
+            ...this.screenData,
+            saveId: 'resolve-stats',
+            statsData,
+        }
+    }
+}
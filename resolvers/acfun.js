@@ -0,0 +1,50 @@
+import { downloadM3u8Videos, mergeAcFileToMp4, parseM3u8, parseUrl } from "../utils/acfun.js";
+
+/**
+ * Acfun
+ */
+export default {
+    key: "acfun",
+    name: "Acfun",
+    order: 50,
+    reg: "(acfun.cn|^ac[0-9]{8}$)",
+    help: [
+        { icon: "acfun", title: "acfun", desc: "猴山分享实时下载" },
+    ],
+
+    /**
+     * @param e
+     * @returns {Promise<ResolveResult>} 额外带有 m3u8Url
+     */
+    async resolve(e) {
+        let inputMsg = e.msg;
+        // 适配手机分享：https://m.acfun.cn/v/?ac=32838812&sid=d2b0991bd6ad9c09
+        if (inputMsg.includes("m.acfun.cn")) {
+            inputMsg = `https://www.acfun.cn/v/ac${ /ac=([^&?]*)/.exec(inputMsg)[1] }`;
+        } else if (inputMsg.includes("ac")) {
+            // 如果是
+            inputMsg = "https://www.acfun.cn/v/" + /ac\d+/.exec(inputMsg)[0];
+        }
+
+        const res = await parseUrl(inputMsg);
+        return { title: res.videoName, m3u8Url: res.urlM3u8s[res.urlM3u8s.length - 1] };
+    },
+
+    /**
+     * @param e
+     * @param result {ResolveResult} 见 resolve
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        await ctx.sendResolveInfo(e, { platform: "猴山", title: result.title });
+        // m3u8 拿不到 Content-Length，下载前检查会用 ffprobe 读取时长和码率，分片下载后合并到任务目录
+        await ctx.downloadAndSendVideo(e, result.m3u8Url, {
+            download: async ({ groupPath, target }) => {
+                const res = await parseM3u8(result.m3u8Url);
+                await downloadM3u8Videos(res.m3u8FullUrls, `${ groupPath }/`);
+                await mergeAcFileToMp4(res.tsNames, `${ groupPath }/`, target);
+            },
+        });
+    },
+};
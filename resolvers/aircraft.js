@@ -0,0 +1,86 @@
+import fs from "node:fs";
+import { MESSAGE_RECALL_TIME, RESOLVE_ERROR_TYPE } from "../constants/constant.js";
+import { checkToolInCurEnv } from "../utils/common.js";
+import { deleteFolderRecursive, getMediaFilesAndOthers, mkdirIfNotExists } from "../utils/file.js";
+import { getPlatformProxy } from "../utils/http-client.js";
+import { ResolveError } from "../utils/resolve-error.js";
+import { saveTDL, startTDL } from "../utils/tdl-util.js";
+
+/**
+ * 小飞机，使用 tdl 下载
+ */
+export default {
+    key: "aircraft",
+    name: "小飞机",
+    order: 180,
+    reg: "https:\\/\\/t\\.me\\/(?:c\\/\\d+\\/\\d+\\/\\d+|c\\/\\d+\\/\\d+|\\w+\\/\\d+\\/\\d+|\\w+\\/\\d+\\?\\w+=\\d+|\\w+\\/\\d+)",
+    help: [
+        { icon: "telegram", title: "小飞机（学习版）", desc: "解析小飞机" },
+    ],
+
+    /**
+     * @param e
+     * @param ctx apps/tools.js 的插件实例
+     * @returns {Promise<ResolveResult|undefined>} 额外带有 url、proxy、save（保存到 Save Messages），不是信任用户时不解析
+     */
+    async resolve(e, ctx) {
+        if (!(await ctx.isTrustUser(e.user_id))) {
+            e.reply("你没有权限使用此命令");
+            return undefined;
+        }
+        const proxy = await getPlatformProxy("小飞机");
+        const urlRex = /(?:https?:\/\/)?t\.me\/[A-Za-z\d._?%&+\-=\/#]*/g;
+        // 检查当前环境
+        const isExistTdl = await checkToolInCurEnv("tdl");
+        if (!isExistTdl) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.TOOL_MISSING, "小飞机需要 tdl");
+        }
+        // 没有协议头的链接补上 https，tdl 只接受完整的链接
+        const url = urlRex.exec(e.msg)[0].replace(/^(?!https?:\/\/)/, "https://");
+        return { url, proxy, save: e.msg.startsWith("保存") };
+    },
+
+    /**
+     * @param e
+     * @param result {ResolveResult} 见 resolve
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        const { url, proxy } = result;
+        if (result.save) {
+            // 发送文件到 SaveMessages
+            await saveTDL(url, !proxy, proxy);
+            e.reply("文件已保存到 Save Messages！");
+            return;
+        }
+        await ctx.sendResolveInfo(e, { platform: "小飞机（学习版）" });
+        const tgSavePath = `${ ctx.getCurDownloadPath(e) }/tg`;
+        // 如果没有文件夹则创建
+        await mkdirIfNotExists(tgSavePath);
+        // 删除之前的文件
+        await deleteFolderRecursive(tgSavePath);
+        await startTDL(url, tgSavePath, !proxy, proxy, ctx.videoDownloadConcurrency);
+        // 过滤当前文件
+        const mediaFiles = await getMediaFilesAndOthers(tgSavePath);
+        if (mediaFiles.images.length > 0) {
+            const imagesData = mediaFiles.images.map(item => {
+                const fileContent = fs.readFileSync(`${ tgSavePath }/${ item }`);
+                return {
+                    message: segment.image(fileContent),
+                    nickname: e.sender.card || e.user_id,
+                    user_id: e.user_id,
+                };
+            });
+            e.reply(await Bot.makeForwardMsg(imagesData), true, { recallMsg: MESSAGE_RECALL_TIME });
+        } else if (mediaFiles.videos.length > 0) {
+            for (const item of mediaFiles.videos) {
+                await ctx.sendVideoToUpload(e, `${ tgSavePath }/${ item }`);
+            }
+        } else {
+            for (let other of mediaFiles.others) {
+                await ctx.uploadGroupFile(e, `${ tgSavePath }/${ other }`);
+            }
+        }
+    },
+};
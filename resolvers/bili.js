@@ -0,0 +1,619 @@
+import _ from "lodash";
+import querystring from "querystring";
+import {
+    BILI_CDN_SELECT_LIST,
+    BILI_DEFAULT_INTRO_LEN_LIMIT,
+    BILI_RESOLUTION_LIST,
+    COMMON_USER_AGENT,
+    DIVIDING_LINE,
+    RESOLVE_ERROR_TYPE
+} from "../constants/constant.js";
+import {
+    ANIME_SERIES_SEARCH_LINK,
+    ANIME_SERIES_SEARCH_LINK2,
+    BILI_ARTICLE_INFO,
+    BILI_EP_INFO,
+    BILI_ONLINE,
+    BILI_SSID_INFO,
+    BILI_STREAM_FLV,
+    BILI_STREAM_INFO,
+    BILI_SUMMARY
+} from "../constants/tools.js";
+import { startBBDown } from "../utils/bbdown-util.js";
+import {
+    BILI_HEADER,
+    downloadBFile,
+    filterBiliDescLink,
+    getBiliAudio,
+    getDownloadUrl,
+    getDynamic,
+    getVideoInfo,
+    m4sToMp3,
+    mergeFileToMp4
+} from "../utils/bilibili.js";
+import { getWbi } from "../utils/biliWbi.js";
+import { checkToolInCurEnv, formatBiliInfo, secondsToTime, truncateString, urlTransformShortLink } from "../utils/common.js";
+import { checkAndRemoveFile, mkdirIfNotExists } from "../utils/file.js";
+import { createHttpClient } from "../utils/http-client.js";
+import { resolveLink } from "../utils/link-canonicalizer.js";
+import { restoreMedia, saveMedia } from "../utils/media-store.js";
+import { createLogger } from "../utils/plugin-logger.js";
+import { withResolveCache } from "../utils/resolve-cache.js";
+import { ResolveError, toResolveError } from "../utils/resolve-error.js";
+import { enqueueDownload, getCurrentJob, JOB_STAGE } from "../utils/resolve-job.js";
+import { textArrayToMakeForward } from "../utils/yunzai-util.js";
+
+const biliLog = createLogger("哔哩哔哩");
+
+/**
+ * 获取直播间信息和直播流
+ * @param liveId
+ * @returns {Promise<ResolveResult>}
+ */
+async function resolveLive(liveId) {
+    const client = createHttpClient("哔哩哔哩");
+    const headers = {
+        'User-Agent': COMMON_USER_AGENT,
+    };
+    const liveData = await client.getJson(`${ BILI_STREAM_INFO }?room_id=${ liveId }`, { headers });
+    const {
+        title,
+        user_cover,
+        keyframe,
+        description,
+        tags,
+        live_time,
+        parent_area_name,
+        area_name
+    } = liveData.data;
+    const streamData = await client.getJson(`${ BILI_STREAM_FLV }?cid=${ liveId }`, { headers });
+    return {
+        type: "live",
+        title,
+        desc: description?.replace(`&lt;p&gt;`, '').replace(`&lt;/p&gt;`, ''),
+        cover: user_cover || keyframe,
+        lines: [
+            tags && `🔖 标签：${ tags }`,
+            `📍 分区：${ parent_area_name ? `${ parent_area_name }` : '' }${ area_name ? `-${ area_name }` : '' }`,
+            live_time && `⏰ 直播时间：${ live_time }`,
+            `📺 独立播放器: https://www.bilibili.com/blackboard/live/live-activity-player.html?enterTheRoom=0&cid=${ liveId }`
+        ].filter(item => item),
+        streamUrl: streamData.data.durl[0].url,
+    };
+}
+
+/**
+ * 提取哔哩哔哩专栏
+ * @param url
+ * @returns {Promise<ResolveResult>}
+ */
+async function resolveArticle(url) {
+    const cvid = url.match(/read\/cv(\d+)/)?.[1] || url.match(/read\/mobile\?id=(\d+)/)?.[1];
+    const articleResp = await createHttpClient("哔哩哔哩").getJson(BILI_ARTICLE_INFO.replace("{}", cvid), {
+        headers: {
+            ...BILI_HEADER
+        }
+    });
+    const { title, author_name, origin_image_urls } = articleResp.data;
+    return { type: "article", title, author: author_name, images: origin_image_urls };
+}
+
+/**
+ * 获取哔哩哔哩动态：文字和图片
+ * @param url     动态链接
+ * @param session SESSDATA
+ * @returns {Promise<ResolveResult>}
+ */
+async function resolveDynamic(url, session) {
+    // 去除多余参数
+    if (url.includes("?")) {
+        url = url.substring(0, url.indexOf("?"));
+    }
+    const dynamicId = /[^/]+(?!.*\/)/.exec(url)[0];
+    const resp = await getDynamic(dynamicId, session);
+    return { type: "dynamic", desc: resp.dynamicDesc, images: resp.dynamicSrc };
+}
+
+/**
+ * 获取哔哩哔哩番剧信息
+ * @param url
+ * @returns {Promise<ResolveResult>} 额外带有 ep
+ */
+async function resolveBangumi(url) {
+    const client = createHttpClient("哔哩哔哩");
+    let ep;
+    // 处理ssid
+    if (url.includes("play\/ss")) {
+        const ssid = url.match(/\/ss(\d+)/)?.[1];
+        let resp = await client.getJson(BILI_SSID_INFO.replace("{}", ssid), {
+            headers: BILI_HEADER
+        });
+        ep = (resp.result.main_section.episodes[0].share_url).replace("https://www.bilibili.com/bangumi/play/ep", "");
+    }
+    // 处理普通情况，上述情况无法处理的
+    if (_.isEmpty(ep)) {
+        ep = url.match(/\/ep(\d+)/)?.[1];
+    }
+    const resp = await client.getJson(BILI_EP_INFO.replace("{}", ep), {
+        headers: BILI_HEADER
+    });
+    const result = resp.result;
+    const { views, danmakus, likes, coins, favorites, favorite } = result.stat;
+    // 封装成可以format的数据
+    const dataProcessMap = {
+        "播放": views,
+        "弹幕": danmakus,
+        "点赞": likes,
+        "分享": coins,
+        "追番": favorites,
+        "收藏": favorite,
+    };
+    const title = result.title;
+    return {
+        type: "bangumi",
+        ep,
+        title,
+        cover: result.cover,
+        lines: [
+            `🎯 评分: ${ result?.rating?.score ?? '-' } / ${ result?.rating?.count ?? '-' }`,
+            `📺 ${ result.new_ep.desc }, ${ result.seasons[0].new_ep.index_show }`,
+            formatBiliInfo(dataProcessMap),
+            `🪶 在线观看： ${ await urlTransformShortLink(ANIME_SERIES_SEARCH_LINK + title) }`,
+            `🌸 在线观看： ${ await urlTransformShortLink(ANIME_SERIES_SEARCH_LINK2 + title) }`,
+        ],
+    };
+}
+
+/**
+ * 获取视频信息，多P时按链接中的 p 参数选择分P
+ * 视频信息获取例子：http://api.bilibili.com/x/web-interface/view?bvid=BV1hY411m7cB
+ * @param url
+ * @param videoId BV号，没有时不使用缓存
+ * @returns {Promise<ResolveResult>} 额外带有 url、info、partTitle、p
+ */
+async function resolveVideo(url, videoId) {
+    // 请求视频信息，同一个视频在缓存时间内不再请求
+    const videoInfo = await withResolveCache(getCurrentJob()?.platform, videoId, () => getVideoInfo(url), info => info.title);
+    // 打印获取到的视频信息，用于调试时长问题
+    biliLog.debug(`Video Info for ${url}: duration=${videoInfo.duration}, pages=${JSON.stringify(videoInfo.pages)}`);
+    const { duration, pages } = videoInfo;
+
+    let durationForCheck;
+    let partTitle = null; // 用于存储分P标题
+
+    const urlParts = url.split('?');
+    const queryParams = urlParts.length > 1 ? querystring.parse(urlParts[1]) : {};
+    const pParam = queryParams.p ? parseInt(queryParams.p, 10) : null;
+
+    // 只有当分P数量大于1时才认为是多P，并处理分P标题
+    if (pages && pages.length > 1) {
+        if (pParam && pages.length >= pParam && pParam > 0) {
+            // 如果URL指定了有效的p参数
+            const targetPageInfo = pages[pParam - 1];
+            durationForCheck = targetPageInfo.duration;
+            partTitle = targetPageInfo.part; // 存储分P标题
+            biliLog.info(`分析到合集 P${pParam} (分P标题: ${partTitle}), 时长: ${durationForCheck}s`);
+        } else {
+            // 否则，默认检查第一个分P
+            const targetPageInfo = pages[0];
+            durationForCheck = targetPageInfo.duration;
+            // 在多P情况下，即使用户没有指定p，也显示第一个分p的标题
+            partTitle = targetPageInfo.part;
+            biliLog.info(`分析到合集 P1 (分P标题: ${partTitle}), 时长: ${durationForCheck}s`);
+        }
+    } else {
+        // 单P或无分P信息
+        durationForCheck = duration;
+        // 对于单P视频，我们不设置 partTitle，以避免混淆
+        biliLog.info(`Using total duration (Title: ${videoInfo.title}): ${durationForCheck}s`);
+    }
+    return {
+        type: "video",
+        id: videoId,
+        // 始终使用总标题
+        title: videoInfo.title,
+        duration: durationForCheck,
+        url,
+        info: videoInfo,
+        partTitle,
+        p: pParam || (pages && pages.length > 1 ? 1 : null),
+    };
+}
+
+/**
+ * 获取在线人数
+ * @param bvid
+ * @param cid
+ * @returns {Promise<{total: *, count: *}>}
+ */
+async function getOnlineTotal(bvid, cid) {
+    const onlineResp = await createHttpClient("哔哩哔哩").getJson(BILI_ONLINE.replace("{0}", bvid).replace("{1}", cid));
+    const online = onlineResp.data;
+    return {
+        total: online.total,
+        count: online.count
+    };
+}
+
+/**
+ * 构造哔哩哔哩信息
+ * @param result {ResolveResult} resolveVideo 的结果
+ * @param ctx    apps/tools.js 的插件实例
+ * @returns {Promise<ResolveMeta>}
+ */
+async function constructBiliInfo(result, ctx) {
+    const { desc, bvid, cid, pic, owner } = result.info;
+    // 视频信息
+    const { view, danmaku, reply, favorite, coin, share, like } = result.info.stat;
+    const biliInfo = { platform: "哔哩哔哩", title: result.title, author: owner?.name, lines: [], duration: result.duration };
+    // 是否显示信息
+    if (ctx.biliDisplayInfo) {
+        // 构造一个可扩展的Map
+        const dataProcessMap = {
+            "点赞": like,
+            "硬币": coin,
+            "收藏": favorite,
+            "分享": share,
+            "总播放量": view,
+            "弹幕数量": danmaku,
+            "评论": reply
+        };
+        biliInfo.lines.push(formatBiliInfo(dataProcessMap));
+    }
+    // 是否显示简介
+    if (ctx.biliDisplayIntro) {
+        // 过滤简介中的一些链接
+        const filteredDesc = await filterBiliDescLink(desc);
+        biliInfo.desc = truncateString(filteredDesc, ctx.toolsConfig.biliIntroLenLimit || BILI_DEFAULT_INTRO_LEN_LIMIT);
+    }
+    // 是否显示在线人数
+    if (ctx.biliDisplayOnline) {
+        // 拼接在线人数
+        const onlineTotal = await getOnlineTotal(bvid, cid);
+        biliInfo.lines.push(`🏄‍♂️️ 当前视频有 ${ onlineTotal.total } 人在观看，其中 ${ onlineTotal.count } 人在网页端观看`);
+    }
+
+    // 如果有多P标题，并且它和主标题不一样，则添加
+    if (result.partTitle && result.partTitle !== result.title) {
+        biliInfo.title += `|${ result.p }P: ${ result.partTitle }`;
+    }
+    // 是否显示封面
+    if (ctx.biliDisplayCover) {
+        biliInfo.cover = pic;
+    }
+    return biliInfo;
+}
+
+/**
+ * 哔哩哔哩总结
+ * @author zhiyu1998
+ * @param bvid 稿件
+ * @param cid 视频 cid
+ * @param up_mid UP主 mid
+ * @param session SESSDATA
+ * @return {Promise<string>}
+ */
+async function getBiliSummary(bvid, cid, up_mid, session) {
+    // 这个有点用，但不多
+    let wbi = "wts=1701546363&w_rid=1073871926b3ccd99bd790f0162af634";
+    if (!_.isEmpty(session)) {
+        wbi = await getWbi({ bvid, cid, up_mid }, session);
+    }
+    // 构造API
+    const summaryUrl = `${ BILI_SUMMARY }?${ wbi }`;
+    biliLog.info(summaryUrl);
+    // 构造结果：https://api.bilibili.com/x/web-interface/view/conclusion/get?bvid=BV1L94y1H7CV&cid=1335073288&up_mid=297242063&wts=1701546363&w_rid=1073871926b3ccd99bd790f0162af634
+    // SESSDATA 由 HTTP 客户端按配置带上
+    return createHttpClient("哔哩哔哩").getJson(summaryUrl)
+        .then(resp => {
+            biliLog.debug(resp)
+            const data = resp.data?.model_result;
+            biliLog.debug(data)
+            const summary = data?.summary;
+            const outline = data?.outline;
+            let resReply = "";
+            // 总体总结
+            if (summary) {
+                resReply = `\n摘要：${ summary }\n`;
+            }
+            // 分段总结
+            if (outline) {
+                const specificTimeSummary = outline.map(item => {
+                    const smallTitle = item.title;
+                    const keyPoint = item?.part_outline;
+                    // 时间点的总结
+                    const specificContent = keyPoint.map(point => {
+                        const { timestamp, content } = point;
+                        const specificTime = secondsToTime(timestamp);
+                        return `${ specificTime }  ${ content }\n`;
+                    }).join("");
+                    return `- ${ smallTitle }\n${ specificContent }\n`;
+                });
+                resReply += specificTimeSummary.join("");
+            }
+            return resReply;
+        });
+}
+
+/**
+ * 下载哔哩哔哩的视频和音频并合并
+ * @param title    文件名（不含扩展名）
+ * @param videoUrl
+ * @param audioUrl
+ * @param ctx      apps/tools.js 的插件实例
+ * @returns {Promise<unknown>}
+ */
+async function downBili(title, videoUrl, audioUrl, ctx) {
+    return Promise.all([
+        downloadBFile(
+            videoUrl,
+            title + "-video.m4s",
+            _.throttle(
+                value =>
+                    biliLog.mark("视频下载进度", {
+                        data: value,
+                    }),
+                1000,
+            ),
+            ctx.biliDownloadMethod,
+            ctx.videoDownloadConcurrency
+        ),
+        downloadBFile(
+            audioUrl,
+            title + "-audio.m4s",
+            _.throttle(
+                value =>
+                    biliLog.mark("音频下载进度", {
+                        data: value,
+                    }),
+                1000,
+            ),
+            ctx.biliDownloadMethod,
+            ctx.videoDownloadConcurrency
+        ),
+    ]).then(data => {
+        getCurrentJob()?.setStage(JOB_STAGE.MERGING);
+        return mergeFileToMp4(data[0].fullFileName, data[1].fullFileName, `${ title }.mp4`);
+    });
+}
+
+/**
+ * 哔哩哔哩下载策略
+ * @param e     事件
+ * @param url   链接
+ * @param path  保存路径
+ * @param mediaId 媒体库中的内容ID，例如 BV号 + 分P、番剧的 ep 号
+ * @param ctx   apps/tools.js 的插件实例
+ * @returns {Promise<void>}
+ */
+async function biliDownloadStrategy(e, url, path, mediaId, ctx) {
+    const tempPath = `${ path }temp`;
+    // #解析 1080p 这类临时清晰度优先
+    const biliResolution = ctx.getResolveOption("biliResolution");
+    // 媒体库中已经有合并好的视频就不再下载
+    const mediaKey = { platform: getCurrentJob()?.platform, id: mediaId, quality: biliResolution };
+    if (await restoreMedia(mediaKey, `${ tempPath }.mp4`)) {
+        return ctx.sendVideoToUpload(e, `${ tempPath }.mp4`);
+    }
+    return enqueueDownload(async () => {
+        // =================以下是调用BBDown的逻辑=====================
+        // 下载视频和音频
+        // 检测是否开启BBDown
+        if (ctx.biliUseBBDown) {
+            // 检测环境的 BBDown
+            const isExistBBDown = await checkToolInCurEnv("BBDown");
+            // 存在 BBDown
+            if (isExistBBDown) {
+                // 删除之前的文件
+                await checkAndRemoveFile(`${ tempPath }.mp4`);
+                // 下载视频
+                await startBBDown(url, path, {
+                    biliSessData: ctx.biliSessData,
+                    biliUseAria2: ctx.biliDownloadMethod === 1,
+                    biliCDN: BILI_CDN_SELECT_LIST.find(item => item.value === ctx.biliCDN)?.sign,
+                    biliResolution,
+                });
+                await saveMedia(mediaKey, `${ tempPath }.mp4`);
+                // 发送视频
+                return ctx.sendVideoToUpload(e, `${ tempPath }.mp4`);
+            }
+            e.reply("🚧 R插件提醒你：开启但未检测到当前环境有【BBDown】，即将使用默认下载方式 ( ◡̀_◡́)ᕤ");
+        }
+        // =================默认下载方式=====================
+        try {
+            // 获取分辨率参数 QN，如果没有默认使用 480p --> 32
+            const qn = BILI_RESOLUTION_LIST.find(item => item.value === biliResolution).qn || 32;
+            // 获取下载链接
+            const data = await getDownloadUrl(url, ctx.biliSessData, qn);
+
+            if (data.audioUrl != null) {
+                await downBili(tempPath, data.videoUrl, data.audioUrl, ctx);
+            } else {
+                // 处理无音频的情况
+                await downloadBFile(data.videoUrl, `${ tempPath }.mp4`, _.throttle(
+                    value =>
+                        biliLog.mark("视频下载进度", {
+                            data: value,
+                        }),
+                    1000,
+                ));
+            }
+            await saveMedia(mediaKey, `${ tempPath }.mp4`);
+
+            // 上传视频
+            return ctx.sendVideoToUpload(e, `${ tempPath }.mp4`);
+        } catch (err) {
+            // 错误处理
+            throw toResolveError(err, RESOLVE_ERROR_TYPE.NETWORK);
+        }
+    });
+}
+
+/**
+ * 下载哔哩哔哩音乐
+ * @param e
+ * @param url
+ * @param ctx apps/tools.js 的插件实例
+ * @returns {Promise<void>}
+ */
+async function sendBiliMusic(e, url, ctx) {
+    const videoId = /video\/[^\?\/ ]+/.exec(url)[0].split("/")[1];
+    await enqueueDownload(async () => {
+        const audioUrl = await getBiliAudio(videoId, "");
+        const biliMusicPath = await m4sToMp3(audioUrl, ctx.getCurDownloadPath(e));
+        // 发送语音
+        await e.reply(segment.record(biliMusicPath));
+        // 上传群文件
+        await ctx.uploadGroupFile(e, biliMusicPath);
+    });
+}
+
+/**
+ * 发送视频：识别信息、总结，没有超过时长时下载视频或者只下载音频
+ * @param e
+ * @param result {ResolveResult} resolveVideo 的结果
+ * @param ctx    apps/tools.js 的插件实例
+ * @returns {Promise<void>}
+ */
+async function sendVideo(e, result, ctx) {
+    const { bvid, cid, owner } = result.info;
+    // 创建文件，如果不存在，
+    const path = `${ ctx.getCurDownloadPath(e) }/`;
+    await mkdirIfNotExists(path);
+    // 动态构造哔哩哔哩信息
+    const biliInfo = await constructBiliInfo(result, ctx);
+    // 总结
+    if (ctx.biliDisplaySummary) {
+        const summary = await getBiliSummary(bvid, cid, owner.mid, ctx.biliSessData);
+        // 封装总结
+        summary && e.reply(await Bot.makeForwardMsg(textArrayToMakeForward(e, [`「R插件 x bilibili」联合为您总结内容：`, summary])));
+    }
+    // 限制视频解析
+    if (result.duration > ctx.biliDuration) {
+        const durationInMinutes = (result.duration / 60).toFixed(0);
+        biliInfo.notice = `${ DIVIDING_LINE.replace('{}', '限制说明') }\n当前视频时长约：${ durationInMinutes }分钟，\n大于管理员设置的最大时长 ${ (ctx.biliDuration / 60).toFixed(2).replace(/\.00$/, '') } 分钟！`;
+        await ctx.sendResolveInfo(e, biliInfo);
+        return;
+    }
+    await ctx.sendResolveInfo(e, biliInfo);
+    // 只提取音乐处理
+    if (ctx.getResolveOption("audioOnly") || e.msg !== undefined && e.msg.startsWith("音乐")) {
+        await sendBiliMusic(e, result.url, ctx);
+        return;
+    }
+    // 下载文件
+    await biliDownloadStrategy(e, result.url, path, `${ bvid }_p${ result.p || 1 }`, ctx);
+}
+
+/**
+ * 哔哩哔哩
+ */
+export default {
+    key: "bili",
+    name: "哔哩哔哩",
+    order: 30,
+    reg: "(bilibili.com|b23.tv|bili2233.cn|m.bilibili.com|t.bilibili.com|^BV[1-9a-zA-Z]{10}$)",
+    help: [
+        { icon: "bilibili", title: "哔哩哔哩", desc: "哔哩哔哩分享实时下载" },
+    ],
+
+    /**
+     * @param e
+     * @param ctx apps/tools.js 的插件实例
+     * @returns {Promise<ResolveResult>} 额外带有 type：video、live、article、dynamic、bangumi
+     */
+    async resolve(e, ctx) {
+        const urlRex = /(?:https?:\/\/)?(?:[\w-]+\.)?(?:bilibili\.com|b23\.tv|bili2233\.cn)\/[A-Za-z\d._?%&+\-=\/#]*/;
+        let url = e.msg === undefined ? e.message.shift().data.replaceAll("\\", "") : e.msg.trim().replaceAll("\\", "");
+        // 直接发送BV号的处理
+        if (/^BV[1-9a-zA-Z]{10}$/.exec(url)?.[0]) {
+            url = `https://www.bilibili.com/video/${ url }`;
+            biliLog.info(url);
+        }
+        // 短号展开、去掉追踪参数，只需要跳转地址所以用 HEAD
+        const link = await resolveLink(urlRex.exec(url)?.[0] || url, { method: "HEAD" });
+        url = link.url;
+        // 直播间分享
+        if (link.type === "live") {
+            return resolveLive(link.id);
+        }
+        // 处理专栏
+        if (e.msg !== undefined && url.includes("read\/cv") || url.includes("read\/mobile")) {
+            return resolveArticle(url);
+        }
+        // 动态处理
+        if (url.includes("t.bilibili.com") || url.includes("bilibili.com\/opus") || url.includes("bilibili.com\/dynamic")) {
+            if (_.isEmpty(ctx.biliSessData)) {
+                throw new ResolveError(RESOLVE_ERROR_TYPE.COOKIE_EXPIRED, "解析动态需要填写 biliSessData");
+            }
+            return resolveDynamic(url, ctx.biliSessData);
+        }
+        // 处理番剧
+        if (url.includes("play\/ep") || url.includes("play\/ss")) {
+            return resolveBangumi(url);
+        }
+        return resolveVideo(url, link.type === "video" ? link.id : undefined);
+    },
+
+    /**
+     * @param e
+     * @param result {ResolveResult} 见 resolve
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        switch (result.type) {
+            case "live":
+                await ctx.sendResolveInfo(e, { platform: "哔哩哔哩直播", title: result.title, desc: result.desc, cover: result.cover, lines: result.lines });
+                await ctx.sendStreamSegment(e, result.streamUrl);
+                break;
+            case "article":
+                if (result.images) {
+                    const titleMsg = {
+                        message: { type: "text", text: `标题：${ result.title }\n作者：${ result.author }` },
+                        nickname: e.sender.card || e.user_id,
+                        user_id: e.user_id,
+                    };
+                    await e.reply(Bot.makeForwardMsg(result.images.map(item => ({
+                        message: segment.image(item),
+                        nickname: e.sender.card || e.user_id,
+                        user_id: e.user_id,
+                    })).concat(titleMsg)));
+                }
+                break;
+            case "dynamic":
+                if (result.images.length === 0 && !result.desc) {
+                    await e.reply(`${ ctx.identifyPrefix }识别：哔哩哔哩动态, 但是失败！`);
+                    break;
+                }
+                // 先发送动态描述文本
+                if (result.desc) {
+                    await ctx.sendResolveInfo(e, { platform: "哔哩哔哩动态", desc: result.desc });
+                }
+                // 处理图片消息
+                if (result.images.length > ctx.globalImageLimit) {
+                    await e.reply(await Bot.makeForwardMsg(result.images.map(item => ({
+                        message: segment.image(item),
+                        nickname: e.sender.card || e.user_id,
+                        user_id: e.user_id,
+                    }))));
+                } else if (result.images.length > 0) {
+                    await e.reply(result.images.map(item => segment.image(item)));
+                }
+                break;
+            case "bangumi": {
+                const path = `${ ctx.getCurDownloadPath(e) }/`;
+                await mkdirIfNotExists(path);
+                await ctx.sendResolveInfo(e, { platform: "哔哩哔哩番剧", title: result.title, cover: result.cover, lines: result.lines });
+                // 如果使用了BBDown && 没有填写session 就放开下载
+                if (ctx.biliUseBBDown) {
+                    // 下载文件
+                    await biliDownloadStrategy(e, `https://www.bilibili.com/bangumi/play/ep${ result.ep }`, path, `ep${ result.ep }`, ctx);
+                }
+                break;
+            }
+            default:
+                await sendVideo(e, result, ctx);
+        }
+    },
+};
@@ -0,0 +1,67 @@
+import { RESOLVER_CATEGORY } from "../constants/constant.js";
+import { getBodianAudio, getBodianMusicInfo, getBodianMv } from "../utils/bodian.js";
+import { checkAndRemoveFile } from "../utils/file.js";
+
+/**
+ * 波点
+ */
+export default {
+    key: "bodianMusic",
+    name: "波点",
+    order: 70,
+    category: RESOLVER_CATEGORY.MUSIC,
+    reg: "(h5app.kuwo.cn)",
+    help: [
+        { icon: "bodian", title: "波点音乐", desc: "波点云音乐点解析" },
+    ],
+
+    /**
+     * @param e
+     * @returns {Promise<ResolveResult>} 额外带有 musicId 或 mvId、artist、tags
+     */
+    async resolve(e) {
+        // 音频例子：https://h5app.kuwo.cn/m/bodian/playMusic.html?uid=3216773&musicId=192015898&opusId=&extendType=together
+        // 视频例子：https://h5app.kuwo.cn/m/bodian/play.html?uid=3216773&mvId=118987&opusId=770096&extendType=together
+        const id =
+            /(?=musicId).*?(?=&)/.exec(e.msg.trim())?.[0].replace("musicId=", "") ||
+            /(?=mvId).*?(?=&)/.exec(e.msg.trim())?.[0].replace("mvId=", "");
+        const { name, album, artist, albumPic120, categorys } = await getBodianMusicInfo(id);
+        return {
+            title: name,
+            album,
+            artist,
+            cover: albumPic120,
+            tags: categorys.map(item => item.name),
+            musicId: e.msg.includes("musicId") ? id : undefined,
+            mvId: e.msg.includes("mvId") ? id : undefined,
+        };
+    },
+
+    /**
+     * @param e
+     * @param result {ResolveResult} 见 resolve
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        await ctx.sendResolveInfo(e, {
+            platform: "波点音乐",
+            title: `${ result.title }-${ result.album }-${ result.artist }`,
+            cover: result.cover,
+            lines: [`标签：${ result.tags.join(" | ") }`],
+        });
+        if (result.musicId) {
+            const sendPath = await getBodianAudio(result.musicId, ctx.getCurDownloadPath(e), `${ result.title }-${ result.artist }`);
+            // 发送语音
+            await e.reply(segment.record(sendPath));
+            // 上传群文件
+            await ctx.uploadGroupFile(e, sendPath);
+            // 删除文件
+            await checkAndRemoveFile(sendPath);
+        } else if (result.mvId) {
+            // 下载 && 发送
+            const { lowUrl } = await getBodianMv(result.mvId);
+            await ctx.downloadAndSendVideo(e, lowUrl, { cover: result.cover });
+        }
+    },
+};
@@ -0,0 +1,294 @@
+import _ from "lodash";
+import { COMMON_USER_AGENT, DIVIDING_LINE, douyinTypeMap, RESOLVE_ERROR_TYPE } from "../constants/constant.js";
+import { DY_COMMENT, DY_INFO, DY_LIVE_INFO, DY_LIVE_INFO_2, DY_TOUTIAO_INFO } from "../constants/tools.js";
+import * as aBogus from "../utils/a-bogus.cjs";
+import { checkAndRemoveFile, mkdirIfNotExists } from "../utils/file.js";
+import { createHttpClient } from "../utils/http-client.js";
+import { resolveLink } from "../utils/link-canonicalizer.js";
+import { createLogger } from "../utils/plugin-logger.js";
+import { withResolveCache } from "../utils/resolve-cache.js";
+import { ResolveError, toResolveError } from "../utils/resolve-error.js";
+import { getCurrentJob } from "../utils/resolve-job.js";
+import { genVerifyFp } from "../utils/tiktok.js";
+
+const douyinLog = createLogger("抖音");
+
+/**
+ * 请求作品详情和评论时使用的网页请求头
+ * 感谢 Evil0ctal（https://github.com/Evil0ctal）提供的header 和 B1gM8c（https://github.com/B1gM8c）的逆向算法X-Bogus
+ * @type {Object}
+ */
+const DOUYIN_HEADERS = {
+    "Accept-Language": "zh-CN,zh;q=0.8,zh-TW;q=0.7,zh-HK;q=0.5,en-US;q=0.3,en;q=0.2",
+    "User-Agent": COMMON_USER_AGENT,
+    Referer: "https://www.douyin.com/",
+};
+
+/**
+ * 给接口链接加上 a-bogus 参数
+ * @param url
+ * @returns {string}
+ */
+function withABogus(url) {
+    const abParam = aBogus.generate_a_bogus(
+        new URLSearchParams(new URL(url).search).toString(),
+        DOUYIN_HEADERS["User-Agent"],
+    );
+    return `${ url }&a_bogus=${ abParam }`;
+}
+
+/**
+ * 直播流按清晰度从高到低选一个
+ * @param streamUrl
+ * @returns {string|undefined}
+ */
+function pickLiveStream(streamUrl) {
+    const flv = streamUrl?.flv_pull_url;
+    return flv?.HD1 || flv?.FULL_HD1 || flv?.SD1 || flv?.SD2;
+}
+
+/**
+ * 动图交给其他API解析
+ * TODO 如果有新的好解决方案可以删除，如果遇到https://www.iesdouyin.com/share/slides，这类动图暂时交付给其他API解析，感谢群u:"Error: Cannot find id"提供的服务器
+ * @param detailId
+ * @returns {Promise<ResolveResult>}
+ */
+async function resolveSlides(detailId) {
+    const apiResponse = await createHttpClient("抖音").fetch("http://tk.xigua.wiki:5555/douyin/detail", {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'accept': 'application/json'
+        },
+        body: JSON.stringify({
+            cookie: "",
+            proxy: "",
+            source: false,
+            detail_id: detailId
+        }),
+        timeout: 15000
+    });
+    const apiResult = apiResponse.ok ? await apiResponse.json() : undefined;
+    if (apiResponse.status !== 200 || !apiResult || !apiResult.data) {
+        douyinLog.error(`API返回异常状态码或数据结构错误: ${ apiResponse.status }, ${ JSON.stringify(apiResult) }`);
+        throw new ResolveError(RESOLVE_ERROR_TYPE.API_CHANGED, "解析抖音动图失败");
+    }
+    const apiData = apiResult.data;
+    return {
+        type: "slides",
+        id: detailId,
+        author: apiData.nickname || "未知作者",
+        desc: apiData.desc || "无简介",
+        downloads: apiData.downloads,
+    };
+}
+
+/**
+ * 动图：逐个下载图片和视频后合并转发
+ * @param e
+ * @param result
+ * @param ctx    apps/tools.js 的插件实例
+ * @returns {Promise<void>}
+ */
+async function sendSlides(e, result, ctx) {
+    const client = createHttpClient("抖音");
+    // 用于存储下载的文件路径
+    const downloadedFilePaths = [];
+    const messageSegments = [];
+    const downloadPath = ctx.getCurDownloadPath(e);
+    await mkdirIfNotExists(downloadPath);
+    await ctx.sendResolveInfo(e, { platform: "抖音动图", author: result.author, desc: result.desc });
+    for (const [index, downloadUrl] of result.downloads.entries()) {
+        const isVideo = downloadUrl.includes(".mp4") || downloadUrl.includes("video_id");
+        const filePath = `${ downloadPath }/temp${ index > 0 ? index : '' }.${ isVideo ? "mp4" : "png" }`;
+        try {
+            douyinLog.info(`下载${ isVideo ? "视频" : "图片" }: ${ downloadUrl }`);
+            await client.download(downloadUrl, filePath);
+            douyinLog.info(`${ isVideo ? "视频" : "图片" }下载完成: ${ filePath }`);
+            messageSegments.push({
+                message: isVideo ? segment.video(filePath) : segment.image(filePath),
+                nickname: e.sender.card || e.user_id,
+                user_id: e.user_id,
+            });
+            downloadedFilePaths.push(filePath);
+        } catch (downloadError) {
+            douyinLog.error(`下载文件失败: ${ downloadUrl }, 错误: ${ downloadError.message }`);
+            messageSegments.push({
+                message: { type: "text", text: `下载文件失败: ${ downloadUrl }` },
+                nickname: e.sender.card || e.user_id,
+                user_id: e.user_id,
+            });
+        }
+    }
+    if (messageSegments.length > 0) {
+        await e.reply(await Bot.makeForwardMsg(messageSegments));
+        // 删除文件
+        for (const filePath of downloadedFilePaths) {
+            await checkAndRemoveFile(filePath);
+        }
+    }
+}
+
+/**
+ * 获取 DY 评论
+ * @param e
+ * @param douId
+ * @param ctx   apps/tools.js 的插件实例
+ * @returns {Promise<void>}
+ */
+async function sendComments(e, douId, ctx) {
+    if (!ctx.douyinComments) {
+        return;
+    }
+    const commentsResp = await createHttpClient("抖音").getJson(withABogus(DY_COMMENT.replace("{}", douId)), {
+        headers: DOUYIN_HEADERS,
+    });
+    const replyComments = commentsResp.comments.map(item => {
+        return {
+            message: item.text,
+            nickname: e.sender.card || e.user_id,
+            user_id: e.user_id,
+        };
+    });
+    e.reply(await Bot.makeForwardMsg(replyComments));
+}
+
+/**
+ * 抖音
+ */
+export default {
+    key: "douyin",
+    name: "抖音",
+    order: 10,
+    reg: "(v.douyin.com|live.douyin.com)",
+    help: [
+        { icon: "tiktok", title: "douyin", desc: "抖音分享实时下载" },
+    ],
+
+    /**
+     * @param e
+     * @param ctx apps/tools.js 的插件实例
+     * @returns {Promise<ResolveResult>} 额外带有 type：video、image、live、slides
+     */
+    async resolve(e, ctx) {
+        const urlRex = /(http:\/\/|https:\/\/)(v|live).douyin.com\/[A-Za-z\d._?%&+\-=\/#]*/;
+        // 检测无效链接，例如：v.douyin.com
+        if (!urlRex.test(e.msg)) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "例如只有 v.douyin.com 的链接");
+        }
+        // 获取链接
+        const link = await resolveLink(urlRex.exec(e.msg.trim())[0], {
+            headers: { "User-Agent": COMMON_USER_AGENT },
+            withCookies: true,
+        });
+        const douUrl = link.url;
+        if (link.type === "slides") {
+            return resolveSlides(link.id);
+        }
+        // 获取 ID
+        const douId = link.id;
+        // 当前版本需要填入cookie
+        if (_.isEmpty(ctx.douyinCookie)) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.COOKIE_EXPIRED, "没有填写抖音 Cookie");
+        }
+        if (_.isEmpty(douId)) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK);
+        }
+        // 以下是更新了很多次的抖音API历史，且用且珍惜
+        // const url = `https://www.iesdouyin.com/web/api/v2/aweme/iteminfo/?item_ids=${ douId }`;
+        // const url = `https://www.iesdouyin.com/aweme/v1/web/aweme/detail/?aweme_id=${ douId }&aid=1128&version_name=23.5.0&device_platform=android&os_version=2333`;
+        // Cookie 由 HTTP 客户端按配置带上
+        const client = createHttpClient("抖音");
+        if (douUrl.includes("webcast.amemv.com")) {
+            // 第二类直播类型，这里不能带上网页的请求头，需要短链接跳转时设置的 ttwid
+            const webcastData = await client.getJson(DY_LIVE_INFO_2.replace("{}", douId) + `&verifyFp=${ genVerifyFp() }` + `&msToken=${ link.cookies.ttwid || '' }`);
+            const { title, cover, user_count, stream_url } = webcastData.data.room;
+            return { type: "live", id: douId, title, cover: cover?.url_list?.[0], userCount: user_count, streamUrl: pickLiveStream(stream_url) };
+        }
+        // 第一类直播类型 / 普通类型，定义一个dy请求，如果失败进行3次重试
+        const dyApi = douUrl.includes("live.douyin.com") ? DY_LIVE_INFO.replaceAll("{}", douId) : DY_INFO.replace("{}", douId);
+        const dyResponse = () => client.getJson(withABogus(dyApi), { headers: DOUYIN_HEADERS, retries: 3 });
+        try {
+            // 直播数据逻辑
+            if (douUrl.includes("live")) {
+                const data = await dyResponse();
+                const { title, cover, user_count_str, stream_url } = data.data.data?.[0];
+                return { type: "live", id: douId, title, cover: cover?.url_list?.[0], userCount: user_count_str, streamUrl: pickLiveStream(stream_url) };
+            }
+            // 同一个作品在缓存时间内不再请求
+            const item = await withResolveCache(getCurrentJob()?.platform, douId, async () => {
+                const data = await dyResponse();
+                return data.aweme_detail;
+            }, aweme => aweme.desc);
+            // 如果为null则退出
+            if (item == null) {
+                throw new ResolveError(RESOLVE_ERROR_TYPE.CONTENT_UNAVAILABLE);
+            }
+            return {
+                type: douyinTypeMap[item.aweme_type],
+                id: douId,
+                desc: item.desc,
+                author: item.author?.nickname,
+                // 多位面选择：play_addr、play_addr_265、play_addr_h264
+                videoUri: item.video?.play_addr?.uri,
+                duration: Math.trunc((item.video?.duration || 0) / 1000),
+                cover: item.video?.cover?.url_list?.pop(),
+                images: item.images?.map(image => image.url_list[0]),
+            };
+        } catch (err) {
+            // 抖音接口出错时大多是 Cookie 过期
+            throw toResolveError(err, RESOLVE_ERROR_TYPE.COOKIE_EXPIRED);
+        }
+    },
+
+    /**
+     * @param e
+     * @param result {ResolveResult} 见 resolve
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        if (result.type === "slides") {
+            await sendSlides(e, result, ctx);
+        } else if (result.type === "live") {
+            await ctx.sendResolveInfo(e, {
+                platform: "抖音直播",
+                title: result.title,
+                cover: result.cover,
+                lines: [`🏄‍♂️在线人数：${ result.userCount }人正在观看`],
+            });
+            // 下载10s的直播流
+            await ctx.sendStreamSegment(e, result.streamUrl);
+            return;
+        } else if (result.type === "video") {
+            // 进行时间判断，如果超过时间阈值就不发送
+            const durationThreshold = ctx.biliDuration;
+            // 一些共同发送内容
+            const dyInfo = { platform: "抖音", author: result.author, desc: result.desc, duration: result.duration };
+            if (result.duration >= durationThreshold) {
+                // 超过阈值，不发送的情况
+                dyInfo.cover = result.cover;
+                dyInfo.notice = `${ DIVIDING_LINE.replace('{}', '限制说明') }\n当前视频时长约：${ (result.duration / 60).toFixed(2).replace(/\.00$/, '') } 分钟，\n大于管理员设置的最大时长 ${ (durationThreshold / 60).toFixed(2).replace(/\.00$/, '') } 分钟！`;
+                await ctx.sendResolveInfo(e, dyInfo);
+            } else {
+                await ctx.sendResolveInfo(e, dyInfo);
+                // 分辨率判断是否压缩
+                const resolution = ctx.getResolveOption("douyinCompression") ? "720p" : "1080p";
+                // 使用今日头条 CDN 进一步加快解析速度
+                const resUrl = DY_TOUTIAO_INFO.replace("1080p", resolution).replace("{}", result.videoUri);
+                await ctx.downloadAndSendVideo(e, resUrl, { mediaId: result.id, quality: resolution });
+            }
+        } else if (result.type === "image") {
+            // 发送描述
+            await ctx.sendResolveInfo(e, { platform: "抖音", title: result.desc, author: result.author });
+            // 无水印图片列表
+            await e.reply(await Bot.makeForwardMsg(result.images.map(item => ({
+                message: segment.image(item),
+                nickname: e.sender.card || e.user_id,
+                user_id: e.user_id,
+            }))));
+        }
+        // 如果开启评论的就调用
+        await sendComments(e, result.id, ctx);
+    },
+};
@@ -0,0 +1,157 @@
+import path from "path";
+import { COMMON_USER_AGENT, RESOLVE_ERROR_TYPE, RESOLVER_CATEGORY } from "../constants/constant.js";
+import { checkToolInCurEnv, downloadAudio, formatSeconds } from "../utils/common.js";
+import { checkAndRemoveFile, getMediaFilesAndOthers, mkdirIfNotExists } from "../utils/file.js";
+import { fetchFreyrTrackList, getFreyrTrackList, isFreyrCollection, saveFreyrTrackList, startFreyr } from "../utils/freyr-util.js";
+import { createHttpClient } from "../utils/http-client.js";
+import { createLogger } from "../utils/plugin-logger.js";
+import { assertSafeUrl } from "../utils/process-runner.js";
+import { ResolveError } from "../utils/resolve-error.js";
+import { getCurrentJob, JOB_STAGE } from "../utils/resolve-job.js";
+import { textArrayToMakeForward } from "../utils/yunzai-util.js";
+
+const freyrLog = createLogger("freyr");
+
+/**
+ * 用于Apple Music抓取部分信息的函数
+ * @param log
+ * @returns {{artist: (*|string), album: (*|string), title: (*|string)}}
+ */
+function parseFreyrLog(log) {
+    const titleMatch = log.match(/Title: (.*)/);
+    const albumMatch = log.match(/Album: (.*)/);
+    const artistMatch = log.match(/Artist: (.*)/);
+
+    const title = titleMatch ? titleMatch[1] : 'N/A';
+    const album = albumMatch ? albumMatch[1] : 'N/A';
+    const artist = artistMatch ? artistMatch[1] : 'N/A';
+
+    return { title, album, artist };
+}
+
+/**
+ * 使用 freyr 下载单曲，国内服务器改用临时接口
+ * @param e
+ * @param result {ResolveResult} 见 resolve
+ * @param ctx    apps/tools.js 的插件实例
+ * @returns {Promise<void>}
+ */
+async function sendTrack(e, result, ctx) {
+    const { url, site } = result;
+    // 找到R插件保存目录
+    const currentWorkingDirectory = path.resolve(ctx.getCurDownloadPath(e));
+    // 如果没有文件夹就创建一个
+    await mkdirIfNotExists(currentWorkingDirectory + "/am");
+    // 检测是否存在框架
+    const isExistFreyr = await checkToolInCurEnv("freyr");
+    if (!isExistFreyr) {
+        throw new ResolveError(RESOLVE_ERROR_TYPE.TOOL_MISSING, `${ site }需要 freyr`);
+    }
+    // 执行命令，下载进度会显示在 #R任务 中，从曲目列表中选择的单曲同时显示是第几首
+    getCurrentJob()?.setStage(JOB_STAGE.DOWNLOADING);
+    const list = await getFreyrTrackList(e);
+    const trackIndex = list ? list.tracks.findIndex(track => track.url === url) : -1;
+    if (trackIndex >= 0) {
+        getCurrentJob()?.setTrack(trackIndex + 1, list.tracks.length);
+    }
+    const log = await startFreyr(url, currentWorkingDirectory + "/am/", ctx.freyrTimeout);
+    freyrLog.debug(log);
+    // 获取信息
+    let { title, album, artist } = parseFreyrLog(log);
+    // 兜底策略
+    if (site === "Apple Music" && (title === "N/A" || album === "N/A" || artist === "N/A")) {
+        const data = await createHttpClient("AM+Spotify").getJson(`https://api.fabdl.com/apple-music/get?url=${ url }`, {
+            headers: {
+                "User-Agent": COMMON_USER_AGENT,
+                "Referer": "https://apple-music-downloader.com/",
+                "Origin": "https://apple-music-downloader.com",
+                "Accept": "application/json, text/plain, */*",
+            },
+        });
+        const { name, artists } = data.result;
+        title = name;
+        artist = artists;
+    }
+    // 国内服务器解决方案
+    if (!(await ctx.isOverseasServer())) {
+        // 临时接口
+        const audioUrl = await ctx.musicTempApi(e, `${ title } ${ artist }`, site);
+        // 下载音乐
+        try {
+            const audioPath = await downloadAudio(audioUrl, ctx.getCurDownloadPath(e), title, 'follow');
+            // 发送语音
+            if (ctx.isSendVocal) {
+                await e.reply(segment.record(audioPath));
+            }
+            // 判断是不是icqq
+            await ctx.uploadGroupFile(e, audioPath);
+            await checkAndRemoveFile(audioPath);
+        } catch (err) {
+            freyrLog.error(`下载音乐失败，错误信息为: ${ err.message }`);
+        }
+        return;
+    }
+    // freyr 逻辑
+    await ctx.sendResolveInfo(e, { platform: site, title, author: artist });
+    // 检查目录是否存在
+    const musicPath = currentWorkingDirectory + "/am/" + artist + "/" + album;
+    // 找到音频文件
+    const mediaFiles = await getMediaFilesAndOthers(musicPath);
+    for (let other of mediaFiles.others) {
+        await ctx.uploadGroupFile(e, `${ musicPath }/${ other }`);
+    }
+}
+
+/**
+ * AM+Spotify
+ */
+export default {
+    key: "freyr",
+    name: "AM+Spotify",
+    order: 150,
+    category: RESOLVER_CATEGORY.MUSIC,
+    reg: "(music.apple.com|open.spotify.com)",
+    help: [
+        { icon: "applemusic", title: "Apple Music", desc: "Apple Music音乐分享实时下载" },
+        { icon: "spotify", title: "Spotify", desc: "解析Spotify音乐" },
+        { icon: "applemusic", title: "#曲目N", desc: "专辑、歌单发送曲目列表后，选择第N首下载" },
+    ],
+
+    /**
+     * @param e
+     * @returns {Promise<ResolveResult>} 额外带有 url、site，专辑和歌单带有曲目列表 list
+     */
+    async resolve(e) {
+        // https://music.apple.com/cn/album/hectopascal-from-yagate-kimi-ni-naru-piano-arrangement/1468323115?i=1468323724
+        // 过滤参数，只把链接交给 freyr
+        const url = assertSafeUrl(/https?:\/\/[^\s]+/.exec(e.msg.replace("&ls", ""))?.[0]);
+        // 匹配名字
+        const site = url.includes("spotify") ? "Spotify" : "Apple Music";
+        // 专辑、歌单只发送曲目列表，整张下载太慢，用 #曲目N 选择单曲
+        const list = isFreyrCollection(url) ? await fetchFreyrTrackList(url) : undefined;
+        return { url, site, list };
+    },
+
+    /**
+     * @param e
+     * @param result {ResolveResult} 见 resolve
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        const list = result.list;
+        if (!list) {
+            await sendTrack(e, result, ctx);
+            return;
+        }
+        await saveFreyrTrackList(e, list);
+        const trackLines = list.tracks.map((track, index) =>
+            `${ index + 1 }. ${ track.title } - ${ track.artist }${ track.duration ? `（${ formatSeconds(track.duration) }）` : "" }`);
+        await ctx.sendResolveInfo(e, {
+            platform: result.site,
+            title: list.title,
+            notice: `共 ${ list.tracks.length } 首，发送 #曲目N 下载第N首`,
+        });
+        e.reply(await Bot.makeForwardMsg(textArrayToMakeForward(e, trackLines)));
+    },
+};
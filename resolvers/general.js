@@ -0,0 +1,65 @@
+import { RESOLVE_ERROR_TYPE } from "../constants/constant.js";
+import GeneralLinkAdapter from "../utils/general-link-adapter.js";
+import { createLogger } from "../utils/plugin-logger.js";
+import { ResolveError } from "../utils/resolve-error.js";
+
+const adapterLog = createLogger("通用解析");
+
+/**
+ * 通用（包含快手等）
+ */
+export default {
+    key: "general",
+    name: "通用（包含快手等）",
+    order: 80,
+    reg: "(chenzhongtech.com|kuaishou.com|ixigua.com|h5.pipix.com|h5.pipigx.com|s.xsj.qq.com|m.okjike.com)",
+    help: [
+        { icon: "kuaishou", title: "快手（测试阶段）", desc: "快手分享实时下载" },
+        { icon: "xigua", title: "西瓜（测试阶段）", desc: "西瓜分享实时下载" },
+        { icon: "pipi", title: "皮皮虾（测试阶段）", desc: "皮皮虾分享实时下载" },
+    ],
+
+    /**
+     * @param e
+     * @returns {Promise<ResolveResult>} 额外带有 site：适配到的平台名称
+     */
+    async resolve(e) {
+        const adapter = await GeneralLinkAdapter.create(e.msg);
+        adapterLog.debug(`Adapter object: ${JSON.stringify(adapter, null, 2)}`);
+        adapterLog.debug(`adapter.images: ${JSON.stringify(adapter.images)}`);
+        adapterLog.debug(`adapter.video: ${adapter.video}`);
+        if (!adapter.video && !(adapter.images?.length > 0)) {
+            adapterLog.debug(`No images or video found for ${adapter.name}. Replying with failure message.`);
+            throw new ResolveError(RESOLVE_ERROR_TYPE.CONTENT_UNAVAILABLE, "没有找到图片或视频");
+        }
+        return {
+            site: adapter.name,
+            title: adapter.desc,
+            // 视频：https://www.kuaishou.com/short-video/3xhjgcmir24m4nm
+            videoUrl: adapter.video || undefined,
+            images: adapter.images,
+        };
+    },
+
+    /**
+     * 有视频时只发视频，否则合并转发图片
+     * @param e
+     * @param result {ResolveResult} 见 resolve
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        await ctx.sendResolveInfo(e, { platform: result.site, title: result.title });
+        if (result.videoUrl) {
+            adapterLog.debug(`Entering video sending logic for ${result.site}. Video URL: ${result.videoUrl}`);
+            await ctx.downloadAndSendVideo(e, result.videoUrl);
+            return;
+        }
+        adapterLog.debug(`Entering image sending logic for ${result.site}`);
+        e.reply(Bot.makeForwardMsg(result.images.map(item => ({
+            message: segment.image(item),
+            nickname: e.sender.card || e.user_id,
+            user_id: e.user_id,
+        }))));
+    },
+};
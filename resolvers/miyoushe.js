@@ -0,0 +1,83 @@
+import { RESOLVER_CATEGORY } from "../constants/constant.js";
+import { MIYOUSHE_ARTICLE } from "../constants/tools.js";
+import { createHttpClient } from "../utils/http-client.js";
+import { getDS } from "../utils/mihoyo.js";
+
+/**
+ * 米游社
+ */
+export default {
+    key: "miyoushe",
+    name: "米游社",
+    order: 100,
+    category: RESOLVER_CATEGORY.IMAGE,
+    reg: "(miyoushe.com)",
+    help: [
+        { icon: "miyoushe", title: "米游社", desc: "米游社文章分享实时下载" },
+    ],
+
+    /**
+     * @param e
+     * @returns {Promise<ResolveResult>}
+     */
+    async resolve(e) {
+        let url = e.msg === undefined ? e.message.shift().data.replaceAll("\\", "") : e.msg.trim();
+        let msg = /(?:https?:\/\/)?(m|www)\.miyoushe\.com\/[A-Za-z\d._?%&+\-=\/#]*/.exec(url)?.[0];
+        const id = /\/(\d+)$/.exec(msg)?.[0].replace("\/", "");
+
+        const respJson = await createHttpClient("米游社").getJson(MIYOUSHE_ARTICLE.replace("{}", id), {
+            headers: {
+                "Accept-Encoding": "gzip, deflate, br",
+                "Accept-Language": "zh-cn",
+                "Connection": "keep-alive",
+                "x-rpc-app_version": "2.87.0",
+                "x-rpc-client_type": "4",
+                "Referer": "https://www.miyoushe.com/",
+                "DS": getDS(),
+            }
+        });
+        // 分别获取：封面、主题、内容、图片
+        const { cover, subject, content, images } = respJson.data.post.post;
+        let realContent = "";
+        // safe JSON.parse
+        try {
+            realContent = JSON.parse(content);
+        } catch (e) {
+            realContent = content;
+        }
+        // 视频，暂时选取分辨率较低的video进行解析
+        const resolutions = respJson.data.post?.vod_list?.[0]?.resolutions;
+        return {
+            title: subject,
+            desc: realContent?.describe,
+            cover,
+            images,
+            videoUrl: resolutions?.[0]?.url,
+        };
+    },
+
+    /**
+     * @param e
+     * @param result {ResolveResult}
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        await ctx.sendResolveInfo(e, { platform: "米游社", title: result.title, desc: result.desc, cover: result.cover });
+        // 图片
+        if (result.images) {
+            if (result.images.length > ctx.globalImageLimit) {
+                e.reply(Bot.makeForwardMsg(result.images.map(item => ({
+                    message: segment.image(item),
+                    nickname: e.sender.card || e.user_id,
+                    user_id: e.user_id,
+                }))));
+            } else {
+                e.reply(result.images.map(item => segment.image(item)));
+            }
+        }
+        if (result.videoUrl) {
+            await ctx.downloadAndSendVideo(e, result.videoUrl);
+        }
+    },
+};
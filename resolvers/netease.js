@@ -0,0 +1,251 @@
+import _ from "lodash";
+import puppeteer from "../../../lib/puppeteer/puppeteer.js";
+import { COMMON_USER_AGENT, RESOLVE_ERROR_TYPE, RESOLVER_CATEGORY } from "../constants/constant.js";
+import { NETEASE_API_CN, NETEASE_SONG_DOWNLOAD } from "../constants/tools.js";
+import NeteaseMusicInfo from "../model/neteaseMusicInfo.js";
+import { cleanFilename, downloadAudio } from "../utils/common.js";
+import { checkAndRemoveFile } from "../utils/file.js";
+import { createHttpClient } from "../utils/http-client.js";
+import { resolveLink } from "../utils/link-canonicalizer.js";
+import { createLogger } from "../utils/plugin-logger.js";
+import { ResolveError } from "../utils/resolve-error.js";
+
+const neteaseLog = createLogger("网易云");
+
+/**
+ * 英转中字典匹配
+ * @type {Object<string, string>}
+ */
+const AUDIO_LEVEL_DICT = {
+    'standard': '标准',
+    'higher': '较高',
+    'exhigh': '极高',
+    'lossless': '无损',
+    'hires': 'Hi-Res',
+    'jyeffect': '高清环绕声',
+    'sky': '沉浸环绕声',
+    'dolby': '杜比全景声',
+    'jymaster': '超清母带'
+};
+
+/**
+ * 字节转MB，保留两位小数
+ * @param sizeInBytes
+ * @returns {string}
+ */
+function bytesToMB(sizeInBytes) {
+    return (sizeInBytes / (1024 * 1024)).toFixed(2);
+}
+
+/**
+ * 获取歌曲百科中的标签，获取失败时只返回已经拿到的部分
+ * @param client
+ * @param songWikiUrl
+ * @returns {Promise<string[]>}
+ */
+async function getSongTags(client, songWikiUrl) {
+    const typelist = [];
+    const res = await client.getJson(songWikiUrl, {
+        headers: {
+            "User-Agent": COMMON_USER_AGENT,
+        },
+    });
+    const wikiData = res.data.blocks[1].creatives;
+    try {
+        typelist.push(wikiData[0].resources[0]?.uiElement?.mainTitle?.title || "");
+        // 防止数据过深出错
+        const recTags = wikiData[1];
+        if (recTags?.resources[0]) {
+            for (let i = 0; i < Math.min(3, recTags.resources.length); i++) {
+                if (recTags.resources[i] && recTags.resources[i].uiElement && recTags.resources[i].uiElement.mainTitle.title) {
+                    typelist.push(recTags.resources[i].uiElement.mainTitle.title);
+                }
+            }
+        } else {
+            if (recTags.uiElement.textLinks[0].text) typelist.push(recTags.uiElement.textLinks[0].text);
+        }
+        if (wikiData[2].uiElement.mainTitle.title == 'BPM') {
+            typelist.push('BPM ' + wikiData[2].uiElement.textLinks[0].text);
+        } else {
+            typelist.push(wikiData[2].uiElement.textLinks[0].text || '');
+        }
+    } catch (error) {
+        neteaseLog.error('获取标签报错：', error);
+    }
+    return typelist;
+}
+
+/**
+ * 发送歌曲信息卡片
+ * @param e
+ * @param musicInfo
+ * @returns {Promise<void>}
+ */
+async function sendMusicInfo(e, musicInfo) {
+    const data = await new NeteaseMusicInfo(e).getData(musicInfo);
+    let img = await puppeteer.screenshot("neteaseMusicInfo", data);
+    await e.reply(img);
+}
+
+/**
+ * 下载音乐，发送群文件和语音
+ * @param e
+ * @param url
+ * @param title
+ * @param musicExt 后缀名
+ * @param ctx      apps/tools.js 的插件实例
+ * @returns {Promise<void>}
+ */
+async function sendAudio(e, url, title, musicExt, ctx) {
+    try {
+        const path = await downloadAudio(url, ctx.getCurDownloadPath(e), title, 'follow', musicExt);
+        // 发送群文件
+        await ctx.uploadGroupFile(e, path);
+        // 发送语音
+        if (musicExt != 'mp4' && ctx.isSendVocal) {
+            await e.reply(segment.record(path));
+        }
+        // 删除文件
+        await checkAndRemoveFile(path);
+    } catch (err) {
+        neteaseLog.error(`下载音乐失败，错误信息为: ${ err }`);
+    }
+}
+
+/**
+ * 网易云音乐
+ */
+export default {
+    key: "netease",
+    name: "网易云音乐",
+    order: 110,
+    category: RESOLVER_CATEGORY.MUSIC,
+    reg: "(music.163.com|163cn.tv)",
+
+    /**
+     * @param e
+     * @param ctx apps/tools.js 的插件实例
+     * @returns {Promise<ResolveResult>} 额外带有 type：mv、program（播客）、song
+     */
+    async resolve(e, ctx) {
+        const message =
+            e.msg === undefined ? e.message.shift().data.replaceAll("\\", "") : e.msg.trim();
+        // 展开短号（此时会变成 y.music.163.com），网页版、移动版、外链统一为 https://music.163.com/song?id=xxx
+        const neteaseUrl = /(?:https?:\/\/)?(?:[\w-]+\.)?(?:music\.163\.com|163cn\.tv)\/[^\s"'<>]*/.exec(message)?.[0];
+        const link = await resolveLink(neteaseUrl || message, { method: "HEAD" });
+        const id = link.id;
+        // 如果没有下载地址跳出if
+        if (_.isEmpty(id)) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "没有找到歌曲 id");
+        }
+        // 优先判断是否使用自建 API，否则按是否海外自动选择 API
+        const autoSelectNeteaseApi = ctx.useLocalNeteaseAPI
+            ? ctx.neteaseCloudAPIServer
+            : (await ctx.isOverseasServer() ? NETEASE_SONG_DOWNLOAD : NETEASE_API_CN);
+        const client = createHttpClient("网易云音乐");
+        const headers = {
+            "User-Agent": COMMON_USER_AGENT,
+            "Cookie": ctx.neteaseCookie
+        };
+        // 检测ck可用性
+        const isCkExpired = await client.getJson(autoSelectNeteaseApi + '/login/status', { headers }).then(res => {
+            const userInfo = res.data.profile;
+            if (userInfo) {
+                neteaseLog.info('ck活着，使用ck进行高音质下载');
+                return true;
+            } else {
+                neteaseLog.info('ck失效，将启用临时接口下载');
+                return false;
+            }
+        });
+        // mv截断
+        if (link.type === "mv") {
+            const [mvDetailData, mvUrlData] = await Promise.all([
+                client.getJson(`${ autoSelectNeteaseApi }/mv/detail?mvid=${ id }`, { headers }),
+                client.getJson(`${ autoSelectNeteaseApi }/mv/url?id=${ id }`, { headers })
+            ]);
+            const { name: mvName, artistName: mvArtist, cover: mvCover } = mvDetailData?.data;
+            return { type: "mv", title: `${ mvName } - ${ mvArtist }`, cover: mvCover, videoUrl: mvUrlData?.data?.url };
+        }
+        const AUTO_NETEASE_SONG_DOWNLOAD = autoSelectNeteaseApi + "/song/url/v1?id={}&level=" + ctx.neteaseCloudAudioQuality;
+        // 播客截断
+        if (link.type === "program") {
+            const programDetail = await client.getJson(`${ autoSelectNeteaseApi }/dj/program/detail?id=${ id }`, { headers })
+                .then(res => res.program);
+            if (!programDetail) {
+                throw new ResolveError(RESOLVE_ERROR_TYPE.CONTENT_UNAVAILABLE, "没有找到这期播客");
+            }
+            const { mainSong, dj, coverUrl, name } = programDetail;
+            const resp = await client.getJson(AUTO_NETEASE_SONG_DOWNLOAD.replace("{}", mainSong.id), { headers });
+            return {
+                type: "program",
+                title: `${ dj.nickname } - ${ name }`,
+                audioUrl: resp.data?.[0]?.url || null,
+                // 动态判断后缀名
+                ext: resp.data?.[0]?.type,
+                musicInfo: {
+                    'cover': coverUrl,
+                    'songName': name,
+                    'singerName': dj.nickname,
+                    'size': bytesToMB(resp.data?.[0]?.size) + " MB",
+                    'musicType': [programDetail.category, programDetail.secondCategory, '播客']
+                },
+            };
+        }
+        // 国内解决方案，替换为国内API (其中，NETEASE_API_CN是国内基址)
+        const detailUrl = `${ autoSelectNeteaseApi }/song/detail?ids=${ id }`;
+        // 请求netease数据
+        const resp = await client.getJson(AUTO_NETEASE_SONG_DOWNLOAD.replace("{}", id), { headers });
+        // 英转中，如果找不到对应翻译，返回原词
+        const audioLevel = AUDIO_LEVEL_DICT[resp.data?.[0]?.level] || resp.data?.[0]?.level;
+        // 获取歌曲信息和封面
+        const song = await client.getJson(detailUrl).then(res => res.songs[0]);
+        const songName = cleanFilename(song?.name);
+        const artistName = cleanFilename(song?.ar?.[0].name);
+        // 歌曲百科API
+        const typelist = await getSongTags(client, `${ autoSelectNeteaseApi }/song/wiki/summary?id=${ id }`);
+        typelist.push(audioLevel);
+        return {
+            type: "song",
+            title: artistName + '-' + songName,
+            audioUrl: resp.data?.[0]?.url || null,
+            audioLevel,
+            // 动态判断后缀名
+            ext: resp.data?.[0]?.type,
+            isCkExpired,
+            musicInfo: {
+                'cover': song?.al?.picUrl,
+                'songName': songName,
+                'singerName': artistName,
+                'size': bytesToMB(resp.data?.[0]?.size) + " MB",
+                'musicType': typelist
+            },
+        };
+    },
+
+    /**
+     * @param e
+     * @param result {ResolveResult} 见 resolve
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        if (result.type === "mv") {
+            await ctx.sendResolveInfo(e, { platform: "网易云MV", title: result.title, cover: result.cover });
+            await ctx.downloadAndSendVideo(e, result.videoUrl, { cover: result.cover });
+            return;
+        }
+        let url = result.audioUrl;
+        if (result.type === "program") {
+            await sendMusicInfo(e, result.musicInfo);
+        } else if (!result.isCkExpired || url == null) {
+            // 一般这个情况是VIP歌曲 (如果没有url或者是国内,公用接口暂时不可用，必须自建并且ck可用状态才能进行高质量解析)
+            url = await ctx.musicTempApi(e, result.title, "网易云音乐", result.musicInfo);
+        } else {
+            // 拥有ck，并且有效，直接进行解析
+            await sendMusicInfo(e, result.musicInfo);
+        }
+        // 下载音乐
+        await sendAudio(e, url, result.title, result.ext, ctx);
+    },
+};
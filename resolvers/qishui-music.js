@@ -0,0 +1,52 @@
+import { RESOLVER_CATEGORY } from "../constants/constant.js";
+import { downloadAudio } from "../utils/common.js";
+import { checkAndRemoveFile } from "../utils/file.js";
+import { createLogger } from "../utils/plugin-logger.js";
+
+const qishuiLog = createLogger("汽水音乐");
+
+/**
+ * 汽水音乐，使用临时接口下载
+ */
+export default {
+    key: "qishuiMusic",
+    name: "汽水音乐",
+    order: 170,
+    category: RESOLVER_CATEGORY.MUSIC,
+    reg: "(qishui.douyin.com)",
+
+    /**
+     * @param e
+     * @returns {Promise<ResolveResult>} 只有 title：歌手和歌名
+     */
+    async resolve(e) {
+        const normalRegex = /^(.*?)\s*https?:\/\//;
+        const musicInfo = normalRegex.exec(e.msg)?.[1].trim().replace("@汽水音乐", "");
+        qishuiLog.info(`识别音乐为：${ musicInfo }`);
+        return { title: musicInfo };
+    },
+
+    /**
+     * @param e
+     * @param result {ResolveResult}
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        // 使用临时接口下载
+        const url = await ctx.musicTempApi(e, result.title, "汽水音乐");
+        // 下载音乐
+        try {
+            const path = await downloadAudio(url, ctx.getCurDownloadPath(e), result.title, 'follow');
+            // 发送语音
+            if (ctx.isSendVocal) {
+                await e.reply(segment.record(path));
+            }
+            // 判断是不是icqq
+            await ctx.uploadGroupFile(e, path);
+            await checkAndRemoveFile(path);
+        } catch (err) {
+            qishuiLog.error(`下载音乐失败，错误信息为: ${ err.message }`);
+        }
+    },
+};
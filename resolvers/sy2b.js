@@ -0,0 +1,123 @@
+import { DIVIDING_LINE } from "../constants/constant.js";
+import { cleanFilename } from "../utils/common.js";
+import { checkAndRemoveFile } from "../utils/file.js";
+import { getPlatformProxy } from "../utils/http-client.js";
+import { resolveLink } from "../utils/link-canonicalizer.js";
+import { restoreMedia, saveMedia } from "../utils/media-store.js";
+import { getCurrentJob } from "../utils/resolve-job.js";
+import { convertToSeconds, ytbFormatTime } from "../utils/youtube.js";
+import { ytDlpGetDuration, ytDlpGetThumbnail, ytDlpGetTilt, ytDlpHelper } from "../utils/yt-dlp-util.js";
+
+/**
+ * YouTube，下载都交给 yt-dlp
+ */
+export default {
+    key: "sy2b",
+    name: "YouTube",
+    order: 90,
+    // 本身就是 yt-dlp 下载，失败时不再兜底
+    ytDlpFallback: false,
+    reg: "(youtube.com|youtu.be|music.youtube.com)",
+    help: [
+        { icon: "youtube", title: "油管", desc: "油管学习版分享实时下载" },
+    ],
+
+    /**
+     * @param e
+     * @param ctx apps/tools.js 的插件实例
+     * @returns {Promise<ResolveResult>} 额外带有 url、proxy、audio（只下载音频）
+     */
+    async resolve(e, ctx) {
+        const proxy = await getPlatformProxy("YouTube");
+        const urlRex = /(?:https?:\/\/)?(www\.|music\.)?youtube\.com\/[A-Za-z\d._?%&+\-=\/#]*/g;
+        const url2Rex = /(?:https?:\/\/)?youtu\.be\/[A-Za-z\d._?%&+\-=\/#]*/g;
+
+        // 去掉列表、分享等参数，youtu.be 统一为 watch?v=，yt-dlp 不经过 shell 执行，不需要转义 & 符号
+        const youtubeLink = await resolveLink(urlRex.exec(e.msg)?.[0] || url2Rex.exec(e.msg)?.[0]);
+        const url = youtubeLink.url;
+        const title = (await ytDlpGetTilt(url, !proxy, proxy, ctx.youtubeCookiePath)).toString().replace(/\n/g, '');
+        // 音频逻辑：YouTube Music 或者 #解析 音频
+        const audio = url.includes("music") || Boolean(ctx.getResolveOption("audioOnly"));
+        return {
+            id: youtubeLink.id,
+            title,
+            url,
+            proxy,
+            audio,
+            duration: audio ? undefined : convertToSeconds((await ytDlpGetDuration(url, !proxy, proxy, ctx.youtubeCookiePath)).toString().replace(/\n/g, '')),
+        };
+    },
+
+    /**
+     * @param e
+     * @param result {ResolveResult} 见 resolve
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        const { url, proxy } = result;
+        const timeRange = ytbFormatTime(ctx.youtubeClipTime);
+        const graphicsOptions = ctx.getResolveOption("youtubeGraphicsOptions");
+        //非最高画质，就按照设定的来
+        let graphics = "";
+        if (graphicsOptions != 0) {
+            graphics = `[height<=${ graphicsOptions }]`;
+        }
+
+        const path = ctx.getCurDownloadPath(e);
+        // 清理文件名并截断到10个字符
+        const safeTitlePrefix = cleanFilename(result.title).substring(0, 10);
+
+        // 使用安全标题作为文件名前缀
+        const videoFilename = `${safeTitlePrefix}.mp4`;
+        const audioFilename = `${safeTitlePrefix}.flac`;
+        const thumbnailFilenamePrefix = `${safeTitlePrefix}_thumbnail`;
+
+        // 清理可能存在的旧文件或同名文件
+        await checkAndRemoveFile(`${path}/${videoFilename}`);
+        await checkAndRemoveFile(`${path}/${audioFilename}`);
+        await checkAndRemoveFile(`${path}/${thumbnailFilenamePrefix}.png`);
+        // 下载缩略图并获取实际文件名
+        const actualThumbnailFilename = await ytDlpGetThumbnail(path, url, !proxy, proxy, ctx.youtubeCookiePath, thumbnailFilenamePrefix);
+        const fullThumbnailPath = `${path}/${actualThumbnailFilename}`;
+
+        if (result.audio) {
+            await ctx.sendResolveInfo(e, { platform: "油管音乐", title: result.title, cover: fullThumbnailPath });
+            await ytDlpHelper(path, url, !proxy, proxy, ctx.videoDownloadConcurrency, safeTitlePrefix, true, graphics, timeRange, ctx.youtubeCookiePath, true);
+            const fullAudioPath = `${path}/${audioFilename}`;
+            if (ctx.isSendVocal) {
+                await e.reply(segment.record(fullAudioPath));
+            }
+            await ctx.uploadGroupFile(e, fullAudioPath); // uploadGroupFile 内部会删除 fullAudioPath
+            await checkAndRemoveFile(fullThumbnailPath); // 删除缩略图
+            return;
+        }
+
+        // 下面为视频逻辑，清晰度和截取范围不同的视频分开存放
+        const mediaKey = {
+            platform: getCurrentJob()?.platform,
+            id: result.id,
+            quality: `${ graphicsOptions }_${ timeRange }`,
+        };
+        const youtubeInfo = { platform: "油管", title: result.title, cover: fullThumbnailPath, duration: result.duration };
+        if (result.duration > ctx.youtubeDuration) {
+            youtubeInfo.notice = `⌚${ DIVIDING_LINE.replace('{}', '限制说明').replace(/\n/g, '') }⌚\n视频时长超限，大于管理员限定解析时长：${ (ctx.youtubeDuration / 60).toFixed(2).replace(/\.00$/, '') } 分钟`;
+            await ctx.sendResolveInfo(e, youtubeInfo);
+            await checkAndRemoveFile(fullThumbnailPath); // 删除缩略图
+            return;
+        }
+        if (result.duration > ctx.youtubeClipTime && timeRange != '00:00:00-00:00:00') {
+            youtubeInfo.notice = `✂️${ DIVIDING_LINE.replace('{}', '截取说明').replace(/\n/g, '') }✂️\n大于管理员限定截取时长：${ (ctx.youtubeClipTime / 60).toFixed(2).replace(/\.00$/, '') } 分钟\n将截取视频片段，请耐心等待`;
+        } else {
+            youtubeInfo.notice = "视频下载中请耐心等待";
+        }
+        await ctx.sendResolveInfo(e, youtubeInfo);
+        // 注意：sendVideoToUpload 内部会删除视频文件，但不会删除缩略图
+        if (!(await restoreMedia(mediaKey, `${ path }/${ videoFilename }`))) {
+            await ytDlpHelper(path, url, !proxy, proxy, ctx.videoDownloadConcurrency, safeTitlePrefix, true, graphics, timeRange, ctx.youtubeCookiePath);
+            await saveMedia(mediaKey, `${ path }/${ videoFilename }`);
+        }
+        await ctx.sendVideoToUpload(e, `${ path }/${ videoFilename }`);
+        await checkAndRemoveFile(fullThumbnailPath); // 删除缩略图
+    },
+};
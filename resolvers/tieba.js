@@ -0,0 +1,101 @@
+import { COMMON_USER_AGENT, RESOLVER_CATEGORY } from "../constants/constant.js";
+import { HIBI_API_SERVICE } from "../constants/tools.js";
+import { createHttpClient } from "../utils/http-client.js";
+import { createLogger } from "../utils/plugin-logger.js";
+
+const tiebaLog = createLogger("贴吧");
+
+/**
+ * 贴吧
+ */
+export default {
+    key: "tieba",
+    name: "贴吧",
+    order: 190,
+    category: RESOLVER_CATEGORY.IMAGE,
+    reg: "tieba.baidu.com",
+
+    /**
+     * @param e
+     * @returns {Promise<ResolveResult>} 额外带有 posts：全部楼层
+     */
+    async resolve(e) {
+        // 提取链接和ID
+        const msg = /https:\/\/tieba\.baidu\.com\/p\/[A-Za-z0-9]+/.exec(e.msg)?.[0];
+        const id = /\/p\/([A-Za-z0-9]+)/.exec(msg)?.[1];
+        // 获取帖子详情
+        const hibi = HIBI_API_SERVICE + `/tieba/post_detail?tid=${ id }`;
+        const hibiResp = await createHttpClient("贴吧").getJson(hibi, {
+            headers: {
+                "User-Agent": COMMON_USER_AGENT,
+            }
+        });
+        return { title: hibiResp.post_list[0].title, posts: hibiResp.post_list };
+    },
+
+    /**
+     * 楼主的文字作为简介、图片合并转发，其他楼层合并转发
+     * @param e
+     * @param result {ResolveResult} 见 resolve
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        // 获取楼主的消息
+        const { content } = result.posts[0];
+        const texts = [];
+        let extractImages = [];
+        // 如果内容中有图片、文本或视频，文本会作为简介发送
+        if (content && content.length > 0) {
+            for (const { cdn_src, text, link } of content) {
+                tiebaLog.info({ cdn_src, text, link }); // 可以一次性输出多个属性
+
+                // 处理图片
+                if (cdn_src) extractImages.push(segment.image(cdn_src));
+
+                // 处理文本
+                if (text) texts.push(text);
+
+                // 处理视频
+                if (link) {
+                    await ctx.downloadAndSendVideo(e, link);
+                }
+            }
+        }
+        await ctx.sendResolveInfo(e, { platform: "贴吧", title: result.title, desc: texts.join("\n") });
+        extractImages && e.reply(Bot.makeForwardMsg(extractImages.map(item => ({
+            message: item,
+            nickname: e.sender.card || e.user_id,
+            user_id: e.user_id,
+        }))));
+        // 切除楼主的消息
+        const others = result.posts.slice(1);
+        // 贴吧楼层的消息处理：如果响应中有其他帖子，代码创建一条转发消息，包含其他帖子的内容，并回复原始消息
+        const reply = others.flatMap(item => {
+            if (!item.content || item.content.length === 0) return [];
+
+            return item.content.map(floor => {
+                const commonData = {
+                    nickname: e.sender.card || e.user_id,
+                    user_id: e.user_id,
+                };
+
+                if (floor?.cdn_src) {
+                    return {
+                        ...commonData,
+                        message: segment.image(floor.cdn_src)
+                    };
+                } else if (floor?.text) {
+                    return {
+                        ...commonData,
+                        message: { type: 'text', text: floor.text || '-' }
+                    };
+                }
+
+                return null;
+            }).filter(Boolean); // 过滤掉 null 的值
+        });
+
+        e.reply(await Bot.makeForwardMsg(reply));
+    },
+};
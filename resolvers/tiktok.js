@@ -0,0 +1,59 @@
+import { cleanFilename } from "../utils/common.js";
+import { checkAndRemoveFile } from "../utils/file.js";
+import { getPlatformProxy } from "../utils/http-client.js";
+import { resolveLink } from "../utils/link-canonicalizer.js";
+import { restoreMedia, saveMedia } from "../utils/media-store.js";
+import { getCurrentJob } from "../utils/resolve-job.js";
+import { ytDlpGetTilt, ytDlpHelper } from "../utils/yt-dlp-util.js";
+
+/**
+ * TikTok
+ */
+export default {
+    key: "tiktok",
+    name: "TikTok",
+    order: 20,
+    // 本身就是 yt-dlp 下载，失败时不再兜底
+    ytDlpFallback: false,
+    reg: "(www.tiktok.com)|(vt.tiktok.com)|(vm.tiktok.com)",
+
+    /**
+     * @param e
+     * @returns {Promise<ResolveResult>} 额外带有 url、proxy
+     */
+    async resolve(e) {
+        // 按配置选择代理，需要代理但没有梯子时直接返回
+        const proxy = await getPlatformProxy("TikTok");
+        // 去除多余参数，vt / vm 短链接需要代理，不在共用的短链接展开中，交给 yt-dlp 展开
+        const tiktokLink = await resolveLink(/(?:https?:\/\/)?(?:www|vt|vm)\.tiktok\.com\/[^\s]*/.exec(e.msg)?.[0] || e.msg.trim());
+        const title = (await ytDlpGetTilt(tiktokLink.url, !proxy, proxy)).toString().replace(/\n/g, '');
+        return { id: tiktokLink.id, title, url: tiktokLink.url, proxy };
+    },
+
+    /**
+     * @param e
+     * @param result {ResolveResult} 见 resolve
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        const path = ctx.getCurDownloadPath(e);
+        // 清理文件名并截断到10个字符
+        const safeTitlePrefix = cleanFilename(result.title).substring(0, 10);
+        const videoPath = `${ path }/${ safeTitlePrefix }.mp4`;
+
+        // 清理可能存在的旧文件或同名文件
+        await checkAndRemoveFile(videoPath);
+        // 清理旧的 temp 文件
+        await checkAndRemoveFile(`${ path }/temp.mp4`);
+
+        await ctx.sendResolveInfo(e, { platform: "TikTok", title: result.title, notice: "视频下载中请耐心等待" });
+        const mediaKey = { platform: getCurrentJob()?.platform, id: result.id };
+        if (!(await restoreMedia(mediaKey, videoPath))) {
+            // 注意：ytDlpHelper 的 outputFilename 参数位置在 maxThreads 之后
+            await ytDlpHelper(path, result.url, !result.proxy, result.proxy, ctx.videoDownloadConcurrency, safeTitlePrefix);
+            await saveMedia(mediaKey, videoPath);
+        }
+        await ctx.sendVideoToUpload(e, videoPath);
+    },
+};
@@ -0,0 +1,127 @@
+import _ from "lodash";
+import fs from "node:fs";
+import { COMMON_USER_AGENT, RESOLVE_ERROR_TYPE, RESOLVER_CATEGORY } from "../constants/constant.js";
+import { WEIBO_SINGLE_INFO } from "../constants/tools.js";
+import { downloadImg } from "../utils/common.js";
+import { checkAndRemoveFile } from "../utils/file.js";
+import { createHttpClient } from "../utils/http-client.js";
+import { canonicalizeUrl } from "../utils/link-canonicalizer.js";
+import { withResolveCache } from "../utils/resolve-cache.js";
+import { ResolveError, toResolveError } from "../utils/resolve-error.js";
+import { getCurrentJob } from "../utils/resolve-job.js";
+import { mid2id } from "../utils/weibo.js";
+
+/**
+ * 微博
+ */
+export default {
+    key: "weibo",
+    name: "微博",
+    order: 120,
+    category: RESOLVER_CATEGORY.IMAGE,
+    reg: "(weibo.com|m.weibo.cn)",
+    help: [
+        { icon: "weibo", title: "微博", desc: "微博文章分享实时下载" },
+    ],
+
+    /**
+     * @param e
+     * @param ctx apps/tools.js 的插件实例
+     * @returns {Promise<ResolveResult>} 额外带有 lines
+     */
+    async resolve(e, ctx) {
+        const weiboUrl = e.msg === undefined ? e.message.shift().data.replaceAll("\\", "") : e.msg.trim().replaceAll("\\", "");
+        // 例如：https://m.weibo.cn/detail/4976424138313924、https://weibo.com/1707895270/5006106478773472
+        // https://weibo.com/tv/show/1034:5007449447661594?mid=5007452630158934 的 mid 需要转换
+        const link = canonicalizeUrl(/(?:https?:\/\/)?(?:[\w-]+\.)?weibo\.(?:com|cn)\/[^\s"'<>]*/.exec(weiboUrl)?.[0] || weiboUrl);
+        // 无法获取id就结束
+        if (!link.id) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "无法获取到微博的 id");
+        }
+        const id = link.type === "video" ? mid2id(link.id) : link.id;
+
+        // 检测是否填写微博Cookie
+        if (_.isEmpty(ctx.weiboCookie)) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.COOKIE_EXPIRED, "没有填写微博 Cookie");
+        }
+
+        // Cookie 由 HTTP 客户端按配置带上
+        const wbData = await withResolveCache(getCurrentJob()?.platform, id, () => createHttpClient("微博").getJson(WEIBO_SINGLE_INFO.replace("{}", id), {
+            headers: {
+                "User-Agent": COMMON_USER_AGENT,
+                "accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.9",
+                "Referer": `https://m.weibo.cn/detail/${ id }`,
+            }
+        }).then(resp => resp.data), wbData => wbData.status_title);
+        const { text, status_title, source, region_name, pics, page_info } = wbData;
+        return {
+            id,
+            title: text.replace(/<[^>]+>/g, ''),
+            lines: [status_title, `${ source }\t${ region_name ?? '' }`],
+            images: pics?.map(item => item?.large.url || item.url),
+            // 视频
+            videoUrl: page_info?.urls?.mp4_720p_mp4 || page_info?.urls?.mp4_hd_mp4,
+            cover: page_info?.page_pic?.url,
+        };
+    },
+
+    /**
+     * @param e
+     * @param result {ResolveResult} 见 resolve
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        await ctx.sendResolveInfo(e, { platform: "微博", title: result.title, lines: result.lines });
+        if (result.images) {
+            // 下载图片并格式化消息
+            const images = await Promise.all(result.images.map(async img => {
+                const filePath = await downloadImg({
+                    img,
+                    dir: ctx.getCurDownloadPath(e),
+                    headersExt: {
+                        "Referer": "http://blog.sina.com.cn/",
+                    },
+                    downloadMethod: ctx.biliDownloadMethod,
+                });
+                // 格式化为消息对象
+                return {
+                    message: segment.image(await fs.promises.readFile(filePath)),
+                    nickname: e.sender.card || e.user_id,
+                    user_id: e.user_id,
+                    // 返回路径以便后续删除
+                    filePath
+                };
+            }));
+
+            // 大于判定数量则回复合并的消息
+            if (images.length > ctx.globalImageLimit)
+                await e.reply(await Bot.makeForwardMsg(images));
+            else
+                await e.reply(images.map(item => item.message));
+
+            // 并行删除文件
+            await Promise.all(images.map(({ filePath }) => checkAndRemoveFile(filePath)));
+        }
+        // 没有视频时是文章
+        if (!result.videoUrl) {
+            return;
+        }
+        try {
+            // wb 视频只能强制使用 1，由群友@非酋提出
+            await ctx.downloadAndSendVideo(e, result.videoUrl, {
+                headers: {
+                    "User-Agent": COMMON_USER_AGENT,
+                    "accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.9",
+                    "referer": "https://weibo.com/",
+                },
+                numThreads: 1,
+                cover: result.cover,
+                mediaId: result.id,
+            });
+        } catch (err) {
+            // 微博视频地址需要 Cookie，403 通常是 Cookie 过期
+            throw toResolveError(err, RESOLVE_ERROR_TYPE.COOKIE_EXPIRED);
+        }
+    },
+};
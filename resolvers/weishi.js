@@ -0,0 +1,49 @@
+import { COMMON_USER_AGENT, RESOLVE_ERROR_TYPE } from "../constants/constant.js";
+import { WEISHI_VIDEO_INFO } from "../constants/tools.js";
+import { createHttpClient } from "../utils/http-client.js";
+import { resolveLink } from "../utils/link-canonicalizer.js";
+import { ResolveError } from "../utils/resolve-error.js";
+
+/**
+ * 微视
+ */
+export default {
+    key: "weishi",
+    name: "微视",
+    order: 130,
+    reg: "(weishi.qq.com)",
+
+    /**
+     * @param e
+     * @returns {Promise<ResolveResult>}
+     */
+    async resolve(e) {
+        const urlRegex = /https?:\/\/[\w.-]*weishi\.qq\.com\/\S+/;
+        // 只展开消息中的微视链接，不把整条消息当成链接请求
+        const shareLink = e.msg.match(urlRegex)?.[0];
+        if (!shareLink) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "没有找到微视链接");
+        }
+        // 消除短链接，ID 在跳转后的 id 参数中
+        const link = await resolveLink(shareLink, { method: "HEAD" });
+        if (!link.id) {
+            // 逻辑大概问题在正则表达式
+            throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "无法完整检测到视频ID");
+        }
+
+        const feedId = link.id;
+        const response = await createHttpClient("微视").getJson(WEISHI_VIDEO_INFO.replace("{}", feedId), {
+            headers: {
+                "User-Agent": COMMON_USER_AGENT,
+            }
+        });
+        const firstFeed = response.data.feeds[0];
+        // 标题、封面、视频链接
+        return {
+            id: feedId,
+            title: firstFeed.feed_desc,
+            cover: firstFeed.images[0].url,
+            videoUrl: firstFeed.video_url,
+        };
+    },
+};
@@ -0,0 +1,142 @@
+import _ from "lodash";
+import fs from "node:fs";
+import { RESOLVE_ERROR_TYPE, RESOLVER_CATEGORY, XHS_NO_WATERMARK_HEADER } from "../constants/constant.js";
+import { XHS_REQ_LINK } from "../constants/tools.js";
+import { downloadImg } from "../utils/common.js";
+import { createHttpClient } from "../utils/http-client.js";
+import { resolveLink } from "../utils/link-canonicalizer.js";
+import { withResolveCache } from "../utils/resolve-cache.js";
+import { ResolveError } from "../utils/resolve-error.js";
+import { getCurrentJob } from "../utils/resolve-job.js";
+
+/**
+ * 小红书
+ */
+export default {
+    key: "xhs",
+    name: "小红书",
+    order: 60,
+    category: RESOLVER_CATEGORY.IMAGE,
+    reg: "(xhslink.com|xiaohongshu.com)",
+    help: [
+        { icon: "redbook", title: "小红书", desc: "小红书分享实时下载" },
+    ],
+
+    /**
+     * @param e
+     * @param ctx apps/tools.js 的插件实例
+     * @returns {Promise<ResolveResult>} 额外带有 type：video（视频笔记）、normal（图文笔记）
+     */
+    async resolve(e, ctx) {
+        // 正则说明：匹配手机链接、匹配小程序、匹配PC链接
+        let msgUrl =
+            /(http:|https:)\/\/(xhslink|xiaohongshu).com\/[A-Za-z\d._?%&+\-=\/#@]*/.exec(
+                e.msg,
+            )?.[0]
+            || /(http:|https:)\/\/www\.xiaohongshu\.com\/discovery\/item\/(\w+)/.exec(
+                e.message[0].data,
+            )?.[0]
+            || /(http:|https:)\/\/www\.xiaohongshu\.com\/explore\/(\w+)/.exec(
+                e.msg,
+            )?.[0]
+            || /(http:|https:)\/\/www\.xiaohongshu\.com\/discovery\/item\/(\w+)/.exec(
+                e.msg,
+            )?.[0];
+        // 注入ck
+        XHS_NO_WATERMARK_HEADER.cookie = ctx.xiaohongshuCookie;
+        // 新版 xhs 这里必须是e.msg.trim()，因为要匹配参数：xsec_source 和 xsec_token
+        const xhsUrl = msgUrl?.includes("xhslink")
+            ? msgUrl
+            : e.msg.trim().replace("amp;", "").match(/(http|https)?:\/\/(www\.)?xiaohongshu\.com[^\s]+/)?.[0] || msgUrl;
+        if (!xhsUrl) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "无法匹配到小红书链接");
+        }
+        // 展开短号，出现网页验证时从 redirectPath 中取出真正的笔记地址
+        const link = await resolveLink(xhsUrl, { headers: XHS_NO_WATERMARK_HEADER });
+        const linkParams = new URL(link.url).searchParams;
+        const id = link.id;
+        const xsecSource = linkParams.get("xsec_source") || "pc_feed";
+        const xsecToken = linkParams.get("xsec_token");
+        // 检测没有 cookie 则退出
+        if (_.isEmpty(ctx.xiaohongshuCookie)) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.COOKIE_EXPIRED, "没有填写小红书 Cookie");
+        }
+        if (_.isEmpty(id) || _.isEmpty(xsecToken) || _.isEmpty(xsecSource)) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "链接需要带有 id、xsec_token 和 xsec_source");
+        }
+        // 获取信息，同一篇笔记在缓存时间内不再请求
+        const noteData = await withResolveCache(getCurrentJob()?.platform, id, async () => {
+            // 从网页获取数据
+            const xhsHtml = await createHttpClient("小红书").getText(`${ XHS_REQ_LINK }${ id }?xsec_token=${ xsecToken }&xsec_source=${ xsecSource }`, {
+                headers: XHS_NO_WATERMARK_HEADER,
+            });
+            const reg = /window\.__INITIAL_STATE__=(.*?)<\/script>/;
+            const res = xhsHtml.match(reg)[1].replace(/undefined/g, "null");
+            const resJson = JSON.parse(res);
+            // 提取出数据
+            return resJson?.note?.noteDetailMap?.[id]?.note;
+        }, note => note.title);
+        // 检测无效 Cookie
+        if (noteData === undefined) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.COOKIE_EXPIRED, "可以尝试清除缓存和 Cookie 或者换一个浏览器进行获取");
+        }
+        return {
+            type: noteData.type,
+            id,
+            title: noteData.title,
+            author: noteData.user?.nickname,
+            desc: noteData.desc,
+            // 封面
+            cover: noteData.imageList?.[0].urlDefault,
+            // 有水印的视频链接，无水印的构造方式暂时废弃：http://sns-video-bd.xhscdn.com/${ noteData.video.consumer.originVideoKey }
+            videoUrl: noteData.video?.media.stream.h264?.[0]?.masterUrl,
+            images: noteData.imageList?.map(item => item.urlDefault),
+        };
+    },
+
+    /**
+     * @param e
+     * @param result {ResolveResult} 见 resolve
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        const { title, author, desc, cover } = result;
+        if (result.type === "video") {
+            await ctx.sendResolveInfo(e, { platform: "小红书", title, author, desc, cover });
+            // 下载视频
+            await ctx.downloadAndSendVideo(e, result.videoUrl, { cover, mediaId: result.id });
+        } else if (result.type === "normal") {
+            await ctx.sendResolveInfo(e, { platform: "小红书", title, author, desc });
+            const downloadPath = ctx.getCurDownloadPath(e);
+            // 等待所有图片下载完成
+            const paths = await Promise.all(result.images.map((img, index) => downloadImg({
+                img,
+                dir: downloadPath,
+                fileName: `${ index }.png`,
+                downloadMethod: ctx.biliDownloadMethod,
+            })));
+
+            if (paths.length > ctx.globalImageLimit) {
+                // 直接构造 imagesData 数组
+                const imagesData = await Promise.all(paths.map(async (item) => {
+                    return {
+                        message: segment.image(await fs.promises.readFile(item)),
+                        nickname: e.sender.card || e.user_id,
+                        user_id: e.user_id,
+                    };
+                }));
+
+                // 回复带有转发消息的图片数据
+                e.reply(await Bot.makeForwardMsg(imagesData));
+            } else {
+                // 如果图片数量小于限制，直接发送图片
+                const images = await Promise.all(paths.map(async (item) => segment.image(await fs.promises.readFile(item))));
+                e.reply(images);
+            }
+
+            // 批量删除下载的文件
+            await Promise.all(paths.map(item => fs.promises.rm(item, { force: true })));
+        }
+    },
+};
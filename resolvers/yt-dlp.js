@@ -0,0 +1,180 @@
+import { PREFLIGHT_ACTION, RESOLVE_ERROR_TYPE } from "../constants/constant.js";
+import config from "../model/config.js";
+import { getPlatformProxy } from "../utils/http-client.js";
+import { restoreMedia, saveMedia } from "../utils/media-store.js";
+import { getPreflightLimit } from "../utils/preflight.js";
+import { ResolveError } from "../utils/resolve-error.js";
+import { getCurrentJob } from "../utils/resolve-job.js";
+import { ytDlpDownload, ytDlpGetInfo } from "../utils/yt-dlp-util.js";
+
+/**
+ * 消息中的第一个链接
+ * @type {RegExp}
+ */
+const LINK_REGEX = /https?:\/\/[^\s"'<>\\]+/;
+
+/**
+ * 下载后的文件名（不含扩展名），每个任务有独立的目录，不会重名
+ * @type {string}
+ */
+const OUTPUT_FILENAME = "ytdlp";
+
+/**
+ * 获取配置的域名，例如：vimeo.com、twitch.tv
+ * @returns {string[]}
+ */
+function getDomains() {
+    return (config.getCachedConfig("tools").ytDlpDomains || [])
+        .map(item => String(item).trim())
+        .filter(item => item);
+}
+
+/**
+ * 格式化时长，例如：1:02:03、4:05
+ * @param seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const parts = [Math.floor(total / 3600), Math.floor(total % 3600 / 60), total % 60];
+    return (parts[0] > 0 ? parts : parts.slice(1))
+        .map((item, index) => index === 0 ? String(item) : String(item).padStart(2, "0"))
+        .join(":");
+}
+
+/**
+ * 判断是否超过限制：下载前检查的平台设置优先，没有设置时长时使用 ytDlpDuration
+ * @param platform 解析平台名称，兜底时为原来的平台
+ * @param result   {ResolveResult}
+ * @returns {{exceeded: boolean, reason: string, action: number}}
+ */
+function checkLimit(platform, result) {
+    const limit = getPreflightLimit(platform);
+    const maxDuration = limit.maxDuration || Number(config.getCachedConfig("tools").ytDlpDuration) || 0;
+    if (maxDuration && result.duration > maxDuration) {
+        return { exceeded: true, reason: `时长 ${ formatDuration(result.duration) }，超过了限制 ${ formatDuration(maxDuration) }`, action: limit.action };
+    }
+    if (limit.maxSize && result.size > limit.maxSize) {
+        return { exceeded: true, reason: `大小约 ${ result.size.toFixed(1) }MB，超过了限制 ${ limit.maxSize }MB`, action: limit.action };
+    }
+    return { exceeded: false, reason: "", action: limit.action };
+}
+
+/**
+ * yt-dlp 通用解析：配置的域名都交给 yt-dlp，其他解析器失败时也会用这里兜底
+ */
+export default {
+    key: "ytdlp",
+    name: "yt-dlp",
+    order: 900,
+    // 自身就是兜底，不再兜底
+    ytDlpFallback: false,
+
+    /**
+     * 域名来自配置，每次构造规则时重新读取，没有配置时不匹配任何消息
+     * @returns {string}
+     */
+    get reg() {
+        const domains = getDomains().map(item => item.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+        return domains.length > 0 ? `https?:\\/\\/(?:[\\w-]+\\.)*(?:${ domains.join("|") })(?![\\w.-])` : "(?!)";
+    },
+
+    /**
+     * @param e
+     * @param ctx apps/tools.js 的插件实例
+     * @returns {Promise<ResolveResult>}
+     */
+    async resolve(e, ctx) {
+        const msg = e.msg === undefined ? e.message.shift().data.replaceAll("\\", "") : e.msg.trim();
+        const url = LINK_REGEX.exec(msg)?.[0];
+        if (!url) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "消息中没有链接");
+        }
+        // 不在 proxyPlatforms 中、海外服务器或者没有可用的代理时直接连接
+        const proxy = await getPlatformProxy("yt-dlp", { required: false });
+        let info;
+        try {
+            info = await ytDlpGetInfo(url, !proxy, proxy, ctx.youtubeCookiePath);
+        } catch (err) {
+            if (/Unsupported URL/i.test(err.message)) {
+                throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "yt-dlp 不支持这个链接", { cause: err });
+            }
+            throw err;
+        }
+        const size = info.filesize || info.filesize_approx;
+        return {
+            id: `${ info.extractor_key }:${ info.id }`,
+            title: info.title,
+            author: info.uploader || info.channel,
+            cover: info.thumbnail,
+            duration: Number(info.duration) || 0,
+            size: size ? size / 1024 / 1024 : undefined,
+            site: info.extractor_key,
+            // 只有音频的网站，例如 SoundCloud
+            audio: info.vcodec === "none",
+            url: info.webpage_url || url,
+            // 下载时使用和获取信息时相同的代理
+            proxy,
+        };
+    },
+
+    /**
+     * 发送识别信息，没有超过限制时下载视频或音频
+     * @param e
+     * @param result {ResolveResult} 额外带有 duration、size、site、audio、url、proxy
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        const info = {
+            platform: `yt-dlp（${ result.site }）`,
+            title: result.title,
+            author: result.author,
+            cover: result.cover,
+            duration: result.duration,
+        };
+        const limit = checkLimit(getCurrentJob()?.platform, result);
+        if (limit.exceeded && limit.action !== PREFLIGHT_ACTION.GROUP_FILE) {
+            if (limit.action === PREFLIGHT_ACTION.SKIP) {
+                e.reply(`${ limit.reason }，已跳过下载`);
+                return;
+            }
+            await ctx.sendResolveInfo(e, { ...info, lines: [`🔗 ${ result.url }`], notice: `${ limit.reason }，不再下载` });
+            return;
+        }
+        await ctx.sendResolveInfo(e, info);
+
+        const path = ctx.getCurDownloadPath(e);
+        const download = () => ytDlpDownload(path, result.url, {
+            isOversea: !result.proxy,
+            proxy: result.proxy,
+            cookiePath: ctx.youtubeCookiePath,
+            maxThreads: ctx.videoDownloadConcurrency,
+            outputFilename: OUTPUT_FILENAME,
+            audio: result.audio,
+        });
+        if (result.audio) {
+            const audioPath = await download();
+            if (ctx.isSendVocal) {
+                await e.reply(segment.record(audioPath));
+            }
+            await ctx.uploadGroupFile(e, audioPath);
+            return;
+        }
+
+        if (limit.exceeded) {
+            e.reply(`${ limit.reason }，下载后直接${ e.isGroup ? '上传群文件' : '发送文件' }`);
+        }
+        const mediaKey = { platform: getCurrentJob()?.platform, id: result.id };
+        const videoPath = `${ path }/${ OUTPUT_FILENAME }.mp4`;
+        if (!(await restoreMedia(mediaKey, videoPath))) {
+            await download();
+            await saveMedia(mediaKey, videoPath);
+        }
+        if (limit.exceeded) {
+            await ctx.uploadGroupFile(e, videoPath);
+        } else {
+            await ctx.sendVideoToUpload(e, videoPath);
+        }
+    },
+};
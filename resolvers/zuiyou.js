@@ -0,0 +1,78 @@
+import { COMMON_USER_AGENT, RESOLVE_ERROR_TYPE } from "../constants/constant.js";
+import { createHttpClient } from "../utils/http-client.js";
+import { ResolveError } from "../utils/resolve-error.js";
+
+/**
+ * 最右
+ */
+export default {
+    key: "zuiyou",
+    name: "最右",
+    order: 140,
+    reg: "share.xiaochuankeji.cn",
+    help: [
+        { icon: "zuiyou", title: "最右（测试阶段）", desc: "最右分享实时下载" },
+    ],
+
+    /**
+     * @param e
+     * @returns {Promise<ResolveResult>}
+     */
+    async resolve(e) {
+        // #最右#分享一条有趣的内容给你，不好看算我输。请戳链接>>https://share.xiaochuankeji.cn/hybrid/share/post?pid=365367131&zy_to=applink&share_count=1&m=dc114ccc8e55492642f6a702b510c1f6&d=9e18ca2dace030af656baea96321e0ea353fe5c46097a7f3962b93f995641e962796dd5faa231feea5531ac65547045f&app=zuiyou&recommend=r0&name=n0&title_type=t0
+        const msg = e.msg === undefined ? e.message.shift().data.replaceAll("\\", "") : e.msg.trim();
+        const url = /(?:https?:\/\/)?(share|share.xiaochuankeji)\.cn\/[A-Za-z\d._?%&+\-=\/#]*/.exec(msg)?.[0];
+        if (!url) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "没有找到最右链接");
+        }
+        // 链接来自用户的消息，按访问策略检查每一跳
+        const html = await createHttpClient("最右", { publicOnly: true }).getText(url, {
+            headers: {
+                "User-Agent": COMMON_USER_AGENT,
+            }
+        });
+
+        const videoUrlMatch = html.match(/fullscreen="false" src="(.*?)"/);
+        const videoTitleMatch = html.match(/:<\/span><h1>(.*?)<\/h1><\/div><div class=/);
+        const videoCoverMatch = html.match(/poster="(.*?)"/);
+        const videoAuthorMatch = html.match(/<span class="SharePostCard__name">(.*?)<\/span>/);
+
+        const imgSrcRegex = /<img [^>]*src="([^"]*)"[^>]*\/>/gi;
+        let match;
+        const imgSrcs = [];
+        while ((match = imgSrcRegex.exec(html)) !== null) {
+            imgSrcs.push(match[1]);
+        }
+        const images = imgSrcs.filter(item => item.includes("\/img\/view\/id"));
+
+        return {
+            id: /pid=(\d+)/.exec(url)?.[1],
+            author: videoAuthorMatch ? videoAuthorMatch[1] : '',
+            title: videoTitleMatch ? videoTitleMatch[1] : '',
+            cover: videoCoverMatch ? videoCoverMatch[1] : undefined,
+            videoUrl: videoUrlMatch ? videoUrlMatch[1] : undefined,
+            images,
+        };
+    },
+
+    /**
+     * 最右的封面只是视频的第一帧，这里只发文字和图片
+     * @param e
+     * @param result
+     * @param ctx    apps/tools.js 的插件实例
+     * @returns {Promise<void>}
+     */
+    async send(e, result, ctx) {
+        await ctx.sendResolveInfo(e, { platform: "最右", author: result.author, desc: result.title });
+        if (result.images.length > 0) {
+            e.reply(Bot.makeForwardMsg(result.images.map(item => ({
+                message: segment.image(item),
+                nickname: e.sender.card || e.user_id,
+                user_id: e.user_id,
+            }))));
+        }
+        if (result.videoUrl) {
+            await ctx.downloadAndSendVideo(e, result.videoUrl, { cover: result.cover, mediaId: result.id });
+        }
+    },
+};
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { getReplySegments, getReplyText } from "./helpers/fake-event.js";
+import { createResolverHarness } from "./helpers/harness.js";
+
+let harness;
+
+before(async () => {
+    harness = await createResolverHarness(["bili"]);
+});
+
+after(() => harness.close());
+
+test("b23.tv 短链：跳转后识别视频，超过时长只发送封面和信息", async () => {
+    const e = await harness.resolve("https://b23.tv/fixture");
+    const text = getReplyText(e);
+    assert.match(text, /识别：哔哩哔哩，样例视频标题/);
+    assert.match(text, /📝 简介：样例简介/);
+    assert.match(text, /大于管理员设置的最大时长 8 分钟/);
+    assert.deepEqual(getReplySegments(e, "image").map(item => item.file), ["http://i0.hdslb.com/bfs/archive/fixture.jpg"]);
+    assert.deepEqual(getReplySegments(e, "video"), []);
+    assert.deepEqual(harness.server.unmatched, []);
+});
+
+test("动态：没有填写 SESSDATA 时统一回复 Cookie 失效", async () => {
+    const e = await harness.resolve("https://t.bilibili.com/900000000000000001");
+    const text = getReplyText(e);
+    assert.match(text, /❌ 哔哩哔哩解析失败：Cookie 没有填写或者已经过期/);
+    assert.match(text, /biliSessData/);
+    assert.match(text, /文档：/);
+});
+
+test("动态：在解析任务内发送文字和图片", async () => {
+    const e = await harness.resolve("https://t.bilibili.com/900000000000000002?spm_id_from=fixture", {
+        toolsConfig: { biliSessData: "fixture-sessdata", globalImageLimit: 5 },
+    });
+    assert.match(getReplyText(e), /识别：哔哩哔哩动态/);
+    assert.match(getReplyText(e), /样例动态内容/);
+    assert.deepEqual(getReplySegments(e, "image").map(item => item.file), [
+        "http://i0.hdslb.com/bfs/new_dyn/fixture1.jpg",
+        "http://i0.hdslb.com/bfs/new_dyn/fixture2.jpg",
+    ]);
+    assert.deepEqual(harness.server.unmatched, []);
+});
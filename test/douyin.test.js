@@ -0,0 +1,23 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { getReplySegments, getReplyText } from "./helpers/fake-event.js";
+import { createResolverHarness } from "./helpers/harness.js";
+
+let harness;
+
+before(async () => {
+    harness = await createResolverHarness(["douyin"]);
+});
+
+after(() => harness.close());
+
+test("v.douyin.com 短链：跳转后识别视频，超过时长只发送封面和信息", async () => {
+    const e = await harness.resolve("7.17 复制打开抖音，看看【样例作者的作品】 https://v.douyin.com/iFixture/ 样例");
+    const text = getReplyText(e);
+    assert.match(text, /识别：抖音，样例作者/);
+    assert.match(text, /📝 简介：样例抖音简介/);
+    assert.match(text, /当前视频时长约：10 分钟/);
+    assert.deepEqual(getReplySegments(e, "image").map(item => item.file), ["https://p3-sign.douyinpic.com/fixture-cover.jpeg"]);
+    assert.ok(harness.server.requests.some(item => item.includes("a_bogus=")), "请求作品详情时需要带上 a_bogus");
+    assert.deepEqual(harness.server.unmatched, []);
+});
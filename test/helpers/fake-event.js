@@ -0,0 +1,98 @@
+/**
+ * 构造一个 Yunzai 消息事件，回复、上传的文件和调用的接口都记录下来
+ * @param msg     消息文本
+ * @param message 消息段，不传时用 msg 生成一个文本段
+ * @param isGroup 是否为群聊
+ * @param groupId
+ * @param userId
+ * @param isMaster
+ * @returns {Object} 额外带有 replies、files、apiCalls 三个数组
+ */
+export function createFakeEvent({
+                                    msg,
+                                    message,
+                                    isGroup = true,
+                                    groupId = 100001,
+                                    userId = 200002,
+                                    isMaster = false,
+                                } = {}) {
+    const replies = [];
+    const files = [];
+    const apiCalls = [];
+    let messageId = 0;
+    const sendFile = async file => {
+        files.push(file);
+    };
+    const friend = { sendFile };
+    return {
+        msg,
+        raw_message: msg,
+        message: message || [{ type: "text", text: msg }],
+        message_id: "fake-source",
+        isGroup,
+        isPrivate: !isGroup,
+        isMaster,
+        group_id: isGroup ? groupId : undefined,
+        user_id: userId,
+        sender: { user_id: userId, nickname: "测试用户", card: "测试用户" },
+        replies,
+        files,
+        apiCalls,
+        async reply(content) {
+            replies.push(await content);
+            return { message_id: `fake-${ ++messageId }` };
+        },
+        group: isGroup ? { sendFile, recallMsg: async () => true } : undefined,
+        friend,
+        bot: {
+            async sendApi(action, params) {
+                apiCalls.push({ action, params });
+                return {};
+            },
+            pickFriend: () => friend,
+        },
+    };
+}
+
+/**
+ * 展开一条回复中的消息段，合并转发中的消息也会展开
+ * @param content
+ * @returns {Object[]} 文本会转换为 { type: "text", text }
+ */
+function flattenReply(content) {
+    if (content === undefined || content === null) {
+        return [];
+    }
+    if (typeof content === "string") {
+        return [{ type: "text", text: content }];
+    }
+    if (Array.isArray(content)) {
+        return content.flatMap(flattenReply);
+    }
+    if (content.type === "node") {
+        return content.data.flatMap(node => flattenReply(node.message));
+    }
+    return [content];
+}
+
+/**
+ * 获取全部回复中的文字，用换行连接
+ * @param e createFakeEvent 构造的事件
+ * @returns {string}
+ */
+export function getReplyText(e) {
+    return e.replies.flatMap(flattenReply)
+        .filter(item => item.type === "text")
+        .map(item => item.text)
+        .join("\n");
+}
+
+/**
+ * 获取全部回复中某种类型的消息段
+ * @param e    createFakeEvent 构造的事件
+ * @param type 例如 image、video
+ * @returns {Object[]}
+ */
+export function getReplySegments(e, type) {
+    return e.replies.flatMap(flattenReply).filter(item => item.type === type);
+}
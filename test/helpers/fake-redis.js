@@ -0,0 +1,113 @@
+/**
+ * 内存版的 redis，只实现插件用到的 node-redis v4 方法
+ * 过期时间按真实时间计算，测试之间用 flushAll 清空
+ * @returns {Object}
+ */
+export function createFakeRedis() {
+    const store = new Map();
+
+    const getEntry = key => {
+        const entry = store.get(key);
+        if (entry?.expireAt && entry.expireAt <= Date.now()) {
+            store.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+
+    const getHash = key => {
+        let entry = getEntry(key);
+        if (!entry) {
+            entry = { value: {} };
+            store.set(key, entry);
+        }
+        return entry.value;
+    };
+
+    const client = {
+        async get(key) {
+            return getEntry(key)?.value ?? null;
+        },
+        async set(key, value, { EX, PX, NX } = {}) {
+            if (NX && getEntry(key)) {
+                return null;
+            }
+            const ttl = EX ? EX * 1000 : PX;
+            store.set(key, { value: String(value), expireAt: ttl ? Date.now() + ttl : undefined });
+            return "OK";
+        },
+        async exists(keys) {
+            return [].concat(keys).filter(key => getEntry(key)).length;
+        },
+        async del(keys) {
+            return [].concat(keys).filter(key => store.delete(key)).length;
+        },
+        async keys(pattern) {
+            const regex = new RegExp(`^${ pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replaceAll("*", ".*").replaceAll("?", ".") }$`);
+            return [...store.keys()].filter(key => getEntry(key) && regex.test(key));
+        },
+        async ttl(key) {
+            const entry = getEntry(key);
+            if (!entry) {
+                return -2;
+            }
+            return entry.expireAt ? Math.ceil((entry.expireAt - Date.now()) / 1000) : -1;
+        },
+        async expire(key, seconds) {
+            const entry = getEntry(key);
+            if (!entry) {
+                return false;
+            }
+            entry.expireAt = Date.now() + seconds * 1000;
+            return true;
+        },
+        async hIncrBy(key, field, increment) {
+            const hash = getHash(key);
+            hash[field] = String((Number(hash[field]) || 0) + increment);
+            return Number(hash[field]);
+        },
+        async hSet(key, field, value) {
+            const hash = getHash(key);
+            const values = typeof field === "object" ? field : { [field]: value };
+            for (const [name, item] of Object.entries(values)) {
+                hash[name] = String(item);
+            }
+            return Object.keys(values).length;
+        },
+        async hGetAll(key) {
+            return { ...(getEntry(key)?.value || {}) };
+        },
+        /**
+         * 限流脚本不在这里模拟，测试中限流是关闭的，直接放行
+         * @returns {Promise<number[]>}
+         */
+        async eval() {
+            return [1, 0];
+        },
+        multi() {
+            const commands = [];
+            const chain = new Proxy({}, {
+                get(_, name) {
+                    if (name === "exec") {
+                        return async () => {
+                            const results = [];
+                            for (const [command, args] of commands) {
+                                results.push(await client[command](...args));
+                            }
+                            return results;
+                        };
+                    }
+                    return (...args) => {
+                        commands.push([name, args]);
+                        return chain;
+                    };
+                },
+            });
+            return chain;
+        },
+        flushAll() {
+            store.clear();
+        },
+    };
+    return client;
+}
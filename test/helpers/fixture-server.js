@@ -0,0 +1,185 @@
+import fs from "node:fs";
+import http from "node:http";
+import https from "node:https";
+import { syncBuiltinESMExports } from "node:module";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/**
+ * 样例目录，每个平台一个 JSON 文件
+ * @type {string}
+ */
+const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../fixtures");
+
+/**
+ * 转发到本地时携带原始地址的请求头
+ */
+const HOST_HEADER = "x-fixture-host";
+const PROTOCOL_HEADER = "x-fixture-protocol";
+
+/**
+ * 全局 fetch 手动跟随跳转的最大次数
+ * @type {number}
+ */
+const MAX_REDIRECTS = 5;
+
+/**
+ * 读取样例，路由格式：
+ *  { host, path, method?, query?, status?, headers?, json? | body? }
+ *  - host：原始请求的 host，非默认端口需要带上端口，例如 118.89.80.17:3000
+ *  - path：完整匹配 pathname
+ *  - query：需要包含的查询参数
+ *  - json / body：返回的 JSON 或文本
+ * @param names 样例文件名（不带 .json）
+ * @returns {Object[]}
+ */
+function loadRoutes(names) {
+    return names.flatMap(name => {
+        const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${ name }.json`), "utf8"));
+        return fixture.routes;
+    });
+}
+
+/**
+ * 找到匹配的路由
+ * @param routes
+ * @param method
+ * @param url {URL} 原始请求地址
+ * @returns {Object|undefined}
+ */
+function matchRoute(routes, method, url) {
+    return routes.find(route => route.host === url.host
+        && route.path === url.pathname
+        && (!route.method || route.method === method || method === "HEAD")
+        && Object.entries(route.query || {}).every(([key, value]) => url.searchParams.get(key) === String(value)));
+}
+
+/**
+ * 把请求参数统一成 URL + options
+ * http.request 有三种调用方式：(url, options, callback)、(url, callback)、(options, callback)
+ * @param defaultProtocol
+ * @param args
+ * @returns {{url: URL, options: Object, callback: Function}}
+ */
+function normalizeRequestArgs(defaultProtocol, args) {
+    let [input, options, callback] = args;
+    if (typeof options === "function") {
+        callback = options;
+        options = {};
+    }
+    if (typeof input === "string" || input instanceof URL) {
+        return { url: new URL(input), options: { ...options }, callback };
+    }
+    options = { ...input };
+    const protocol = options.protocol || defaultProtocol;
+    const hostname = options.hostname || options.host?.replace(/:\d+$/, "") || "localhost";
+    const port = options.port ? `:${ options.port }` : "";
+    return { url: new URL(`${ protocol }//${ hostname }${ port }${ options.path || "/" }`), options, callback };
+}
+
+/**
+ * 启动本地样例服务，并把进程中所有的 http / https 请求和全局 fetch 都转发过来
+ * 没有样例的请求返回 404，并记录在 unmatched 中，测试时不会访问外网
+ * @param names 样例文件名（不带 .json）
+ * @returns {Promise<{requests: string[], unmatched: string[], close: function(): Promise<void>}>}
+ */
+export async function startFixtureServer(names) {
+    const routes = loadRoutes(names);
+    const requests = [];
+    const unmatched = [];
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(`${ req.headers[PROTOCOL_HEADER] || "http:" }//${ req.headers[HOST_HEADER] }${ req.url }`);
+        requests.push(`${ req.method } ${ url.href }`);
+        const route = matchRoute(routes, req.method, url);
+        // 请求体不需要，读完即可
+        req.resume();
+        if (!route) {
+            unmatched.push(`${ req.method } ${ url.href }`);
+            res.writeHead(404, { "content-type": "text/plain" });
+            res.end("no fixture");
+            return;
+        }
+        const isJson = route.json !== undefined;
+        res.writeHead(route.status || 200, {
+            "content-type": isJson ? "application/json; charset=utf-8" : "text/html; charset=utf-8",
+            ...route.headers,
+        });
+        res.end(isJson ? JSON.stringify(route.json) : (route.body ?? ""));
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+
+    // 转发 http / https
+    const originRequest = { http: http.request, https: https.request };
+    const originGet = { http: http.get, https: https.get };
+    const originFetch = globalThis.fetch;
+    const redirect = defaultProtocol => (...args) => {
+        const { url, options, callback } = normalizeRequestArgs(defaultProtocol, args);
+        delete options.createConnection;
+        const localOptions = {
+            ...options,
+            protocol: "http:",
+            host: "127.0.0.1",
+            hostname: "127.0.0.1",
+            port,
+            path: `${ url.pathname }${ url.search }`,
+            agent: false,
+            headers: {
+                ...options.headers,
+                [HOST_HEADER]: url.host,
+                [PROTOCOL_HEADER]: url.protocol,
+            },
+        };
+        return callback ? originRequest.http(localOptions, callback) : originRequest.http(localOptions);
+    };
+    for (const [module, protocol] of [[http, "http:"], [https, "https:"]]) {
+        module.request = redirect(protocol);
+        module.get = (...args) => {
+            const req = module.request(...args);
+            req.end();
+            return req;
+        };
+    }
+    // 让 import { request } from "node:https" 这种具名导入也拿到转发后的方法
+    syncBuiltinESMExports();
+
+    // 转发全局 fetch（undici 不经过 http 模块）
+    globalThis.fetch = async (input, init = {}) => {
+        let url = new URL(input instanceof Request ? input.url : input);
+        for (let i = 0; i <= MAX_REDIRECTS; i++) {
+            const resp = await originFetch(`http://127.0.0.1:${ port }${ url.pathname }${ url.search }`, {
+                ...init,
+                redirect: "manual",
+                headers: {
+                    ...Object.fromEntries(new Headers(init.headers)),
+                    [HOST_HEADER]: url.host,
+                    [PROTOCOL_HEADER]: url.protocol,
+                },
+            });
+            const location = resp.headers.get("location");
+            if (resp.status >= 300 && resp.status < 400 && location && init.redirect !== "manual") {
+                url = new URL(location, url);
+                continue;
+            }
+            Object.defineProperty(resp, "url", { value: url.href });
+            return resp;
+        }
+        throw new Error(`跳转次数过多：${ url.href }`);
+    };
+
+    return {
+        requests,
+        unmatched,
+        async close() {
+            http.request = originRequest.http;
+            https.request = originRequest.https;
+            http.get = originGet.http;
+            https.get = originGet.https;
+            globalThis.fetch = originFetch;
+            syncBuiltinESMExports();
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        },
+    };
+}
@@ -0,0 +1,94 @@
+import fs from "node:fs";
+import { register } from "node:module";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createFakeRedis } from "./fake-redis.js";
+
+/**
+ * 插件目录，即 plugins/rconsole-plugin
+ * @type {string}
+ */
+export const PLUGIN_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+/**
+ * 是否为单独检出的插件：上两级目录中没有 Yunzai 的 lib/puppeteer 时，测试自己搭一个最小的 Yunzai 目录
+ * @type {boolean}
+ */
+export const STANDALONE = !fs.existsSync(path.resolve(PLUGIN_DIR, "../../lib/puppeteer/puppeteer.js"));
+
+/**
+ * 创建临时的 Yunzai 根目录，plugins/rconsole-plugin 链接到插件目录，测试进程退出时删除
+ * @returns {string}
+ */
+function createYunzaiDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rconsole-yunzai-"));
+    fs.mkdirSync(path.join(dir, "plugins"));
+    fs.symlinkSync(PLUGIN_DIR, path.join(dir, "plugins", "rconsole-plugin"), "dir");
+    process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Yunzai 根目录，插件中的配置、解析器等路径都是相对于这里的
+ * @type {string}
+ */
+export const YUNZAI_DIR = STANDALONE ? createYunzaiDir() : path.resolve(PLUGIN_DIR, "../..");
+
+process.chdir(YUNZAI_DIR);
+
+// 单独检出时 Yunzai 的 lib/puppeteer、lib/config 不存在，改为加载 helpers/yunzai 下的替身
+if (STANDALONE) {
+    register("./yunzai-loader.js", import.meta.url);
+}
+
+/**
+ * 日志默认不输出，设置 RCONSOLE_TEST_LOG=1 时打印出来方便排查
+ */
+const printLog = process.env.RCONSOLE_TEST_LOG === "1";
+const identity = text => text;
+globalThis.logger = new Proxy({}, {
+    get(_, level) {
+        if (["trace", "debug", "info", "mark", "warn", "error", "fatal"].includes(level)) {
+            return (...args) => printLog && console.log(`[${ level }]`, ...args);
+        }
+        // logger.yellow 之类的着色方法
+        return identity;
+    },
+});
+
+globalThis.redis = createFakeRedis();
+
+globalThis.segment = {
+    image: file => ({ type: "image", file }),
+    video: file => ({ type: "video", file }),
+    record: file => ({ type: "record", file }),
+    file: (file, name) => ({ type: "file", file, name }),
+    text: text => ({ type: "text", text }),
+    reply: id => ({ type: "reply", id }),
+    at: qq => ({ type: "at", qq }),
+};
+
+globalThis.Bot = {
+    makeForwardMsg: data => ({ type: "node", data }),
+    pickUser: userId => ({
+        sendMsg: async message => ({ user_id: userId, message }),
+    }),
+};
+
+/**
+ * Yunzai 插件基类，只保留构造参数和 reply
+ */
+globalThis.plugin = class {
+    constructor({ name, dsc, event, priority, rule = [] } = {}) {
+        this.name = name;
+        this.dsc = dsc;
+        this.event = event;
+        this.priority = priority;
+        this.rule = rule;
+    }
+
+    reply(message, quote = false, data = {}) {
+        return this.e.reply(message, quote, data);
+    }
+};
@@ -0,0 +1,114 @@
+import "./globals.js";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createFakeEvent } from "./fake-event.js";
+import { startFixtureServer } from "./fixture-server.js";
+
+/**
+ * 测试时覆盖的 tools 配置，让结果不受本地 config/tools.yaml 的影响
+ * 下载前检查、媒体库、去重、缓存、限流、失败报告、JSON 行日志、yt-dlp 兜底、代理都关闭，视频单线程下载
+ * @type {Object}
+ */
+const TEST_TOOLS_CONFIG = {
+    globalBlackList: [],
+    globalImageLimit: 0,
+    identifyPrefix: "",
+    outputStyle: 0,
+    videoSizeLimit: 70,
+    videoDownloadConcurrency: 1,
+    biliDownloadMethod: 0,
+    preflightMaxSize: 0,
+    preflightMaxDuration: 0,
+    preflightPlatformLimits: [],
+    resolveCacheTTL: 0,
+    resolveCachePlatformTTL: [],
+    mediaStoreEnable: false,
+    dedupCooldown: 0,
+    multiLinkLimit: 3,
+    rateLimitEnable: false,
+    failureReportEnable: false,
+    logDebugModules: [],
+    logJsonLines: false,
+    ytDlpDomains: [],
+    ytDlpFallback: false,
+    forceOverseasServer: false,
+    proxyPlatforms: [],
+    biliSessData: "",
+    biliDuration: 480,
+    biliIntroLenLimit: 50,
+    biliDisplayCover: true,
+    biliDisplayInfo: true,
+    biliDisplayIntro: true,
+    biliDisplayOnline: false,
+    biliDisplaySummary: false,
+    biliUseBBDown: false,
+    douyinCookie: "fixture-cookie",
+    douyinCompression: true,
+    douyinComments: false,
+    xiaohongshuCookie: "fixture-cookie",
+    weiboCookie: "fixture-cookie",
+    neteaseCookie: "",
+    useLocalNeteaseAPI: false,
+    isSendVocal: false,
+};
+
+/**
+ * 创建解析器测试环境：启动样例服务，覆盖配置，导入 apps/tools.js
+ * @param fixtures 需要加载的样例文件名，例如 ["bili"]
+ * @param toolsConfig 额外覆盖的 tools 配置
+ * @returns {Promise<{server: Object, resolve: function(string, Object=): Promise<Object>, close: function(): Promise<void>}>}
+ * @example
+ * const harness = await createResolverHarness(["bili"]);
+ * const e = await harness.resolve("https://b23.tv/fixture");
+ * getReplyText(e); // 识别：哔哩哔哩，...
+ * await harness.resolve("https://t.bilibili.com/1", { toolsConfig: { biliSessData: "" } });
+ */
+export async function createResolverHarness(fixtures, toolsConfig = {}) {
+    const server = await startFixtureServer(fixtures);
+    const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), "rconsole-test-"));
+
+    // 不监听配置文件，否则 chokidar 会让测试进程无法退出
+    const { default: config } = await import("../../model/config.js");
+    const baseOverrides = { ...TEST_TOOLS_CONFIG, defaultPath: `${ downloadDir }/`, ...toolsConfig };
+    let overrides = baseOverrides;
+    config.getConfig = name => name === "tools"
+        ? { ...config.getYaml(name, false), ...overrides }
+        : config.getYaml(name, false);
+    // 测试中每次 resolve 的配置可能不同，不缓存
+    config.getCachedConfig = config.getConfig;
+
+    const { tools } = await import("../../apps/tools.js");
+
+    return {
+        server,
+        /**
+         * 按 Yunzai 的方式匹配规则并执行，返回记录了回复的事件
+         * 每次执行前清空 redis 和样例服务的请求记录
+         * @param msg          消息文本
+         * @param toolsConfig  只对这一次生效的 tools 配置
+         * @param eventOptions createFakeEvent 的其他参数
+         * @returns {Promise<Object>}
+         */
+        async resolve(msg, { toolsConfig: callConfig = {}, ...eventOptions } = {}) {
+            redis.flushAll();
+            server.requests.length = 0;
+            server.unmatched.length = 0;
+            overrides = { ...baseOverrides, ...callConfig };
+            const app = new tools();
+            const e = createFakeEvent({ msg, ...eventOptions });
+            app.e = e;
+            const rule = app.rule.find(item => new RegExp(item.reg).test(msg));
+            if (!rule) {
+                throw new Error(`没有规则能匹配：${ msg }`);
+            }
+            await app[rule.fnc](e);
+            return e;
+        },
+        async close() {
+            // 先删除下载目录，样例服务等待连接关闭时 --test-force-exit 可能已经结束进程
+            fs.rmSync(downloadDir, { recursive: true, force: true });
+            await server.close();
+        },
+    };
+}
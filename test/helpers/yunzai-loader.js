@@ -0,0 +1,32 @@
+/**
+ * 插件单独检出时的模块解析钩子：插件中 ../../../lib/ 开头的 Yunzai 模块不存在，改为加载 helpers/yunzai/ 下的替身
+ * 放在 Yunzai 的 plugins 目录下运行时不会注册，使用真实的 Yunzai 模块
+ */
+
+/**
+ * 插件目录
+ * @type {string}
+ */
+const PLUGIN_URL = new URL("../../", import.meta.url).href;
+
+/**
+ * 插件所在的 Yunzai 根目录，插件放在 plugins/rconsole-plugin 时就是上两级
+ * @type {string}
+ */
+const YUNZAI_URL = new URL("../../", PLUGIN_URL).href;
+
+/**
+ * Yunzai 模块替身所在的目录，目录结构和 Yunzai 根目录一致
+ * @type {URL}
+ */
+const STUB_URL = new URL("./yunzai/", import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith(".") && context.parentURL?.startsWith(PLUGIN_URL)) {
+        const target = new URL(specifier, context.parentURL).href;
+        if (!target.startsWith(PLUGIN_URL) && target.startsWith(`${ YUNZAI_URL }lib/`)) {
+            return { url: new URL(target.slice(YUNZAI_URL.length), STUB_URL).href, shortCircuit: true };
+        }
+    }
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,7 @@
+/**
+ * Yunzai 配置模块的替身，只提供插件用到的字段
+ */
+export default {
+    masterQQ: [],
+    getGroup: () => ({}),
+};
@@ -0,0 +1,8 @@
+/**
+ * Yunzai 截图模块的替身，不启动浏览器，返回记录了模板名的图片消息
+ */
+export default {
+    async screenshot(name, data) {
+        return { type: "image", file: `screenshot:${ name }`, data };
+    },
+};
@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { getReplySegments, getReplyText } from "./helpers/fake-event.js";
+import { createResolverHarness } from "./helpers/harness.js";
+
+let harness;
+
+before(async () => {
+    harness = await createResolverHarness(["netease"]);
+});
+
+after(() => harness.close());
+
+test("MV：发送封面和信息，再下载并发送视频", async () => {
+    const e = await harness.resolve("https://music.163.com/#/mv?id=14572641");
+    const text = getReplyText(e);
+    assert.match(text, /识别：网易云MV，样例MV - 样例歌手/);
+    assert.deepEqual(getReplySegments(e, "image").map(item => item.file), ["http://p1.music.126.net/fixture-mv.jpg"]);
+    const videos = getReplySegments(e, "video");
+    assert.equal(videos.length, 1);
+    assert.match(videos[0].file, /temp\.mp4$/);
+    assert.deepEqual(harness.server.unmatched, []);
+});
+
+test("链接中没有 id：统一回复无效链接", async () => {
+    const e = await harness.resolve("https://music.163.com/#/discover");
+    assert.match(getReplyText(e), /❌ 网易云音乐解析失败：无法识别这个链接.*没有找到歌曲 id/);
+});
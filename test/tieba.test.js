@@ -0,0 +1,22 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { getReplySegments, getReplyText } from "./helpers/fake-event.js";
+import { createResolverHarness } from "./helpers/harness.js";
+
+let harness;
+
+before(async () => {
+    harness = await createResolverHarness(["tieba"]);
+});
+
+after(() => harness.close());
+
+test("帖子：楼主的文字和图片，其他楼层合并转发", async () => {
+    const e = await harness.resolve("https://tieba.baidu.com/p/8123456789");
+    const text = getReplyText(e);
+    assert.match(text, /识别：贴吧，样例帖子标题/);
+    assert.match(text, /📝 简介：样例楼主正文/);
+    assert.match(text, /样例二楼回复/);
+    assert.deepEqual(getReplySegments(e, "image").map(item => item.file), ["http://tiebapic.baidu.com/forum/fixture.jpg"]);
+    assert.deepEqual(harness.server.unmatched, []);
+});
@@ -0,0 +1,27 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { getReplySegments, getReplyText } from "./helpers/fake-event.js";
+import { createResolverHarness } from "./helpers/harness.js";
+
+let harness;
+
+before(async () => {
+    harness = await createResolverHarness(["weibo"]);
+});
+
+after(() => harness.close());
+
+test("单条微博：去掉正文中的标签，图片合并转发", async () => {
+    const e = await harness.resolve("https://m.weibo.cn/detail/4976424138313924");
+    const text = getReplyText(e);
+    assert.match(text, /识别：微博，样例微博正文#样例话题#\n样例微博标题\n微博网页版\t发布于 北京/);
+    const images = getReplySegments(e, "image");
+    assert.deepEqual(images.map(item => item.file.toString()), ["fake-image-1", "fake-image-2"]);
+    assert.deepEqual(harness.server.unmatched, []);
+});
+
+test("没有填写 Cookie：统一回复 Cookie 失效", async () => {
+    const e = await harness.resolve("https://m.weibo.cn/detail/4976424138313924", { toolsConfig: { weiboCookie: "" } });
+    assert.match(getReplyText(e), /❌ 微博解析失败：Cookie 没有填写或者已经过期/);
+    assert.deepEqual(harness.server.requests, []);
+});
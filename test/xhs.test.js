@@ -0,0 +1,27 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { getReplySegments, getReplyText } from "./helpers/fake-event.js";
+import { createResolverHarness } from "./helpers/harness.js";
+
+let harness;
+
+before(async () => {
+    harness = await createResolverHarness(["xhs"]);
+});
+
+after(() => harness.close());
+
+test("图文笔记：从网页数据中提取标题、正文和全部图片", async () => {
+    const e = await harness.resolve("https://www.xiaohongshu.com/explore/64f0c0d1000000001f03a7c1?xsec_token=fixture&xsec_source=pc_share");
+    const text = getReplyText(e);
+    assert.match(text, /识别：小红书，样例笔记标题\n📝 简介：样例笔记正文/);
+    const images = getReplySegments(e, "image");
+    assert.deepEqual(images.map(item => item.file.toString()), ["fake-image-1", "fake-image-2"]);
+    assert.deepEqual(harness.server.unmatched, []);
+});
+
+test("缺少 xsec_token：统一回复无效链接", async () => {
+    const e = await harness.resolve("https://www.xiaohongshu.com/explore/64f0c0d1000000001f03a7c1");
+    assert.match(getReplyText(e), /❌ 小红书解析失败：无法识别这个链接/);
+    assert.deepEqual(harness.server.requests, []);
+});
@@ -0,0 +1,28 @@
+import "./helpers/globals.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { constructHelperArgs } from "../utils/yt-dlp-util.js";
+
+const baseOptions = {
+    path: "/tmp/rconsole",
+    maxThreads: 1,
+    outputFilename: "样例视频",
+    graphics: "[height<=720]",
+    timeRange: "00:00:00-00:05:00",
+};
+
+test("#解析 音频：普通 YouTube 链接只下载音频，文件名和发送的 flac 一致", () => {
+    const args = constructHelperArgs({ ...baseOptions, url: "https://www.youtube.com/watch?v=fixture", audio: true });
+    assert.deepEqual(args.slice(0, 6), ["--newline", "-x", "--audio-format", "flac", "-f", "ba"]);
+    assert.equal(args.at(-1), "样例视频.flac");
+    assert.ok(!args.includes("--download-sections"));
+});
+
+test("YouTube 视频：按画质和截取范围下载", () => {
+    const args = constructHelperArgs({ ...baseOptions, url: "https://www.youtube.com/watch?v=fixture", proxy: "http://127.0.0.1:7890" });
+    assert.ok(!args.includes("-x"));
+    assert.deepEqual(args.slice(args.indexOf("--download-sections"), args.indexOf("--download-sections") + 4),
+        ["--download-sections", "*00:00:00-00:05:00", "-f", "bv[height<=720][ext=mp4]+ba[ext=m4a]"]);
+    assert.deepEqual(args.slice(args.indexOf("--proxy"), args.indexOf("--proxy") + 2), ["--proxy", "http://127.0.0.1:7890"]);
+    assert.equal(args.at(-1), "样例视频.%(ext)s");
+});
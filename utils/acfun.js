@@ -1,8 +1,10 @@
-import axios from "axios";
 import fs from "node:fs";
 import path from "path";
-import child_process from "node:child_process";
-import util from "util";
+import { createHttpClient } from "./http-client.js";
+import { createLogger } from "./plugin-logger.js";
+import { getToolEnv, runProcess } from "./process-runner.js";
+
+const acfunLog = createLogger("A站");
 
 /**
  * 去除JSON的一些转义 \\" -> \" ->"
@@ -38,9 +40,7 @@ async function parseUrl(videoUrlAddress) {
     const urlSuffix = "?quickViewId=videoInfo_new&ajaxpipe=1";
     const url = videoUrlAddress + urlSuffix;
 
-    const raw = await axios.get(url).then(resp => {
-        return resp.data;
-    });
+    const raw = await createHttpClient("Acfun").getText(url);
     // Split
     const strsRemoveHeader = raw.split("window.pageInfo = window.videoInfo =");
     const strsRemoveTail = strsRemoveHeader[1].split("</script>");
@@ -63,7 +63,7 @@ async function parseUrl(videoUrlAddress) {
 }
 
 async function parseM3u8(m3u8Url) {
-    const m3u8File = await axios.get(m3u8Url).then(resp => resp.data);
+    const m3u8File = await createHttpClient("Acfun").getText(m3u8Url);
 
     /** 分离ts文件链接 */
     const rawPieces = m3u8File.split(/\n#EXTINF:.{8},\n/);
@@ -97,24 +97,13 @@ async function downloadM3u8Videos(m3u8FullUrls, outputFolderName) {
     const outPath = outputFolderName;
 
     /** 批下载 */
-    const strDownloadParamFiles = m3u8FullUrls.map(async (d, i) => {
-        return new Promise((resolve, reject) => {
-            const writer = fs.createWriteStream(outPath + `${i}.ts`);
-            axios
-                .get(d, {
-                    headers: {
-                        "User-Agent":
-                            "Mozilla/5.0 (Linux; Android 5.0; SM-G900P Build/LRX21T) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.25 Mobile Safari/537.36",
-                    },
-                    responseType: "stream",
-                })
-                .then(dres => {
-                    dres.data.pipe(writer);
-                    writer.on("finish", () => resolve(true));
-                    writer.on("error", () => reject);
-                });
-        });
-    });
+    const client = createHttpClient("Acfun");
+    const strDownloadParamFiles = m3u8FullUrls.map((d, i) => client.download(d, outPath + `${i}.ts`, {
+        headers: {
+            "User-Agent":
+                "Mozilla/5.0 (Linux; Android 5.0; SM-G900P Build/LRX21T) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.25 Mobile Safari/537.36",
+        },
+    }).then(() => true));
     /** 写入下载链接列表文件 */
     // fs.writeFileSync(path.resolveControl(outPath, "urls.txt"), str下载参数文件);
     return Promise.all(strDownloadParamFiles);
@@ -130,24 +119,9 @@ async function mergeAcFileToMp4(tsNames, FullFileName, outputFileName, shouldDel
     fs.writeFileSync(ffmpegList, concatStrs.join("\n"));
     const outPath = path.resolve(outputFileName);
 
-    // 判断当前环境
-    let env;
-    if (process.platform === "win32") {
-        env = process.env;
-    } else if (process.platform === "linux") {
-        env = {
-            ...process.env,
-            PATH: "/usr/local/bin:" + child_process.execSync("echo $PATH").toString(),
-        };
-    } else {
-        console.log("暂时不支持当前操作系统！");
-    }
-
-    const execFile = util.promisify(child_process.execFile);
     try {
-        const cmd = "ffmpeg";
         const args = ["-y", "-f", "concat", "-safe", "0", "-i", ffmpegList, "-c", "copy", outPath];
-        await execFile(cmd, args, { env });
+        await runProcess("ffmpeg", args, { tag: "A站", env: getToolEnv() });
 
         if (shouldDelete) {
             fs.unlink(FullFileName, f => f);
@@ -155,7 +129,7 @@ async function mergeAcFileToMp4(tsNames, FullFileName, outputFileName, shouldDel
 
         return { outputFileName };
     } catch (err) {
-        logger.error(err);
+        acfunLog.error(err);
     }
 }
 
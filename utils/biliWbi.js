@@ -1,5 +1,6 @@
 import md5 from 'md5'
 import { BILI_NAV } from "../constants/tools.js";
+import { createHttpClient } from "./http-client.js";
 
 const mixinKeyEncTab = [
     46, 47, 18, 2, 53, 8, 23, 32, 15, 50, 10, 31, 58, 3, 45, 35, 27, 43, 5, 49,
@@ -36,13 +37,12 @@ function encWbi(params, img_key, sub_key) {
 
 // 获取最新的 img_key 和 sub_key
 async function getWbiKeys(SESSDATA) {
-    const res = await fetch(BILI_NAV, {
+    const { data: { wbi_img: { img_url, sub_url } } } = await createHttpClient("哔哩哔哩").getJson(BILI_NAV, {
         headers: {
             // SESSDATA 字段
             Cookie: `SESSDATA=${SESSDATA}`
         }
     })
-    const { data: { wbi_img: { img_url, sub_url } } } = await res.json()
 
     return {
         img_key: img_url.slice(
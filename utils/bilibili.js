@@ -1,10 +1,7 @@
-import axios from 'axios'
-import { exec, spawn } from 'child_process';
-import child_process from 'node:child_process'
 import fs from "node:fs";
+import { pipeline } from "node:stream/promises";
 import path from "path";
 import qrcode from "qrcode"
-import util from "util";
 import { BILI_RESOLUTION_LIST } from "../constants/constant.js";
 import {
     BILI_BVID_TO_CID,
@@ -15,6 +12,17 @@ import {
     BILI_VIDEO_INFO
 } from "../constants/tools.js";
 import { mkdirIfNotExists } from "./file.js";
+import { createHttpClient } from "./http-client.js";
+import { createLogger } from "./plugin-logger.js";
+import { assertSafeUrl, getToolEnv, runProcess } from "./process-runner.js";
+
+const biliDownloadLog = createLogger("BILI下载");
+const biliRequestLog = createLogger("BILI请求审计");
+const biliLoginLog = createLogger("BILI登录");
+const mergeLog = createLogger("合并视频和音频");
+const mcdnLog = createLogger("bili-MCDN");
+const aria2Log = createLogger("Aria2下载");
+const axelLog = createLogger("axel/wget");
 
 export const BILI_HEADER = {
     'User-Agent':
@@ -53,33 +61,27 @@ export async function downloadBFile(url, fullFileName, progressCallback, biliDow
  * @returns {Promise<{fullFileName: string, totalLen: number}>}
  */
 async function normalDownloadBFile(url, fullFileName, progressCallback) {
-    return axios
-        .get(url, {
-            responseType: 'stream',
-            headers: {
-                ...BILI_HEADER
-            },
-        })
-        .then(({ data, headers }) => {
-            let currentLen = 0;
-            const totalLen = headers['content-length'];
-
-            return new Promise((resolve, reject) => {
-                data.on('data', ({ length }) => {
-                    currentLen += length;
-                    progressCallback?.(currentLen / totalLen);
-                });
-
-                data.pipe(
-                    fs.createWriteStream(fullFileName).on('finish', () => {
-                        resolve({
-                            fullFileName,
-                            totalLen,
-                        });
-                    }),
-                );
-            });
-        });
+    const resp = await createHttpClient("哔哩哔哩").fetch(url, {
+        headers: {
+            ...BILI_HEADER
+        },
+        timeout: 0,
+    });
+    if (!resp.ok) {
+        resp.body?.resume();
+        throw new Error(`下载失败，状态码: ${ resp.status }`);
+    }
+    let currentLen = 0;
+    const totalLen = resp.headers.get('content-length');
+    resp.body.on('data', ({ length }) => {
+        currentLen += length;
+        progressCallback?.(currentLen / totalLen);
+    });
+    await pipeline(resp.body, fs.createWriteStream(fullFileName));
+    return {
+        fullFileName,
+        totalLen,
+    };
 }
 
 /**
@@ -91,52 +93,35 @@ async function normalDownloadBFile(url, fullFileName, progressCallback) {
  * @returns {Promise<{fullFileName: string, totalLen: number}>}
  */
 async function aria2DownloadBFile(url, fullFileName, progressCallback, videoDownloadConcurrency) {
-    return new Promise((resolve, reject) => {
-        logger.info(`[R插件][Aria2下载] 正在使用Aria2进行下载!`);
-        // 构建aria2c命令
-        const aria2cArgs = [
-            '--file-allocation=none',  // 避免预分配文件空间
-            '--continue',              // 启用暂停支持
-            '-o', fullFileName,        // 指定输出文件名
-            '--console-log-level=warn', // 减少日志 verbosity
-            '--download-result=hide',   // 隐藏下载结果概要
-            '--header', 'referer: https://www.bilibili.com', // 添加自定义标头
-            `--max-connection-per-server=${ videoDownloadConcurrency }`, // 每个服务器的最大连接数
-            `--split=${ videoDownloadConcurrency }`,               // 分成 6 个部分进行下载
-            url
-        ];
-
-        // Spawn aria2c 进程
-        const aria2c = spawn('aria2c', aria2cArgs);
-
-        let totalLen = 0;
-        let currentLen = 0;
-
-        // 处理aria2c标准输出数据以捕获进度（可选）
-        aria2c.stdout.on('data', (data) => {
-            const output = data.toString();
+    aria2Log.info(`正在使用Aria2进行下载!`);
+    // 构建aria2c命令
+    const aria2cArgs = [
+        '--file-allocation=none',  // 避免预分配文件空间
+        '--continue',              // 启用暂停支持
+        '-o', fullFileName,        // 指定输出文件名
+        '--console-log-level=warn', // 减少日志 verbosity
+        '--download-result=hide',   // 隐藏下载结果概要
+        '--header', 'referer: https://www.bilibili.com', // 添加自定义标头
+        `--max-connection-per-server=${ videoDownloadConcurrency }`, // 每个服务器的最大连接数
+        `--split=${ videoDownloadConcurrency }`,               // 分成 6 个部分进行下载
+        assertSafeUrl(url)
+    ];
+
+    let totalLen = 0;
+    // 处理aria2c标准输出数据以捕获进度，例如：(1024/4096)
+    await runProcess('aria2c', aria2cArgs, {
+        tag: 'Aria2下载',
+        parseProgress: output => {
             const match = output.match(/\((\d+)\s*\/\s*(\d+)\)/);
-            if (match) {
-                currentLen = parseInt(match[1], 10);
-                totalLen = parseInt(match[2], 10);
-                progressCallback?.(currentLen / totalLen);
+            if (!match) {
+                return undefined;
             }
-        });
-
-        // 处理aria2c的stderr以捕获错误
-        aria2c.stderr.on('data', (data) => {
-            console.error(`aria2c error: ${ data }`);
-        });
-
-        // 处理进程退出
-        aria2c.on('close', (code) => {
-            if (code === 0) {
-                resolve({ fullFileName, totalLen });
-            } else {
-                reject(new Error(`aria2c exited with code ${ code }`));
-            }
-        });
+            totalLen = parseInt(match[2], 10);
+            return parseInt(match[1], 10) / totalLen;
+        },
+        onProgress: ratio => progressCallback?.(ratio),
     });
+    return { fullFileName, totalLen };
 }
 
 /**
@@ -148,53 +133,29 @@ async function aria2DownloadBFile(url, fullFileName, progressCallback, videoDown
  * @returns {Promise<{fullFileName: string, totalLen: number}>}
  */
 async function axelDownloadBFile(url, fullFileName, progressCallback, videoDownloadConcurrency) {
-    return new Promise((resolve, reject) => {
-        // 构建路径
-        fullFileName = path.resolve(fullFileName);
-
-        // 构建 -H 参数
-        const headerParams = Object.entries(BILI_HEADER).map(
-            ([key, value]) => `--header="${ key }: ${ value }"`
-        ).join(' ');
-
-        let command = '';
-        let downloadTool = 'wget';
-        if (videoDownloadConcurrency === 1) {
-            // wget 命令
-            command = `${ downloadTool } -O ${ fullFileName } ${ headerParams } '${ url }'`;
-        } else {
-            // AXEL 命令行
-            downloadTool = 'axel';
-            command = `${ downloadTool } -n ${ videoDownloadConcurrency } -o ${ fullFileName } ${ headerParams } '${ url }'`;
-        }
-
-        // 执行命令
-        const axel = exec(command);
-        logger.info(`[R插件][axel/wget] 执行命令：${ downloadTool } 下载方式为：${ downloadTool === 'wget' ? '单线程' : '多线程' }`);
-
-        axel.stdout.on('data', (data) => {
-            const match = data.match(/(\d+)%/);
-            if (match) {
-                const progress = parseInt(match[1], 10) / 100;
-                progressCallback?.(progress);
-            }
-        });
-
-        axel.stderr.on('data', (data) => {
-            logger.info(`[R插件][${ downloadTool }]: ${ data }`);
-        });
-
-        axel.on('close', (code) => {
-            if (code === 0) {
-                resolve({
-                    fullFileName,
-                    totalLen: fs.statSync(fullFileName).size,
-                });
-            } else {
-                reject(new Error(`[R插件][${ downloadTool }] 错误：${ code }`));
-            }
-        });
+    // 构建路径
+    fullFileName = path.resolve(fullFileName);
+
+    // 构建 --header 参数
+    const headerParams = Object.entries(BILI_HEADER).flatMap(
+        ([key, value]) => ['--header', `${ key }: ${ value }`]
+    );
+
+    // 单线程使用 wget，多线程使用 axel
+    const downloadTool = videoDownloadConcurrency === 1 ? 'wget' : 'axel';
+    const args = downloadTool === 'wget'
+        ? ['-O', fullFileName, ...headerParams, assertSafeUrl(url)]
+        : ['-n', videoDownloadConcurrency, '-o', fullFileName, ...headerParams, assertSafeUrl(url)];
+    axelLog.info(`执行命令：${ downloadTool } 下载方式为：${ downloadTool === 'wget' ? '单线程' : '多线程' }`);
+
+    await runProcess(downloadTool, args, {
+        tag: downloadTool,
+        onProgress: ratio => progressCallback?.(ratio),
     });
+    return {
+        fullFileName,
+        totalLen: fs.statSync(fullFileName).size,
+    };
 }
 
 /**
@@ -222,7 +183,7 @@ export async function getDownloadUrl(url, SESSDATA, qn) {
         case 16: qualityText = "360P"; break;
         default: qualityText = "480P"; break;
     }
-    logger.info(`[R插件][BILI下载] 开始获取视频下载链接，视频ID: ${videoId}, 请求画质: ${qualityText}`);
+    biliDownloadLog.info(`开始获取视频下载链接，视频ID: ${videoId}, 请求画质: ${qualityText}`);
     const dash = await getBiliVideoWithSession(videoId, cid, SESSDATA, qn);
     // 获取关键信息
     const { video, audio } = dash;
@@ -266,7 +227,7 @@ export async function getDownloadUrl(url, SESSDATA, qn) {
         const codecInfo = matchingVideos.map(v => 
             `${v.height}p(${v.codecs}): ${Math.round(v.bandwidth / 1024)}kbps`
         ).join(', ');
-        logger.debug(`[R插件][BILI下载] 可选编码: ${codecInfo}`);
+        biliDownloadLog.debug(`可选编码: ${codecInfo}`);
 
         // 按照编码和码率排序
         const codecPriority = { hevc: 1, av1: 2, avc: 3 };
@@ -285,11 +246,11 @@ export async function getDownloadUrl(url, SESSDATA, qn) {
     }
     
     if (!videoData) {
-        logger.error(`[R插件][BILI下载] 获取视频数据失败，请检查画质参数是否正确`);
+        biliDownloadLog.error(`获取视频数据失败，请检查画质参数是否正确`);
         return { videoUrl: null, audioUrl: null };
     }
 
-    logger.debug(`[R插件][BILI下载] 请求画质: ${qualityText}, 实际获取画质: ${videoData.height}p，分辨率: ${videoData.width}x${videoData.height}, 编码: ${videoData.codecs}, 码率: ${Math.round(videoData.bandwidth / 1024)}kbps`);
+    biliDownloadLog.debug(`请求画质: ${qualityText}, 实际获取画质: ${videoData.height}p，分辨率: ${videoData.width}x${videoData.height}, 编码: ${videoData.codecs}, 码率: ${Math.round(videoData.bandwidth / 1024)}kbps`);
     
     // 提取信息
     const { backupUrl: videoBackupUrl, baseUrl: videoBaseUrl } = videoData;
@@ -301,7 +262,7 @@ export async function getDownloadUrl(url, SESSDATA, qn) {
     if (audioData != null && audioData !== undefined) {
         const { backupUrl: audioBackupUrl, baseUrl: audioBaseUrl } = audioData;
         audioUrl = selectAndAvoidMCdnUrl(audioBaseUrl, audioBackupUrl);
-        logger.debug(`[R插件][BILI下载] 音频码率: ${Math.round(audioData.bandwidth / 1024)}kbps`);
+        biliDownloadLog.debug(`音频码率: ${Math.round(audioData.bandwidth / 1024)}kbps`);
     }
     
     return { videoUrl, audioUrl };
@@ -316,23 +277,9 @@ export async function getDownloadUrl(url, SESSDATA, qn) {
  * @returns {Promise<{outputFileName}>}
  */
 export async function mergeFileToMp4(vFullFileName, aFullFileName, outputFileName, shouldDelete = true) {
-    // 判断当前环境
-    let env;
-    if (process.platform === "win32") {
-        env = process.env
-    } else if (process.platform === "linux") {
-        env = {
-            ...process.env,
-            PATH: '/usr/local/bin:' + child_process.execSync('echo $PATH').toString(),
-        };
-    } else {
-        logger.warn("[R插件][合并视频和音频] 检测到未知系统，可能是MacOS.");
-    }
-    const execFile = util.promisify(child_process.execFile);
     try {
-        const cmd = 'ffmpeg';
         const args = ['-y', '-i', vFullFileName, '-i', aFullFileName, '-c', 'copy', outputFileName];
-        await execFile(cmd, args, { env });
+        await runProcess('ffmpeg', args, { tag: "合并视频和音频", env: getToolEnv() });
 
         if (shouldDelete) {
             await fs.promises.unlink(vFullFileName);
@@ -341,7 +288,7 @@ export async function mergeFileToMp4(vFullFileName, aFullFileName, outputFileNam
 
         return { outputFileName };
     } catch (err) {
-        logger.error(err);
+        mergeLog.error(err);
     }
 }
 
@@ -351,40 +298,26 @@ export async function mergeFileToMp4(vFullFileName, aFullFileName, outputFileNam
  * @returns {Promise<void>}
  */
 export async function m4sToMp3(m4sUrl, path) {
-    return axios
-        .get(m4sUrl, {
-            responseType: 'stream',
-            headers: {
-                ...BILI_HEADER
-            },
-        }).then(async res => {
-            // 如果没有目录就创建一个
-            await mkdirIfNotExists(path)
-            // 补充保存文件名
-            path += "/temp.m4s";
-            if (fs.existsSync(path)) {
-                fs.unlinkSync(path);
-            }
-            // 开始下载
-            const fileStream = fs.createWriteStream(path);
-            res.data.pipe(fileStream);
-            // 下载完成
-            return new Promise((resolve, reject) => {
-                fileStream.on("finish", () => {
-                    fileStream.close(() => {
-                        const transformCmd = `ffmpeg -i ${ path } ${ path.replace(".m4s", ".mp3") } -y -loglevel quiet`;
-                        child_process.execSync(transformCmd)
-                        logger.mark("bili: mp3下载完成")
-                        resolve(path);
-                    });
-                });
-                fileStream.on("error", err => {
-                    fs.unlink(path, () => {
-                        reject(err);
-                    });
-                });
-            });
-        });
+    // 如果没有目录就创建一个
+    await mkdirIfNotExists(path)
+    // 补充保存文件名
+    path += "/temp.m4s";
+    if (fs.existsSync(path)) {
+        fs.unlinkSync(path);
+    }
+    // 开始下载，失败时会删除下载了一半的文件
+    await createHttpClient("哔哩哔哩").download(m4sUrl, path, {
+        headers: {
+            ...BILI_HEADER
+        },
+    });
+    // 转换为 mp3，文件名不经过 shell
+    await runProcess("ffmpeg", ["-i", path, path.replace(".m4s", ".mp3"), "-y", "-loglevel", "quiet"], {
+        tag: "BILI下载",
+        env: getToolEnv(),
+    });
+    biliDownloadLog.mark("mp3下载完成")
+    return path;
 }
 
 /**
@@ -396,41 +329,36 @@ export async function m4sToMp3(m4sUrl, path) {
 export async function getBiliAudio(bvid, cid) {
     // 转换cid
     if (!cid)
-        cid = await fetchCID(bvid).catch((err) => logger.info(err))
+        cid = await fetchCID(bvid).catch((err) => biliRequestLog.info(err))
 
-    // 返回一个fetch的promise
-    return (new Promise((resolve, reject) => {
-        fetch(BILI_PLAY_STREAM.replace("{bvid}", bvid).replace("{cid}", cid), {
-            headers: {
-                ...BILI_HEADER,
-            }
-        })
-            .then(res => res.json())
-            .then(json => resolve(json.data.dash.audio[0].baseUrl));
-    }))
+    const json = await createHttpClient("哔哩哔哩").getJson(BILI_PLAY_STREAM.replace("{bvid}", bvid).replace("{cid}", cid), {
+        headers: {
+            ...BILI_HEADER,
+        }
+    });
+    return json.data.dash.audio[0].baseUrl;
 }
 
 export async function getBiliVideoWithSession(bvid, cid, SESSDATA, qn) {
     if (!cid) {
-        cid = await fetchCID(bvid).catch((err) => logger.error(err))
+        cid = await fetchCID(bvid).catch((err) => biliRequestLog.error(err))
     }
     const apiUrl = BILI_PLAY_STREAM
         .replace("{bvid}", bvid)
         .replace("{cid}", cid)
         .replace("{qn}", qn);
-    logger.debug(`[R插件][BILI请求审计] 请求URL: ${apiUrl}`);
+    biliRequestLog.debug(`请求URL: ${apiUrl}`);
     
     return (new Promise((resolve, reject) => {
-        fetch(apiUrl, {
+        createHttpClient("哔哩哔哩").getJson(apiUrl, {
             headers: {
                 ...BILI_HEADER,
                 Cookie: `SESSDATA=${SESSDATA}`
             }
         })
-            .then(res => res.json())
             .then(json => {
                 if (json.code !== 0) {
-                    logger.error(`[R插件][BILI请求审计] 请求失败: ${json.message}`);
+                    biliRequestLog.error(`请求失败: ${json.message}`);
                     reject(new Error(json.message));
                 } else {
                     // 记录每个视频流的画质信息
@@ -438,12 +366,12 @@ export async function getBiliVideoWithSession(bvid, cid, SESSDATA, qn) {
                         .sort((a, b) => b.height - a.height)  // 按分辨率从高到低排序
                         .map(v => `${v.height}p(${v.codecs}): ${Math.round(v.bandwidth / 1024)}kbps`)
                         .join(', ');
-                    logger.debug(`[R插件][BILI请求审计] 请求成功，可用画质列表: ${qualityInfo}`);
+                    biliRequestLog.debug(`请求成功，可用画质列表: ${qualityInfo}`);
                     resolve(json.data.dash);
                 }
             })
             .catch(err => {
-                logger.error(`[R插件][BILI请求审计] 请求异常: ${err.message}`);
+                biliRequestLog.error(`请求异常: ${err.message}`);
                 reject(err);
             });
     }))
@@ -456,8 +384,7 @@ export async function getBiliVideoWithSession(bvid, cid, SESSDATA, qn) {
  */
 export const fetchCID = async (bvid) => {
     //logger.info('Data.js Calling fetchCID:' + URL_BVID_TO_CID.replace("{bvid}", bvid))
-    const res = await fetch(BILI_BVID_TO_CID.replace("{bvid}", bvid));
-    const json = await res.json();
+    const json = await createHttpClient("哔哩哔哩").getJson(BILI_BVID_TO_CID.replace("{bvid}", bvid));
     const cid = json.data[0].cid;
     return cid;
 }
@@ -477,11 +404,10 @@ export async function getVideoInfo(url) {
     } else {
         finalUrl += `bvid=${ videoId }`;
     }
-    logger.debug(finalUrl);
+    biliRequestLog.debug(finalUrl);
     // 获取视频信息，然后发送
-    return fetch(finalUrl)
-        .then(async resp => {
-            const respJson = await resp.json();
+    return createHttpClient("哔哩哔哩").getJson(finalUrl)
+        .then(respJson => {
             const respData = respJson.data;
             return {
                 title: respData.title,
@@ -506,13 +432,13 @@ export async function getVideoInfo(url) {
  */
 export async function getDynamic(dynamicId, SESSDATA) {
     const dynamicApi = BILI_DYNAMIC.replace("{}", dynamicId);
-    return axios.get(dynamicApi, {
+    return createHttpClient("哔哩哔哩").getJson(dynamicApi, {
         headers: {
             ...BILI_HEADER,
             Cookie: `SESSDATA=${ SESSDATA }`
         },
     }).then(resp => {
-        const innerCardObject = resp.data.data.card;
+        const innerCardObject = resp.data.card;
         const card = JSON.parse(innerCardObject.card);
         const dynamicType = innerCardObject.desc?.type;
 
@@ -558,9 +484,11 @@ export async function getDynamic(dynamicId, SESSDATA) {
 export async function getScanCodeData(qrcodeSavePath = 'qrcode.png', detectTime = 10, hook = () => {
 }) {
     try {
-        const resp = await axios.get(BILI_SCAN_CODE_GENERATE, { ...BILI_HEADER });
+        // 登录时不带上配置中旧的 SESSDATA
+        const client = createHttpClient("哔哩哔哩", { cookie: false });
+        const resp = await client.getJson(BILI_SCAN_CODE_GENERATE, { headers: BILI_HEADER });
         // 保存扫码的地址、扫码登录秘钥
-        const { url: scanUrl, qrcode_key } = resp.data.data;
+        const { url: scanUrl, qrcode_key } = resp.data;
         await qrcode.toFile(qrcodeSavePath, scanUrl);
 
         let code = 1;
@@ -570,19 +498,21 @@ export async function getScanCodeData(qrcodeSavePath = 'qrcode.png', detectTime
         const maxAttempts = 3;
 
         let loginResp;
+        let loginData;
         // 钩子函数，目前用于发送二维码给用户
         hook();
         // 检测扫码情况默认 10s 检测一次，并且尝试3次，没扫就拜拜
         while (code !== 0 && attemptCount < maxAttempts) {
-            loginResp = await axios.get(BILI_SCAN_CODE_DETECT.replace("{}", qrcode_key), { ...BILI_HEADER });
-            code = loginResp.data.data.code;
+            loginResp = await client.fetch(BILI_SCAN_CODE_DETECT.replace("{}", qrcode_key), { headers: BILI_HEADER });
+            loginData = (await loginResp.json()).data;
+            code = loginData.code;
             await new Promise(resolve => setTimeout(resolve, detectTime * 1000)); // Wait for detectTime seconds
         }
         // 获取刷新令牌
-        const { refresh_token } = loginResp.data.data;
+        const { refresh_token } = loginData;
 
         // 获取cookie
-        const cookies = loginResp.headers['set-cookie'];
+        const cookies = loginResp.headers.raw()['set-cookie'] || [];
         const SESSDATA = cookies
             .map(cookie => cookie.split(';').find(item => item.trim().startsWith('SESSDATA=')))
             .find(item => item !== undefined)
@@ -593,7 +523,7 @@ export async function getScanCodeData(qrcodeSavePath = 'qrcode.png', detectTime
             refresh_token
         };
     } catch (err) {
-        logger.error(err);
+        biliLoginLog.error(err);
         // 可能需要处理错误或返回一个默认值
         return {
             SESSDATA: '',
@@ -636,7 +566,7 @@ function selectAndAvoidMCdnUrl(baseUrl, backupUrls) {
     if (backupUrl !== undefined) {
         return backupUrl;
     }
-    logger.info("[R插件][bili-MCDN] 检测到 mcdn 开始替换为源站的 cdn");
+    mcdnLog.info("检测到 mcdn 开始替换为源站的 cdn");
     // 找不到替换 backupUrls 的第一个链接
     return replaceP2PUrl(backupUrls?.[0]);
 }
@@ -654,22 +584,22 @@ function replaceP2PUrl(url) {
         if (urlObj.hostname.match(/upos-sz-mirror08[ch]\.bilivideo\.com/) || urlObj.hostname.match(/upos-hz-mirrorakam\.akamaized\.net/)) {
             urlObj.host = 'upos-sz-mirrorhwo1.bilivideo.com'
             urlObj.port = 443;
-            logger.info(`更换视频源: ${ hostName } -> ${ urlObj.host }`);
+            mcdnLog.info(`更换视频源: ${ hostName } -> ${ urlObj.host }`);
             return urlObj.toString();
         } else if (urlObj.hostname.match(/upos-sz-estgoss\.bilivideo\.com/) || urlObj.hostname.match(/upos-sz-mirrorali(ov|b)?\.bilivideo\.com/)) {
             urlObj.host = 'upos-sz-mirroralio1.bilivideo.com'
             urlObj.port = 443;
-            logger.info(`更换视频源: ${ hostName } -> ${ urlObj.host }`);
+            mcdnLog.info(`更换视频源: ${ hostName } -> ${ urlObj.host }`);
             return urlObj.toString();
         } else if (urlObj.hostname.endsWith(".mcdn.bilivideo.cn") || urlObj.hostname.match(/cn(-[a-z]+){2}(-\d{2}){2}\.bilivideo\.com/)) {
             urlObj.host = 'upos-sz-mirrorcoso1.bilivideo.com';
             urlObj.port = 443;
-            logger.info(`更换视频源: ${ hostName } -> ${ urlObj.host }`);
+            mcdnLog.info(`更换视频源: ${ hostName } -> ${ urlObj.host }`);
             return urlObj.toString();
         } else if (urlObj.hostname.endsWith(".szbdyd.com")) {
             urlObj.host = urlObj.searchParams.get('xy_usource');
             urlObj.port = 443;
-            logger.info(`更换视频源: ${ hostName } -> ${ urlObj.host }`);
+            mcdnLog.info(`更换视频源: ${ hostName } -> ${ urlObj.host }`);
             return urlObj.toString();
         }
         return url;
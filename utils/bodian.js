@@ -1,5 +1,5 @@
-import axios from "axios";
 import { downloadAudio, generateRandomStr } from "./common.js";
+import { createHttpClient } from "./http-client.js";
 
 /**
  * 获取音频
@@ -22,10 +22,9 @@ async function getBodianAudio(id, path, songName = "temp") {
         "Cache-Control": "no-cache",
         channel: "appstore",
     };
-    const resp = await axios.get(API, {
+    const respJson = await createHttpClient("波点").getJson(API, {
         headers,
     });
-    const respJson = resp.data;
     const audioUrl = respJson.data.audioUrl;
     return await downloadAudio(audioUrl, path, songName)
         .catch(err => {
@@ -49,10 +48,9 @@ async function getBodianMv(id) {
         channel: "aliopen",
         devId: generateRandomStr(16)
     }
-    return await axios.get(API, {
+    return await createHttpClient("波点").getJson(API, {
         headers
-    }).then(async resp => {
-        const res = resp.data;
+    }).then(async res => {
         // 如果没有，直接返回
         if (res.data.lowUrl === null || res.data.highUrl === null) {
             return;
@@ -78,10 +76,10 @@ async function getBodianMusicInfo(id) {
         channel: "aliopen",
         devId: generateRandomStr(16)
     }
-    return await axios.get(API, {
+    return await createHttpClient("波点").getJson(API, {
         headers
     }).then(async resp => {
-       return resp.data?.data;
+       return resp?.data;
     }).catch(err => {
         logger.error("波点音乐错误");
     });
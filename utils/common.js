@@ -1,12 +1,14 @@
-import axios from "axios";
-import { exec } from "child_process";
-import { HttpsProxyAgent } from 'https-proxy-agent';
-import fetch from "node-fetch";
 import fs from "node:fs";
 import os from "os";
 import path from 'path';
 import { BILI_DOWNLOAD_METHOD, COMMON_USER_AGENT, SHORT_LINKS, TEN_THOUSAND } from "../constants/constant.js";
 import { mkdirIfNotExists } from "./file.js";
+import { createHttpClient, getPlatformProxy } from "./http-client.js";
+import { createLogger } from "./plugin-logger.js";
+import { assertSafeUrl, runProcess } from "./process-runner.js";
+
+const imageLog = createLogger("图片下载");
+const commandLog = createLogger("命令环境检测");
 
 /**
  * 生成随机字符串
@@ -49,25 +51,11 @@ export async function downloadAudio(mp3Url, filePath, title = "temp", redirect =
     }
 
     try {
-        const response = await axios({
-            method: 'get',
-            url: mp3Url,
-            responseType: 'stream',
+        return await createHttpClient().download(mp3Url, filePath, {
             headers: {
                 "User-Agent": "Mozilla/5.0 (Linux; Android 5.0; SM-G900P Build/LRX21T) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.25 Mobile Safari/537.36"
             }
         });
-
-        // 开始下载
-        const writer = fs.createWriteStream(filePath);
-
-        response.data.pipe(writer);
-
-        return new Promise((resolve, reject) => {
-            writer.on('finish', () => resolve(filePath));
-            writer.on('error', reject);
-        });
-
     } catch (error) {
         logger.error(`下载音乐失败，错误信息为: ${ error.message }`);
         throw error;
@@ -80,29 +68,26 @@ export async function downloadAudio(mp3Url, filePath, title = "temp", redirect =
  * @param {string} options.img 图片的URL
  * @param {string} options.dir 保存图片的目录
  * @param {string} [options.fileName] 自定义文件名 (可选)
- * @param {boolean} [options.isProxy] 是否使用代理 (可选)
+ * @param {string} [options.platform] 图片所属平台，按平台的配置决定是否走代理 (可选)
  * @param {Object} [options.headersExt] 自定义请求头 (可选)
- * @param {Object} [options.proxyInfo] 代理信息 (可选)
  * @returns {Promise<string>}
  */
 export async function downloadImg({
                                       img,
                                       dir,
                                       fileName = "",
-                                      isProxy = false,
+                                      platform,
                                       headersExt = {},
-                                      proxyInfo = {},
                                       downloadMethod = 0,
                                   }) {
     const downloadImgParams = {
         img,
         dir,
         fileName,
-        isProxy,
+        platform,
         headersExt,
-        proxyInfo,
     }
-    logger.info(logger.yellow(`[R插件][图片下载] 当前使用的方法：${ BILI_DOWNLOAD_METHOD[downloadMethod].label }`));
+    imageLog.info(`当前使用的方法：${ BILI_DOWNLOAD_METHOD[downloadMethod].label }`);
     if (downloadMethod === 0) {
         return normalDownloadImg(downloadImgParams);
     } else if (downloadMethod >= 1) {
@@ -116,57 +101,31 @@ export async function downloadImg({
  * @param {string} options.img 图片的URL
  * @param {string} options.dir 保存图片的目录
  * @param {string} [options.fileName] 自定义文件名 (可选)
- * @param {boolean} [options.isProxy] 是否使用代理 (可选)
+ * @param {string} [options.platform] 图片所属平台 (可选)
  * @param {Object} [options.headersExt] 自定义请求头 (可选)
- * @param {Object} [options.proxyInfo] 代理信息 (可选)
  * @returns {Promise<string>}
  */
 async function normalDownloadImg({
                                      img,
                                      dir,
                                      fileName = "",
-                                     isProxy = false,
+                                     platform,
                                      headersExt = {},
-                                     proxyInfo = {}
                                  }) {
     if (fileName === "") {
         fileName = img.split("/").pop();
     }
     const filepath = `${ dir }/${ fileName }`;
     await mkdirIfNotExists(dir)
-    const writer = fs.createWriteStream(filepath);
-    const axiosConfig = {
-        headers: {
-            "User-Agent": COMMON_USER_AGENT,
-            ...headersExt
-        },
-        responseType: "stream",
-    };
-    // 添加🪜
-    if (isProxy) {
-        axiosConfig.httpsAgent = new HttpsProxyAgent({
-            host: proxyInfo.proxyAddr,
-            port: proxyInfo.proxyPort
-        });
-    }
     try {
-        const res = await axios.get(img, axiosConfig);
-        res.data.pipe(writer);
-
-        return new Promise((resolve, reject) => {
-            writer.on("finish", () => {
-                writer.close(() => {
-                    resolve(filepath);
-                });
-            });
-            writer.on("error", err => {
-                fs.unlink(filepath, () => {
-                    reject(err);
-                });
-            });
+        return await createHttpClient(platform).download(img, filepath, {
+            headers: {
+                "User-Agent": COMMON_USER_AGENT,
+                ...headersExt
+            },
         });
     } catch (err) {
-        logger.error(`图片下载失败, 原因：${ err }`);
+        imageLog.error(`图片下载失败, 原因：${ err }`);
     }
 }
 
@@ -176,9 +135,8 @@ async function normalDownloadImg({
  * @param {string} options.img 图片的URL
  * @param {string} options.dir 保存图片的目录
  * @param {string} [options.fileName] 自定义文件名 (可选)
- * @param {boolean} [options.isProxy] 是否使用代理 (可选)
+ * @param {string} [options.platform] 图片所属平台，按平台的配置决定是否走代理 (可选)
  * @param {Object} [options.headersExt] 自定义请求头 (可选)
- * @param {Object} [options.proxyInfo] 代理信息 (可选)
  * @param {number} [options.numThread] 线程数 (可选)
  * @returns {Promise<unknown>}
  */
@@ -186,9 +144,8 @@ async function downloadImgWithAria2({
                                         img,
                                         dir,
                                         fileName = "",
-                                        isProxy = false,
+                                        platform,
                                         headersExt = {},
-                                        proxyInfo = {},
                                         numThread = 1,
                                     }) {
     if (fileName === "") {
@@ -197,31 +154,37 @@ async function downloadImgWithAria2({
     const filepath = path.resolve(dir, fileName);
     await mkdirIfNotExists(dir);
 
-    // 构建 aria2c 命令
-    let aria2cCmd = `aria2c "${ img }" --dir="${ dir }" --out="${ fileName }" --max-connection-per-server=${ numThread } --split=${ numThread } --min-split-size=1M --continue`;
+    // 构建 aria2c 参数
+    const aria2cArgs = [
+        assertSafeUrl(img),
+        `--dir=${ dir }`,
+        `--out=${ fileName }`,
+        `--max-connection-per-server=${ numThread }`,
+        `--split=${ numThread }`,
+        "--min-split-size=1M",
+        "--continue",
+    ];
 
     // 如果需要代理
-    if (isProxy) {
-        aria2cCmd += ` --all-proxy="http://${ proxyInfo.proxyAddr }:${ proxyInfo.proxyPort }"`;
+    const proxy = await getPlatformProxy(platform, { required: false });
+    if (proxy) {
+        aria2cArgs.push(`--all-proxy=${ proxy }`);
     }
 
     // 添加自定义headers
     if (headersExt && Object.keys(headersExt).length > 0) {
         for (const [headerName, headerValue] of Object.entries(headersExt)) {
-            aria2cCmd += ` --header="${ headerName }: ${ headerValue }"`;
+            aria2cArgs.push(`--header=${ headerName }: ${ headerValue }`);
         }
     }
 
-    return new Promise((resolve, reject) => {
-        exec(aria2cCmd, (error, stdout, stderr) => {
-            if (error) {
-                logger.error(`图片下载失败, 原因：${ error.message }`);
-                reject(error);
-                return;
-            }
-            resolve(filepath);
-        });
-    });
+    try {
+        await runProcess("aria2c", aria2cArgs, { tag: "aria2c图片下载" });
+    } catch (error) {
+        imageLog.error(`图片下载失败, 原因：${ error.message }`);
+        throw error;
+    }
+    return filepath;
 }
 
 /**
@@ -300,82 +263,12 @@ export function truncateString(inputString, maxLength = 50) {
         : inputString.substring(0, maxLength) + '...';
 }
 
-/**
- * 测试当前是否存在🪜
- * @returns {Promise<Boolean>}
- */
-export async function testProxy(host = '127.0.0.1', port = 7890) {
-    // 创建一个代理隧道
-    const httpsAgent = new HttpsProxyAgent(`http://${ host }:${ port }`);
-
-    try {
-        // 通过代理服务器发起请求
-        await axios.get('https://www.google.com', { httpsAgent });
-        logger.mark(logger.yellow('[R插件][梯子测试模块] 检测到梯子'));
-        return true;
-    } catch (error) {
-        logger.error('[R插件][梯子测试模块] 检测不到梯子');
-        return false;
-    }
-}
-
 export function formatSeconds(seconds) {
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = seconds % 60;
     return `${ minutes }分${ remainingSeconds }秒`;
 }
 
-/**
- * 重试 axios 请求
- * @param requestFunction
- * @param retries
- * @param delay
- * @returns {*}
- */
-export async function retryAxiosReq(requestFunction, retries = 3, delay = 1000) {
-    try {
-        const response = await requestFunction();
-        if (!response.data) {
-            throw new Error('请求空数据');
-        }
-        return response.data;
-    } catch (error) {
-        if (retries > 0) {
-            logger.mark(`[R插件][重试模块]重试中... (${ 3 - retries + 1 }/3) 次`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            return retryAxiosReq(requestFunction, retries - 1, delay);
-        } else {
-            throw error;
-        }
-    }
-}
-
-/**
- * 重试 fetch 请求
- * @param {string} url 请求的URL
- * @param {object} [options] 传递给fetch的选项
- * @param {number} [retries=3] 重试次数
- * @param {number} [delay=1000] 重试之间的延迟（毫秒）
- * @returns {Promise<Response>}
- */
-export async function retryFetch(url, options, retries = 3, delay = 1000) {
-    try {
-        const response = await fetch(url, options);
-        if (!response.ok) {
-            throw new Error(`请求失败，状态码: ${response.status}`);
-        }
-        return response;
-    } catch (error) {
-        if (retries > 0) {
-            logger.mark(`[R插件][重试模块] 请求失败: ${error.message}，重试中... (${3 - retries + 1}/3) 次`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            return retryFetch(url, options, retries - 1, delay);
-        } else {
-            throw error;
-        }
-    }
-}
-
 /**
  * 统计给定文本中的中文字数
  *
@@ -409,21 +302,17 @@ export function estimateReadingTime(text, wpm = 200) {
  * @param someCommand
  * @returns {Promise<boolean>}
  */
-export function checkToolInCurEnv(someCommand) {
-    // 根据操作系统选择命令
-    return new Promise((resolve, reject) => {
-        const command = os.platform() === 'win32' ? `where ${ someCommand }` : `which ${ someCommand }`;
-
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                logger.error(`[R插件][命令环境检测]未找到${ someCommand }: ${ stderr || error.message }`);
-                resolve(false);
-                return;
-            }
-            logger.info(`[R插件][命令环境检测]找到${ someCommand }: ${ stdout.trim() }`);
-            resolve(true);
-        });
-    });
+export async function checkToolInCurEnv(someCommand) {
+    // 根据操作系统选择命令，命令名作为参数传入，不经过 shell
+    const finder = os.platform() === 'win32' ? "where" : "which";
+    try {
+        const { stdout } = await runProcess(finder, [someCommand], { tag: "命令环境检测", timeout: 10 * 1000, onProgress: null });
+        commandLog.info(`找到${ someCommand }: ${ stdout.trim() }`);
+        return true;
+    } catch (err) {
+        commandLog.error(`未找到${ someCommand }: ${ err.stderr || err.message }`);
+        return false;
+    }
 }
 
 /**
@@ -472,13 +361,13 @@ export async function urlTransformShortLink(url) {
         url: `${ encodeURI(url) }`
     };
 
-    const resp = await fetch(SHORT_LINKS, {
+    const resp = await createHttpClient().getJson(SHORT_LINKS, {
         method: 'POST',
         headers: {
             'Accept': 'application/json',
             'Content-Type': 'application/json',
         },
         body: JSON.stringify(data)
-    }).then(response => response.json());
-    return await resp.data.short_url;
+    });
+    return resp.data.short_url;
 }
@@ -0,0 +1,165 @@
+import cfg from "../../../lib/config/config.js";
+import { REDIS_YUNZAI_FAILURE_REPORT } from "../constants/constant.js";
+import config from "../model/config.js";
+import { createLogger } from "./plugin-logger.js";
+import { getResolveErrorLabel } from "./resolve-error.js";
+import { sendPrivateMsg } from "./yunzai-util.js";
+
+const reportLog = createLogger("失败报告");
+
+/**
+ * 错误堆栈最多保留的行数，私聊消息太长会被截断
+ * @type {number}
+ */
+const MAX_STACK_LINES = 8;
+
+/**
+ * 已报告标记的最长保留时间（秒），防止平台长期没人使用时标记一直存在
+ * @type {number}
+ */
+const REPORTED_EXPIRE = 7 * 24 * 60 * 60;
+
+/**
+ * 获取失败报告的配置
+ * @returns {{enable: boolean, window: number, threshold: number, minCount: number}} window 单位秒，threshold 为百分比
+ */
+function getFailureReportConfig() {
+    const toolsConfig = config.getCachedConfig("tools");
+    return {
+        enable: toolsConfig.failureReportEnable === true,
+        window: Number(toolsConfig.failureReportWindow) || 600,
+        threshold: Number(toolsConfig.failureReportThreshold) || 50,
+        minCount: Math.max(Number(toolsConfig.failureReportMinCount) || 5, 1),
+    };
+}
+
+/**
+ * 当前窗口的统计，字段例如：total、fail、type|Cookie失效、sampleUrl、sampleType、sampleStack
+ * @param platform
+ * @returns {string}
+ */
+function getWindowKey(platform) {
+    return `${ REDIS_YUNZAI_FAILURE_REPORT }:window:${ platform }`;
+}
+
+/**
+ * 已经报告过的标记，恢复后删除
+ * @param platform
+ * @returns {string}
+ */
+function getReportedKey(platform) {
+    return `${ REDIS_YUNZAI_FAILURE_REPORT }:reported:${ platform }`;
+}
+
+/**
+ * 只保留错误堆栈的前几行
+ * @param err {ResolveError}
+ * @returns {string}
+ */
+function formatStack(err) {
+    const origin = err.cause instanceof Error ? err.cause : err;
+    return (origin.stack || String(origin)).split("\n").slice(0, MAX_STACK_LINES).join("\n");
+}
+
+/**
+ * 私聊所有主人
+ * @param e       Yunzai 机器人事件
+ * @param message
+ * @returns {Promise<void>}
+ */
+async function notifyMasters(e, message) {
+    for (const masterId of cfg.masterQQ || []) {
+        // 主人列表里可能有 stdin 之类的非QQ号
+        if (!/^\d+$/.test(String(masterId))) {
+            continue;
+        }
+        try {
+            await sendPrivateMsg(e, message, Number(masterId));
+        } catch (err) {
+            reportLog.error(`发送给 ${ masterId } 失败：${ err.message }`);
+        }
+    }
+}
+
+/**
+ * 生成失败报告
+ * @param platform
+ * @param window   当前窗口的统计
+ * @param seconds  统计窗口（秒）
+ * @returns {string}
+ */
+function buildReport(platform, window, seconds) {
+    const total = Number(window.total) || 0;
+    const fail = Number(window.fail) || 0;
+    const types = Object.entries(window)
+        .filter(([field]) => field.startsWith("type|"))
+        .map(([field, count]) => ({ label: field.slice("type|".length), count: Number(count) }))
+        .sort((a, b) => b.count - a.count)
+        .map(({ label, count }) => `  - ${ label }：${ count } 次`);
+    const version = config.getCachedConfig("version")?.[0]?.version || "未知";
+    return [
+        `⚠️ R插件失败报告：${ platform }`,
+        `最近 ${ Math.round(seconds / 60) } 分钟解析 ${ total } 次，失败 ${ fail } 次（${ Math.round(fail / total * 100) }%）`,
+        `失败分类：\n${ types.join("\n") }`,
+        `示例链接：${ window.sampleUrl || "无" }`,
+        `错误堆栈（${ window.sampleType }）：\n${ window.sampleStack || "无" }`,
+        `插件版本：${ version }`,
+        "恢复之前不会重复报告",
+    ].join("\n");
+}
+
+/**
+ * 记录一次解析结果，失败率超过阈值时私聊主人报告一次，直到恢复前都不再重复报告
+ * 出错时只记日志，不影响解析本身
+ * @param e        Yunzai 机器人事件
+ * @param platform 解析平台名称
+ * @param error    失败时的 ResolveError，成功时为 undefined
+ * @returns {Promise<void>}
+ */
+export async function recordFailureReport(e, platform, error) {
+    const { enable, window: seconds, threshold, minCount } = getFailureReportConfig();
+    if (!enable) {
+        return;
+    }
+    const windowKey = getWindowKey(platform);
+    const reportedKey = getReportedKey(platform);
+    try {
+        const multi = redis.multi().hIncrBy(windowKey, "total", 1);
+        if (error) {
+            multi.hIncrBy(windowKey, "fail", 1)
+                .hIncrBy(windowKey, `type|${ getResolveErrorLabel(error) }`, 1)
+                .hSet(windowKey, {
+                    sampleUrl: e.msg || "",
+                    sampleType: getResolveErrorLabel(error),
+                    sampleStack: formatStack(error),
+                });
+        }
+        await multi.exec();
+        // 固定窗口：第一次写入时开始计时
+        if (await redis.ttl(windowKey) < 0) {
+            await redis.expire(windowKey, seconds);
+        }
+
+        const window = await redis.hGetAll(windowKey);
+        const total = Number(window.total) || 0;
+        const rate = total ? (Number(window.fail) || 0) / total * 100 : 0;
+        if (total < minCount) {
+            return;
+        }
+        const reported = await redis.exists(reportedKey);
+        if (error && rate >= threshold && !reported) {
+            // 多个解析同时失败时只有一个能拿到标记
+            const locked = await redis.set(reportedKey, Date.now().toString(), { NX: true, EX: REPORTED_EXPIRE });
+            if (locked) {
+                reportLog.warn(`${ platform } 失败率 ${ Math.round(rate) }%，已通知主人`);
+                await notifyMasters(e, buildReport(platform, window, seconds));
+            }
+        } else if (!error && rate < threshold && reported) {
+            await redis.del(reportedKey);
+            reportLog.info(`${ platform } 已恢复`);
+            await notifyMasters(e, `✅ R插件：${ platform } 已恢复，最近 ${ total } 次解析失败率 ${ Math.round(rate) }%`);
+        }
+    } catch (err) {
+        reportLog.error(`记录失败：${ err.message }`);
+    }
+}
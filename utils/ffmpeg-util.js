@@ -1,32 +1,28 @@
 import path from 'path';
-import { exec } from 'child_process';
 import fs from "fs";
+import { createLogger } from "./plugin-logger.js";
+import { getToolEnv, runProcess } from "./process-runner.js";
+
+const ffmpegLog = createLogger("ffmpeg工具");
 
 /**
  * 提取关键帧
  * @param inputFilePath
  * @param outputFolderPath
  * @param frameCount
- * @returns {Promise<unknown>}
+ * @returns {Promise<string>}
  */
 export async function extractKeyframes(inputFilePath, outputFolderPath, frameCount = 20) {
-    return new Promise((resolve, reject) => {
-        // 创建输出文件夹路径
-        const outputFilePattern = path.join(outputFolderPath, 'keyframe_%03d.jpg');
-
-        // 构建FFmpeg命令
-        const ffmpegCommand = `ffmpeg -i "${inputFilePath}" -vf "select=eq(pict_type\\,I)" -vsync drop -vframes ${frameCount} -qscale:v 2 "${outputFilePattern}"`;
+    // 创建输出文件夹路径
+    const outputFilePattern = path.join(outputFolderPath, 'keyframe_%03d.jpg');
 
-        // 执行FFmpeg命令
-        exec(ffmpegCommand, (error, stdout, stderr) => {
-            if (error) {
-                reject(`[R插件][ffmpeg工具]执行FFmpeg命令时出错: ${ stderr }`);
-            } else {
-                logger.info(`[R插件][ffmpeg工具]关键帧成功提取到 ${ outputFolderPath }`);
-                resolve(outputFolderPath);
-            }
-        });
-    });
+    // 执行FFmpeg命令，参数不经过 shell，滤镜中的 \, 是给 ffmpeg 的转义
+    await runProcess("ffmpeg", [
+        "-i", inputFilePath, "-vf", "select=eq(pict_type\\,I)", "-vsync", "drop",
+        "-vframes", frameCount, "-qscale:v", "2", outputFilePattern,
+    ], { tag: "ffmpeg工具", env: getToolEnv() });
+    ffmpegLog.info(`关键帧成功提取到 ${ outputFolderPath }`);
+    return outputFolderPath;
 }
 
 /**
@@ -35,29 +31,16 @@ export async function extractKeyframes(inputFilePath, outputFolderPath, frameCou
  * @param {string} outputFilePath - 输出的 MP4 文件路径
  * @returns {Promise<string>} - 返回一个 Promise，成功时返回输出文件路径，失败时返回错误信息
  */
-export function convertFlvToMp4(inputFilePath, outputFilePath) {
-    return new Promise((resolve, reject) => {
-        const resolvedInputPath = path.resolve(inputFilePath);
-        const resolvedOutputPath = path.resolve(outputFilePath);
-
-        // 检查文件是否存在
-        fs.access(resolvedInputPath, fs.constants.F_OK, (err) => {
-            if (err) {
-                reject(`[R插件][ffmpeg工具]输入文件不存在: ${resolvedInputPath}`);
-                return;
-            }
+export async function convertFlvToMp4(inputFilePath, outputFilePath) {
+    const resolvedInputPath = path.resolve(inputFilePath);
+    const resolvedOutputPath = path.resolve(outputFilePath);
 
-            const command = `ffmpeg -y -i "${resolvedInputPath}" "${resolvedOutputPath}"`;
-            logger.info(`[R插件][ffmpeg工具]执行命令：${command}`);
+    // 检查文件是否存在
+    if (!fs.existsSync(resolvedInputPath)) {
+        throw new Error(`[R插件][ffmpeg工具]输入文件不存在: ${resolvedInputPath}`);
+    }
 
-            // 执行 ffmpeg 转换
-            exec(command, (error, stdout, stderr) => {
-                if (error) {
-                    reject(`[R插件][ffmpeg工具]执行 ffmpeg 命令时出错: ${error.message}`);
-                    return;
-                }
-                resolve(resolvedOutputPath);
-            });
-        });
-    });
+    // 执行 ffmpeg 转换，命令会记录在 ffmpeg工具审计 日志中
+    await runProcess("ffmpeg", ["-y", "-i", resolvedInputPath, resolvedOutputPath], { tag: "ffmpeg工具", env: getToolEnv() });
+    return resolvedOutputPath;
 }
@@ -0,0 +1,173 @@
+import path from "path";
+import { REDIS_YUNZAI_FREYR_TRACKS, RESOLVE_ERROR_TYPE } from "../constants/constant.js";
+import { createHttpClient } from "./http-client.js";
+import { assertSafeUrl, runProcess } from "./process-runner.js";
+import { getResolveScope } from "./yunzai-util.js";
+import { ResolveError } from "./resolve-error.js";
+
+/**
+ * freyr 单曲下载的默认超时时间（秒）
+ * @type {number}
+ */
+const DEFAULT_FREYR_TIMEOUT = 600;
+
+/**
+ * 获取曲目列表的超时时间（毫秒）
+ * @type {number}
+ */
+const TRACK_LIST_TIMEOUT = 15 * 1000;
+
+/**
+ * 曲目列表的保存时间（秒），超过后 #曲目N 需要重新发送链接
+ * @type {number}
+ */
+const TRACK_LIST_TTL = 30 * 60;
+
+/**
+ * 专辑、歌单链接，Apple Music 带 ?i= 的专辑链接是单曲，不算在内
+ * @type {RegExp}
+ */
+const COLLECTION_REGEX = /(music\.apple\.com\/[\w-]+\/(album|playlist)\/)|(open\.spotify\.com\/(intl-[\w-]+\/)?(album|playlist)\/)/;
+
+/**
+ * 是否为专辑、歌单链接
+ * @param url
+ * @returns {boolean}
+ */
+export function isFreyrCollection(url) {
+    if (!COLLECTION_REGEX.test(url)) {
+        return false;
+    }
+    return !(url.includes("music.apple.com") && new URL(url).searchParams.has("i"));
+}
+
+/**
+ * 把 ISO 8601 的时长转为秒，例如：PT3M54S
+ * @param duration
+ * @returns {number|undefined}
+ */
+function parseIsoDuration(duration) {
+    const match = /^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/.exec(duration || "");
+    if (!match) {
+        return undefined;
+    }
+    return Number(match[1] || 0) * 3600 + Number(match[2] || 0) * 60 + Math.round(Number(match[3] || 0));
+}
+
+/**
+ * 请求网页，是否走代理由 proxyPlatforms 决定
+ * @param url
+ * @returns {Promise<string>}
+ */
+async function fetchPage(url) {
+    return createHttpClient("AM+Spotify", { timeout: TRACK_LIST_TIMEOUT }).getText(url);
+}
+
+/**
+ * Apple Music 专辑、歌单页面中的 JSON-LD 数据
+ * @param url
+ * @returns {Promise<{title: string, tracks: {title: string, artist: string, duration: number|undefined, url: string}[]}>}
+ */
+async function fetchAppleMusicTrackList(url) {
+    const html = await fetchPage(url);
+    const scripts = [...html.matchAll(/<script[^>]+type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/g)];
+    for (const [, json] of scripts) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch {
+            continue;
+        }
+        const tracks = data.tracks || data.track;
+        if (!Array.isArray(tracks)) {
+            continue;
+        }
+        const albumArtist = [].concat(data.byArtist || []).map(item => item.name).join(" / ");
+        return {
+            title: data.name,
+            tracks: tracks.filter(track => track.url).map(track => ({
+                title: track.name,
+                artist: [].concat(track.byArtist || []).map(item => item.name).join(" / ") || albumArtist,
+                duration: parseIsoDuration(track.duration),
+                url: track.url,
+            })),
+        };
+    }
+    throw new ResolveError(RESOLVE_ERROR_TYPE.CONTENT_UNAVAILABLE, "没有找到专辑或歌单的曲目");
+}
+
+/**
+ * Spotify 嵌入页面中的曲目列表
+ * @param url
+ * @returns {Promise<{title: string, tracks: {title: string, artist: string, duration: number|undefined, url: string}[]}>}
+ */
+async function fetchSpotifyTrackList(url) {
+    const [, type, id] = /(album|playlist)\/(\w+)/.exec(url) || [];
+    const html = await fetchPage(`https://open.spotify.com/embed/${ type }/${ id }`);
+    const json = /<script id="__NEXT_DATA__" type="application\/json">([\s\S]*?)<\/script>/.exec(html)?.[1];
+    const entity = json && JSON.parse(json).props?.pageProps?.state?.data?.entity;
+    if (!entity?.trackList) {
+        throw new ResolveError(RESOLVE_ERROR_TYPE.CONTENT_UNAVAILABLE, "没有找到专辑或歌单的曲目");
+    }
+    return {
+        title: entity.name || entity.title,
+        tracks: entity.trackList.map(track => ({
+            title: track.title,
+            artist: track.subtitle,
+            duration: track.duration ? Math.round(track.duration / 1000) : undefined,
+            url: `https://open.spotify.com/track/${ track.uri.split(":").pop() }`,
+        })),
+    };
+}
+
+/**
+ * 获取专辑、歌单的曲目列表，不下载
+ * @param url 专辑或歌单链接
+ * @returns {Promise<{title: string, tracks: {title: string, artist: string, duration: number|undefined, url: string}[]}>}
+ * @example
+ * const { title, tracks } = await fetchFreyrTrackList("https://open.spotify.com/album/xxx");
+ * // tracks[0] = { title: "...", artist: "...", duration: 234, url: "https://open.spotify.com/track/xxx" }
+ */
+export async function fetchFreyrTrackList(url) {
+    const list = url.includes("spotify")
+        ? await fetchSpotifyTrackList(url)
+        : await fetchAppleMusicTrackList(url);
+    if (list.tracks.length === 0) {
+        throw new ResolveError(RESOLVE_ERROR_TYPE.CONTENT_UNAVAILABLE, "专辑或歌单中没有可以下载的曲目");
+    }
+    return list;
+}
+
+/**
+ * 保存群 / 私聊最近一次发送的曲目列表
+ * @param e    Yunzai 机器人事件
+ * @param list fetchFreyrTrackList 的结果
+ * @returns {Promise<void>}
+ */
+export async function saveFreyrTrackList(e, list) {
+    await redis.set(`${ REDIS_YUNZAI_FREYR_TRACKS }:${ getResolveScope(e) }`, JSON.stringify(list), { EX: TRACK_LIST_TTL });
+}
+
+/**
+ * 获取群 / 私聊最近一次发送的曲目列表
+ * @param e Yunzai 机器人事件
+ * @returns {Promise<{title: string, tracks: {title: string, artist: string, duration: number|undefined, url: string}[]}|undefined>}
+ */
+export async function getFreyrTrackList(e) {
+    return JSON.parse(await redis.get(`${ REDIS_YUNZAI_FREYR_TRACKS }:${ getResolveScope(e) }`)) || undefined;
+}
+
+/**
+ * 使用 freyr 下载单曲，不阻塞事件循环，输出中的百分比会更新到当前任务的进度
+ * @param url       单曲链接
+ * @param outputDir 下载目录，freyr 会在下面按 歌手/专辑 建立目录
+ * @param timeout   超时时间（秒）
+ * @returns {Promise<string>} freyr 的输出，用 parseFreyrLog 取出歌曲信息
+ */
+export async function startFreyr(url, outputDir, timeout = DEFAULT_FREYR_TIMEOUT) {
+    const { stdout } = await runProcess("freyr", ["-d", path.resolve(outputDir), "get", assertSafeUrl(url)], {
+        tag: "freyr",
+        timeout: (Number(timeout) || DEFAULT_FREYR_TIMEOUT) * 1000,
+    });
+    return stdout;
+}
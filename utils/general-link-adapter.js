@@ -2,6 +2,12 @@ import {
     GENERAL_REQ_LINK,
     GENERAL_REQ_LINK_2, GENERAL_REQ_LINK_3
 } from "../constants/tools.js";
+import { createHttpClient } from "./http-client.js";
+import { resolveLink } from "./link-canonicalizer.js";
+import { createLogger } from "./plugin-logger.js";
+import { assertPublicUrl } from "./url-policy.js";
+
+const adapterLog = createLogger("通用解析");
 
 /**
  * 第三方接口适配器，用于大面积覆盖解析视频的内容
@@ -11,28 +17,16 @@ class GeneralLinkAdapter {
     constructor() {
     }
 
-    /**
-     * 暂时用这个来处理短链接
-     * @param url
-     * @param includeRedirect
-     * @returns {Promise<string|Response>}
-     */
-    async fetchUrl(url, includeRedirect = false) {
-        let response = await fetch(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/117.0.0.0 Safari/537.36',
-            }
-        });
-        return includeRedirect ? response.url : response;
-    }
-
     /**
      * 【辅助函数】创造一个第三方接口的链接
      * @param externalInterface  第三方接口：这个链接来自常量 constants/tools.js @GENERAL_REQ_LINK / ...
      * @param requestURL         请求的链接
      * @returns {*}
+     * @throws {ResolveError} 链接不允许访问时抛出 INVALID_LINK
      */
     createReqLink(externalInterface, requestURL) {
+        // 链接来自用户的消息，交给第三方接口之前也按访问策略检查
+        assertPublicUrl(requestURL);
         // 这里必须使用{ ...GENERAL_REQ_LINK_2 }赋值，不然就是对象的引用赋值，会造成全局数据问题！
         let reqLink = { ...externalInterface };
         reqLink.link = reqLink.link.replace("{}", requestURL);
@@ -43,20 +37,13 @@ class GeneralLinkAdapter {
         // 例子：https://www.kuaishou.com/short-video/3xkfs8p4pnd67p4?authorId=3xkznsztpwetngu&streamSource=find&area=homexxbrilliant
         // https://v.m.chenzhongtech.com/fw/photo/3xburnkmj3auazc
         // https://v.kuaishou.com/1ff8QP
-        let msg = /(?:https?:\/\/)?(www|v)\.(kuaishou|m\.chenzhongtech)\.com\/[A-Za-z\d._?%&+\-=\/#]*/g.exec(link)[0];
-        // 跳转短号
-        if (msg.includes("v.kuaishou")) {
-            msg = await this.fetchUrl(msg, true);
-        }
-        let video_id;
-        if (msg.includes('/fw/photo/')) {
-            video_id = msg.match(/\/fw\/photo\/([^/?]+)/)[1];
-        } else if (msg.includes("short-video")) {
-            video_id = msg.match(/short-video\/([^/?]+)/)[1];
-        } else {
+        const msg = /(?:https?:\/\/)?(www|v)\.(kuaishou|m\.chenzhongtech)\.com\/[A-Za-z\d._?%&+\-=\/#]*/g.exec(link)[0];
+        // 跳转短号，统一为 https://www.kuaishou.com/short-video/xxx
+        const { url, id } = await resolveLink(msg);
+        if (!id) {
             throw Error("无法提取快手的信息，请重试或者换一个视频！");
         }
-        const reqLink = this.createReqLink(GENERAL_REQ_LINK, `https://www.kuaishou.com/short-video/${ video_id }`);
+        const reqLink = this.createReqLink(GENERAL_REQ_LINK, url);
         // 提取视频
         return {
             name: "快手",
@@ -68,14 +55,9 @@ class GeneralLinkAdapter {
         // 1. https://v.ixigua.com/ienrQ5bR/
         // 2. https://www.ixigua.com/7270448082586698281
         // 3. https://m.ixigua.com/video/7270448082586698281
-        let msg = /(?:https?:\/\/)?(www|v|m)\.ixigua\.com\/[A-Za-z\d._?%&+\-=\/#]*/g.exec(link)[0];
-        // 跳转短号
-        if (msg.includes("v.ixigua")) {
-            msg = await this.fetchUrl(msg, true);
-        }
-
-        const id = /ixigua\.com\/(\d+)/.exec(msg)[1] || /\/video\/(\d+)/.exec(msg)[1];
-        const videoReq = `https://www.ixigua.com/${ id }`;
+        const msg = /(?:https?:\/\/)?(www|v|m)\.ixigua\.com\/[A-Za-z\d._?%&+\-=\/#]*/g.exec(link)[0];
+        // 跳转短号，统一为 https://www.ixigua.com/xxx
+        const { url: videoReq } = await resolveLink(msg);
         const reqLink = this.createReqLink(GENERAL_REQ_LINK, videoReq);
         return { name: "西瓜", reqLink };
     }
@@ -125,7 +107,7 @@ class GeneralLinkAdapter {
      * @returns {Promise<*>}
      */
     async init(link) {
-        logger.mark("[R插件][通用解析]", link)
+        adapterLog.mark(link)
         const handlers = new Map([
             [/(kuaishou.com|chenzhongtech.com)/, this.ks.bind(this)],
             [/ixigua.com/, this.xigua.bind(this)],
@@ -152,7 +134,7 @@ class GeneralLinkAdapter {
      */
     async resolve(adapter, sign) {
         // 发送GET请求
-        return fetch(adapter.reqLink.link, {
+        return createHttpClient(undefined, { publicOnly: true }).getJson(adapter.reqLink.link, {
             headers: {
                 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
                 'Accept-Language': 'zh-CN,zh;q=0.9',
@@ -168,8 +150,7 @@ class GeneralLinkAdapter {
 
             },
             timeout: 10000
-        }).then(async resp => {
-            const data = await resp.json();
+        }).then(data => {
             if (sign === 1) {
                 // @link GENERAL_REQ_LINK
                 return {
@@ -0,0 +1,394 @@
+import { HttpsProxyAgent } from "https-proxy-agent";
+import fetch, { Headers } from "node-fetch";
+import fs from "node:fs";
+import { pipeline } from "node:stream/promises";
+import { REDIS_YUNZAI_ISOVERSEA, RESOLVE_ERROR_TYPE, USER_AGENT_POOL } from "../constants/constant.js";
+import config from "../model/config.js";
+import { createLogger } from "./plugin-logger.js";
+import { redisExistKey, redisGetKey, redisSetKey } from "./redis-util.js";
+import { ResolveError } from "./resolve-error.js";
+import { getCurrentJob } from "./resolve-job.js";
+import { assertPublicUrl, getSafeAgent, MAX_REDIRECTS, URL_POLICY_CODE } from "./url-policy.js";
+
+const httpLog = createLogger("HTTP");
+
+/**
+ * 每次请求的默认超时时间（毫秒），重试时每一次单独计算
+ * @type {number}
+ */
+const DEFAULT_TIMEOUT = 15 * 1000;
+
+/**
+ * 默认的重试次数，不包括第一次请求
+ * @type {number}
+ */
+const DEFAULT_RETRIES = 2;
+
+/**
+ * 第一次重试前等待的时间（毫秒），之后每次翻倍
+ * @type {number}
+ */
+const RETRY_BASE_DELAY = 500;
+
+/**
+ * 服务器通过 Retry-After 要求等待的时间最多接受这么久（毫秒），再长就不如直接失败
+ * @type {number}
+ */
+const MAX_RETRY_DELAY = 10 * 1000;
+
+/**
+ * 代理可用性检测结果的缓存时间（毫秒），避免每次解析都去访问一次 Google
+ * @type {number}
+ */
+const PROXY_CHECK_TTL = 60 * 1000;
+
+/**
+ * 检测代理时访问的地址
+ * @type {string}
+ */
+const PROXY_TEST_URL = "https://www.google.com";
+
+/**
+ * 检测代理的超时时间（毫秒）
+ * @type {number}
+ */
+const PROXY_TEST_TIMEOUT = 10 * 1000;
+
+/**
+ * 会自动重试的请求方法，POST 之类的请求重试可能会重复提交
+ * @type {string[]}
+ */
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * 各平台的 Cookie：配置字段、格式化方式，以及只在这些域名下携带，防止 Cookie 被发到第三方接口
+ * @type {Object<string, {field: string, domains: string[], format?: function(string): string}>}
+ */
+const PLATFORM_COOKIES = {
+    "哔哩哔哩": { field: "biliSessData", domains: ["bilibili.com"], format: value => `SESSDATA=${ value }` },
+    "抖音": { field: "douyinCookie", domains: ["douyin.com", "iesdouyin.com"] },
+    "小红书": { field: "xiaohongshuCookie", domains: ["xiaohongshu.com"] },
+    "微博": { field: "weiboCookie", domains: ["weibo.com", "weibo.cn"] },
+    "网易云音乐": { field: "neteaseCookie", domains: ["music.163.com"] },
+};
+
+/**
+ * 没有配置 proxyPlatforms 时走代理的平台，和以前需要魔法的平台保持一致
+ * @type {string[]}
+ */
+const DEFAULT_PROXY_PLATFORMS = ["YouTube", "TikTok", "Twitter", "小飞机", "AM+Spotify", "yt-dlp"];
+
+/**
+ * 最近一次代理检测的结果
+ * @type {{time: number, ok: boolean}|undefined}
+ */
+let proxyCheck;
+
+/**
+ * 是否为海外服务器：强制使用海外服务器时直接返回 true，否则读取 #设置海外解析 保存的结果
+ * @returns {Promise<boolean>}
+ */
+export async function isOverseasServer() {
+    if (config.getCachedConfig("tools").forceOverseasServer) {
+        return true;
+    }
+    // 如果第一次使用没有值就设置
+    if (!(await redisExistKey(REDIS_YUNZAI_ISOVERSEA))) {
+        await redisSetKey(REDIS_YUNZAI_ISOVERSEA, {
+            os: false,  // 默认不使用海外服务器
+        });
+        return false;
+    }
+    return (await redisGetKey(REDIS_YUNZAI_ISOVERSEA)).os;
+}
+
+/**
+ * 检测代理是否可用，结果缓存一分钟
+ * @param proxy 代理地址，例如：http://127.0.0.1:7890
+ * @returns {Promise<boolean>}
+ */
+async function isProxyReachable(proxy) {
+    if (proxyCheck && Date.now() - proxyCheck.time < PROXY_CHECK_TTL) {
+        return proxyCheck.ok;
+    }
+    let ok = true;
+    try {
+        const resp = await fetch(PROXY_TEST_URL, {
+            agent: new HttpsProxyAgent(proxy),
+            signal: AbortSignal.timeout(PROXY_TEST_TIMEOUT),
+        });
+        resp.body?.resume();
+        httpLog.mark("检测到梯子");
+    } catch (err) {
+        httpLog.error(`检测不到梯子：${ err.message }`);
+        ok = false;
+    }
+    proxyCheck = { time: Date.now(), ok };
+    return ok;
+}
+
+/**
+ * 按平台选择代理：只有写在 proxyPlatforms 中的平台、并且不是海外服务器时才走代理
+ * @param platform 平台名称，和解析器名称一致，例如：YouTube、TikTok
+ * @param options
+ * @param options.required 代理不可用时是否抛出 PROXY_UNREACHABLE，为 false 时改为直连
+ * @returns {Promise<string|undefined>} 代理地址，直连时返回 undefined
+ * @throws {ResolveError} 需要代理但代理不可用时抛出 PROXY_UNREACHABLE
+ * @example
+ * const proxy = await getPlatformProxy("YouTube");
+ * await ytDlpGetTilt(url, !proxy, proxy);
+ */
+export async function getPlatformProxy(platform, { required = true } = {}) {
+    const { proxyPlatforms = DEFAULT_PROXY_PLATFORMS, proxyAddr, proxyPort } = config.getCachedConfig("tools");
+    if (!proxyPlatforms.includes(platform) || await isOverseasServer()) {
+        return undefined;
+    }
+    const proxy = `http://${ proxyAddr }:${ proxyPort }`;
+    if (!proxyAddr || !proxyPort || !(await isProxyReachable(proxy))) {
+        if (required) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.PROXY_UNREACHABLE);
+        }
+        return undefined;
+    }
+    return proxy;
+}
+
+/**
+ * 从 User-Agent 池中随机选一个
+ * @returns {string}
+ */
+export function pickUserAgent() {
+    return USER_AGENT_POOL[Math.floor(Math.random() * USER_AGENT_POOL.length)];
+}
+
+/**
+ * 获取平台在这个链接下应该携带的 Cookie，域名不属于平台时不携带
+ * @param platform
+ * @param url
+ * @returns {string|undefined}
+ */
+function getPlatformCookie(platform, url) {
+    const cookieConfig = PLATFORM_COOKIES[platform];
+    if (!cookieConfig) {
+        return undefined;
+    }
+    const { hostname } = new URL(url);
+    if (!cookieConfig.domains.some(domain => hostname === domain || hostname.endsWith(`.${ domain }`))) {
+        return undefined;
+    }
+    const value = config.getCachedConfig("tools")[cookieConfig.field];
+    if (!value) {
+        return undefined;
+    }
+    return cookieConfig.format ? cookieConfig.format(value) : value;
+}
+
+/**
+ * 计算重试前等待的时间：优先使用服务器的 Retry-After，否则指数退避并加上随机抖动
+ * @param attempt 第几次重试，从 0 开始
+ * @param resp    上一次的响应，网络错误时为 undefined
+ * @returns {number} 毫秒
+ */
+function getRetryDelay(attempt, resp) {
+    const retryAfter = resp?.headers.get("retry-after");
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (delay >= 0) {
+            return Math.min(delay, MAX_RETRY_DELAY);
+        }
+    }
+    return RETRY_BASE_DELAY * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_DELAY);
+}
+
+/**
+ * 合并多个中断信号，任意一个中断时请求就中断，Node 20.3 以下没有 AbortSignal.any
+ * @param signals
+ * @returns {AbortSignal}
+ */
+function anySignal(signals) {
+    if (typeof AbortSignal.any === "function") {
+        return AbortSignal.any(signals);
+    }
+    const controller = new AbortController();
+    for (const signal of signals) {
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+            break;
+        }
+        signal.addEventListener("abort", () => controller.abort(signal.reason), { once: true, signal: controller.signal });
+    }
+    return controller.signal;
+}
+
+/**
+ * 是否需要重试：限流和服务器错误
+ * @param status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * 创建某个平台的 HTTP 客户端：按配置选择代理，统一超时、重试、Cookie 和 User-Agent
+ * 在解析任务中使用时，取消任务会同时中断正在进行的请求
+ * @param platform 平台名称，和解析器名称一致，例如：哔哩哔哩、YouTube；不属于任何平台时可以不传
+ * @param options
+ * @param options.timeout 每次请求的超时时间（毫秒），包括读取响应体的时间，为 0 时不限制
+ * @param options.retries 429 / 5xx / 网络错误时的重试次数
+ * @param options.headers 每次请求都带上的请求头
+ * @param options.cookie  是否自动携带配置中的平台 Cookie
+ * @param options.publicOnly 是否只允许访问公网地址，请求用户提供的链接时使用：每一跳都按 utils/url-policy.js 检查，直连时在连接阶段检查 DNS
+ * @returns {{platform: string|undefined, userAgent: string, fetch: function(string, Object=): Promise<Response>, getJson: function(string, Object=): Promise<*>, getText: function(string, Object=): Promise<string>, download: function(string, string, Object=): Promise<string>}}
+ * @example
+ * const client = createHttpClient("哔哩哔哩");
+ * const data = await client.getJson("https://api.bilibili.com/x/web-interface/view?bvid=BV1GJ411x7h7");
+ * const resp = await client.fetch(url, { method: "POST", body, retries: 0 });
+ * await client.download(videoUrl, `${ dir }/temp.mp4`);
+ */
+export function createHttpClient(platform, {
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    headers = {},
+    cookie = true,
+    publicOnly = false,
+} = {}) {
+    const userAgent = pickUserAgent();
+
+    /**
+     * 发送一次请求（包括重试），参数和 node-fetch 一致，另外可以单独传 timeout、retries、proxy
+     * 状态码不是 2xx 时照常返回响应，只有重试用完仍然是 429 / 5xx 时也是返回最后一次的响应
+     * @param url
+     * @param options
+     * @returns {Promise<Response>}
+     */
+    const send = async (url, options = {}) => {
+        const {
+            timeout: requestTimeout = timeout,
+            retries: requestRetries = retries,
+            proxy = await getPlatformProxy(platform, { required: false }),
+            headers: requestHeaders = {},
+            signal,
+            ...fetchOptions
+        } = options;
+        const method = (fetchOptions.method || "GET").toUpperCase();
+        // POST 之类的请求默认不重试，调用方确认可以重复提交、并且请求体可以重复读取（字符串、Buffer）时才显式传入 retries
+        const maxRetries = IDEMPOTENT_METHODS.includes(method) || options.retries !== undefined ? requestRetries : 0;
+        const platformCookie = cookie ? getPlatformCookie(platform, url) : undefined;
+        // 用 Headers 合并，调用方传入的请求头不区分大小写地覆盖默认值
+        const finalHeaders = new Headers({ "User-Agent": userAgent });
+        if (platformCookie) {
+            finalHeaders.set("Cookie", platformCookie);
+        }
+        for (const [name, value] of [...Object.entries(headers), ...Object.entries(requestHeaders)]) {
+            finalHeaders.set(name, value);
+        }
+        // 走代理时 DNS 由代理解析，只能检查链接本身
+        const agent = fetchOptions.agent ?? (proxy ? new HttpsProxyAgent(proxy) : publicOnly ? getSafeAgent : undefined);
+        const jobSignal = getCurrentJob()?.signal;
+
+        for (let attempt = 0; ; attempt++) {
+            const signals = [requestTimeout > 0 && AbortSignal.timeout(requestTimeout), signal, jobSignal].filter(Boolean);
+            let resp;
+            try {
+                resp = await fetch(url, {
+                    ...fetchOptions,
+                    method,
+                    headers: finalHeaders,
+                    agent,
+                    signal: anySignal(signals),
+                });
+            } catch (err) {
+                if (err.code === URL_POLICY_CODE) {
+                    throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "不允许访问本机或内网地址", { cause: err });
+                }
+                // 主动取消的请求不再重试
+                if (signal?.aborted || jobSignal?.aborted || attempt >= maxRetries) {
+                    throw err;
+                }
+                const delay = getRetryDelay(attempt);
+                httpLog.warn(`${ platform || "" } 请求失败：${ err.message }，${ delay }ms 后重试（${ attempt + 1 }/${ maxRetries }）`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                continue;
+            }
+            if (!isRetryableStatus(resp.status) || attempt >= maxRetries) {
+                return resp;
+            }
+            const delay = getRetryDelay(attempt, resp);
+            httpLog.warn(`${ platform || "" } 请求返回 ${ resp.status }，${ delay }ms 后重试（${ attempt + 1 }/${ maxRetries }）`);
+            resp.body?.resume();
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    };
+
+    /**
+     * 发送请求，publicOnly 时改为手动跟随跳转，每一跳都检查链接
+     * @param url
+     * @param options
+     * @returns {Promise<Response>}
+     */
+    const request = async (url, options = {}) => {
+        if (!publicOnly) {
+            return send(url, options);
+        }
+        let current = assertPublicUrl(url);
+        for (let hop = 0; ; hop++) {
+            const resp = await send(current.href, { ...options, redirect: "manual" });
+            const location = resp.headers.get("location");
+            if (resp.status < 300 || resp.status >= 400 || !location) {
+                return resp;
+            }
+            resp.body?.resume();
+            if (hop >= MAX_REDIRECTS) {
+                throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, `跳转超过 ${ MAX_REDIRECTS } 次`);
+            }
+            current = assertPublicUrl(new URL(location, current).href);
+        }
+    };
+
+    /**
+     * 请求并检查状态码
+     * @param url
+     * @param options
+     * @returns {Promise<Response>}
+     */
+    const requestOk = async (url, options) => {
+        const resp = await request(url, options);
+        if (!resp.ok) {
+            resp.body?.resume();
+            throw new ResolveError(RESOLVE_ERROR_TYPE.NETWORK, `请求失败，状态码: ${ resp.status }`);
+        }
+        return resp;
+    };
+
+    /**
+     * 下载到文件，默认不限制超时，失败时删除写了一半的文件
+     * @param url
+     * @param filePath
+     * @param options 同 fetch，另外 onData 会收到每一块数据的大小
+     * @returns {Promise<string>} 文件路径
+     */
+    const download = async (url, filePath, { onData, ...options } = {}) => {
+        const resp = await requestOk(url, { timeout: 0, ...options });
+        if (onData) {
+            resp.body.on("data", chunk => onData(chunk.length));
+        }
+        try {
+            await pipeline(resp.body, fs.createWriteStream(filePath));
+        } catch (err) {
+            await fs.promises.rm(filePath, { force: true });
+            throw err;
+        }
+        return filePath;
+    };
+
+    return {
+        platform,
+        userAgent,
+        fetch: request,
+        getJson: async (url, options) => (await requestOk(url, options)).json(),
+        getText: async (url, options) => (await requestOk(url, options)).text(),
+        download,
+    };
+}
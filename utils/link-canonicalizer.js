@@ -0,0 +1,414 @@
+import fetch from "node-fetch";
+import { COMMON_USER_AGENT, REDIS_YUNZAI_SHORT_LINK, RESOLVE_ERROR_TYPE } from "../constants/constant.js";
+import { ResolveError } from "./resolve-error.js";
+import { assertPublicUrl, getSafeAgent, URL_POLICY_CODE } from "./url-policy.js";
+
+/**
+ * 展开短链接时最多跟随的跳转次数
+ * @type {number}
+ */
+const MAX_REDIRECTS = 10;
+
+/**
+ * 展开短链接的总超时时间，单位毫秒
+ * @type {number}
+ */
+const EXPAND_TIMEOUT = 10 * 1000;
+
+/**
+ * 短链接展开结果的缓存时间，单位秒，只缓存展开后的链接，跳转时设置的 Cookie 不缓存
+ * @type {number}
+ */
+const SHORT_LINK_CACHE_TTL = 24 * 60 * 60;
+
+/**
+ * 需要先展开的短链接域名
+ * 不在这里的：TikTok 的 vm / vt 短链接需要代理才能访问，展开时不走代理会失败，交给 yt-dlp 处理；
+ * youtu.be 不需要请求，canonicalizeUrl 直接改写为 watch?v=
+ * @type {string[]}
+ */
+const SHORT_LINK_HOSTS = [
+    "v.douyin.com",
+    "b23.tv",
+    "bili2233.cn",
+    "163cn.tv",
+    "xhslink.com",
+    "v.kuaishou.com",
+    "v.ixigua.com",
+    "video.weishi.qq.com",
+];
+
+/**
+ * 没有单独规则的网站，只去掉这些常见的追踪参数
+ * @type {RegExp}
+ */
+const TRACKING_PARAM = /^(utm_\w+|spm_id_from|spm|share_\w+|vd_source|unique_k|from_spmid|is_story_h5|bbid|buvid|up_id|plat_id|xhsshare|appuid|apptime|author_share|exSource|si|feature|pp|igsh|igshid|fbclid|gclid|u_code|previous_page|enter_from)$/i;
+
+/**
+ * 用正则依次匹配，返回第一个匹配到的内容ID
+ * @param text     匹配的文本，一般是 pathname
+ * @param patterns [正则, 类型] 列表，正则的第一个分组为ID
+ * @returns {{type: string, id: string}|undefined}
+ */
+function matchContent(text, patterns) {
+    for (const [pattern, type] of patterns) {
+        const id = pattern.exec(text)?.[1];
+        if (id) {
+            return { type, id };
+        }
+    }
+    return undefined;
+}
+
+/**
+ * 小红书触发网页验证时，真正的地址在 redirectPath 中
+ * 发现页和 noteId 参数统一为探索页：https://www.xiaohongshu.com/explore/64f0c0d1000000001f03a7c1
+ * @param url {URL}
+ * @returns {URL}
+ */
+function normalizeXiaohongshu(url) {
+    const redirectPath = url.searchParams.get("redirectPath");
+    if (redirectPath) {
+        return normalizeXiaohongshu(new URL(redirectPath, url));
+    }
+    const noteId = url.searchParams.get("noteId") || /^\/discovery\/item\/(\w+)/.exec(url.pathname)?.[1];
+    if (noteId) {
+        url.pathname = `/explore/${ noteId }`;
+    }
+    url.hostname = "www.xiaohongshu.com";
+    return url;
+}
+
+/**
+ * 网易云音乐网页版用 # 做路由，移动版有 /m 前缀，统一为：https://music.163.com/song?id=1
+ * @param url {URL}
+ * @returns {URL}
+ */
+function normalizeNetease(url) {
+    if (url.hash.startsWith("#/")) {
+        const route = new URL(url.hash.slice(1), url.origin);
+        url.pathname = route.pathname;
+        url.search = route.search;
+    }
+    url.hostname = "music.163.com";
+    url.pathname = url.pathname.replace(/^\/m\//, "/");
+    // https://music.163.com/song/1/
+    const pathId = /^\/(song|mv|program|dj)\/(\d+)/.exec(url.pathname);
+    if (pathId) {
+        url.pathname = `/${ pathId[1] }`;
+        url.searchParams.set("id", pathId[2]);
+    }
+    return url;
+}
+
+/**
+ * 各平台的规范化规则
+ *  - host：匹配的域名
+ *  - keep：保留的参数，其余参数全部去掉
+ *  - normalize：提取ID之前的预处理，可以返回新的 URL
+ *  - content：提取内容类型和ID
+ *  - canonical：根据ID生成规范地址，没有时使用去掉参数后的地址
+ * @type {Object[]}
+ */
+const PLATFORM_RULES = [
+    {
+        platform: "哔哩哔哩",
+        host: /(^|\.)bilibili\.com$/,
+        keep: ["p"],
+        normalize(url) {
+            if (url.hostname === "m.bilibili.com") {
+                url.hostname = "www.bilibili.com";
+            }
+            return url;
+        },
+        content(url) {
+            if (url.hostname === "t.bilibili.com") {
+                return matchContent(url.pathname, [[/^\/(\d+)/, "dynamic"]]);
+            }
+            if (url.hostname === "live.bilibili.com") {
+                return matchContent(url.pathname, [[/^\/(?:h5\/)?(\d+)/, "live"]]);
+            }
+            return matchContent(url.pathname, [
+                [/\/video\/(BV[1-9a-zA-Z]{10})/, "video"],
+                [/\/video\/(av\d+)/i, "video"],
+                [/\/bangumi\/play\/((?:ep|ss)\d+)/, "bangumi"],
+                [/\/read\/(?:cv|mobile\/?)(\d+)/, "article"],
+                [/\/(?:opus|dynamic)\/(\d+)/, "dynamic"],
+            ]);
+        },
+    },
+    {
+        platform: "抖音",
+        host: /(^|\.)(douyin\.com|iesdouyin\.com|amemv\.com)$/,
+        keep: [],
+        content(url) {
+            return matchContent(`${ url.hostname }${ url.pathname }`, [
+                [/\/(?:share\/)?video\/(\d+)/, "video"],
+                [/\/(?:share\/)?note\/(\d+)/, "note"],
+                [/\/share\/slides\/(\d+)/, "slides"],
+                [/^live\.douyin\.com\/(\d+)/, "live"],
+                [/\/live\/(\d+)/, "live"],
+                [/\/webcast\/reflow\/(\d+)/, "live"],
+            ]);
+        },
+        canonical({ type, id }) {
+            // 分享页和网页版是同一个作品，图集和直播保留原地址
+            return ["video", "note"].includes(type) ? `https://www.douyin.com/${ type }/${ id }` : undefined;
+        },
+    },
+    {
+        platform: "小红书",
+        host: /(^|\.)xiaohongshu\.com$/,
+        keep: ["xsec_token", "xsec_source"],
+        normalize: normalizeXiaohongshu,
+        content: url => matchContent(url.pathname, [[/^\/explore\/(\w+)/, "note"]]),
+    },
+    {
+        platform: "微博",
+        host: /(^|\.)(weibo\.com|weibo\.cn)$/,
+        keep: ["mid"],
+        content(url) {
+            // 视频页的 mid 需要 mid2id 转换后才是微博ID
+            if (url.pathname.startsWith("/tv/show")) {
+                const mid = url.searchParams.get("mid");
+                return mid ? { type: "video", id: mid } : undefined;
+            }
+            return matchContent(url.pathname, [
+                [/^\/(?:detail|status)\/(\w+)/, "status"],
+                [/^\/\d+\/(\w+)/, "status"],
+            ]);
+        },
+    },
+    {
+        platform: "网易云音乐",
+        host: /(^|\.)music\.163\.com$/,
+        keep: ["id"],
+        normalize: normalizeNetease,
+        content(url) {
+            const type = /^\/(song|mv|program|dj)\b/.exec(url.pathname)?.[1];
+            const id = url.searchParams.get("id")?.match(/^\d+/)?.[0];
+            if (!type || !id) {
+                return undefined;
+            }
+            return { type: type === "dj" ? "program" : type, id };
+        },
+    },
+    {
+        platform: "快手",
+        host: /(^|\.)(kuaishou\.com|chenzhongtech\.com)$/,
+        keep: [],
+        content: url => matchContent(url.pathname, [
+            [/\/short-video\/([^/?]+)/, "video"],
+            [/\/fw\/photo\/([^/?]+)/, "video"],
+        ]),
+        canonical: ({ id }) => `https://www.kuaishou.com/short-video/${ id }`,
+    },
+    {
+        platform: "西瓜",
+        host: /(^|\.)ixigua\.com$/,
+        keep: [],
+        content: url => matchContent(url.pathname, [
+            [/^\/(\d+)/, "video"],
+            [/\/video\/(\d+)/, "video"],
+        ]),
+        canonical: ({ id }) => `https://www.ixigua.com/${ id }`,
+    },
+    {
+        platform: "微视",
+        host: /(^|\.)weishi\.qq\.com$/,
+        keep: ["id"],
+        content(url) {
+            const id = url.searchParams.get("id");
+            return id ? { type: "video", id } : undefined;
+        },
+    },
+    {
+        platform: "TikTok",
+        host: /(^|\.)tiktok\.com$/,
+        keep: [],
+        content: url => matchContent(url.pathname, [[/\/video\/(\d+)/, "video"]]),
+    },
+    {
+        platform: "YouTube",
+        host: /(^|\.)(youtube\.com|youtu\.be)$/,
+        keep: ["v", "t", "list"],
+        normalize(url) {
+            // https://youtu.be/dQw4w9WgXcQ?si=xxx
+            if (url.hostname === "youtu.be") {
+                const params = new URLSearchParams(url.search);
+                url.hostname = "www.youtube.com";
+                url.search = `?v=${ url.pathname.slice(1) }`;
+                url.pathname = "/watch";
+                params.forEach((value, key) => url.searchParams.append(key, value));
+            }
+            // 播放列表只在列表页保留，单个视频去掉所在的列表
+            if (url.searchParams.has("v")) {
+                url.searchParams.delete("list");
+            }
+            return url;
+        },
+        content(url) {
+            const id = url.searchParams.get("v");
+            if (id) {
+                return { type: "video", id };
+            }
+            return matchContent(url.pathname, [[/^\/(?:shorts|live)\/([\w-]+)/, "video"]]);
+        },
+    },
+];
+
+/**
+ * 只保留需要的参数
+ * @param url  {URL}
+ * @param keep 保留的参数，不传时只去掉追踪参数
+ */
+function stripParams(url, keep) {
+    for (const key of [...new Set(url.searchParams.keys())]) {
+        if (keep ? !keep.includes(key) : TRACKING_PARAM.test(key)) {
+            url.searchParams.delete(key);
+        }
+    }
+}
+
+/**
+ * 补全协议头，分享文案里的链接经常没有 https://
+ * @param link
+ * @returns {string}
+ */
+function withProtocol(link) {
+    return /^https?:\/\//i.test(link) ? link : `https://${ link }`;
+}
+
+/**
+ * 是否为需要展开的短链接
+ * @param link
+ * @returns {boolean}
+ */
+export function isShortLink(link) {
+    try {
+        return SHORT_LINK_HOSTS.includes(new URL(withProtocol(link)).hostname);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * 展开短链接：逐跳跟随跳转，检测循环和超时，展开后的链接缓存一天
+ * @param link        短链接
+ * @param headers     额外的请求头，例如小红书需要带上浏览器请求头
+ * @param method      请求方法，只需要跳转地址时用 HEAD 可以少下载一个网页
+ * @param timeout     总超时时间，单位毫秒
+ * @param withCookies 是否需要跳转时设置的 Cookie，需要时不读缓存，每次都重新跳转拿到新的 Cookie
+ * @returns {Promise<{url: string, cookies: Object<string, string>}>} cookies 为跳转过程中设置的 Cookie，抖音直播需要 ttwid
+ */
+export async function expandShortLink(link, { headers = {}, method = "GET", timeout = EXPAND_TIMEOUT, withCookies = false } = {}) {
+    const cacheKey = `${ REDIS_YUNZAI_SHORT_LINK }:${ link }`;
+    if (!withCookies) {
+        const cache = JSON.parse(await redis.get(cacheKey));
+        if (cache?.url) {
+            return { url: cache.url, cookies: {} };
+        }
+    }
+
+    const signal = AbortSignal.timeout(timeout);
+    const visited = new Set();
+    const cookies = {};
+    let current = withProtocol(link);
+    for (let hop = 0; ; hop++) {
+        if (visited.has(current)) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, `短链接跳转出现循环：${ current }`);
+        }
+        if (hop > MAX_REDIRECTS) {
+            throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, `短链接跳转超过 ${ MAX_REDIRECTS } 次`);
+        }
+        visited.add(current);
+        // 短链接可能跳转到本机或内网地址，每一跳都要检查
+        assertPublicUrl(current);
+
+        let resp;
+        try {
+            resp = await fetch(current, {
+                method,
+                headers: { "User-Agent": COMMON_USER_AGENT, ...headers },
+                redirect: "manual",
+                agent: getSafeAgent,
+                signal,
+            });
+        } catch (err) {
+            if (err.code === URL_POLICY_CODE) {
+                throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "不允许访问本机或内网地址", { cause: err });
+            }
+            if (signal.aborted) {
+                throw new ResolveError(RESOLVE_ERROR_TYPE.NETWORK, "展开短链接超时", { cause: err });
+            }
+            throw err;
+        }
+        for (const cookie of resp.headers.raw()["set-cookie"] || []) {
+            const [pair] = cookie.split(";");
+            const index = pair.indexOf("=");
+            if (index > 0) {
+                cookies[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+            }
+        }
+        // 只需要跳转地址，响应内容直接丢弃
+        resp.body?.resume();
+
+        const location = resp.headers.get("location");
+        if (resp.status < 300 || resp.status >= 400 || !location) {
+            break;
+        }
+        current = new URL(location, current).href;
+    }
+
+    // Cookie 和会话有关，过期后重放会出问题，只缓存链接
+    await redis.set(cacheKey, JSON.stringify({ url: current }), { EX: SHORT_LINK_CACHE_TTL });
+    return { url: current, cookies };
+}
+
+/**
+ * 规范化链接：去掉追踪参数，统一各平台的不同写法，并提取内容类型和ID，不访问网络
+ * @param link
+ * @returns {{url: string, platform: string|undefined, type: string|undefined, id: string|undefined}}
+ * @example
+ * canonicalizeUrl("https://m.bilibili.com/video/BV1GJ411x7h7?spm_id_from=333&p=2");
+ * // { url: "https://www.bilibili.com/video/BV1GJ411x7h7?p=2", platform: "哔哩哔哩", type: "video", id: "BV1GJ411x7h7" }
+ */
+export function canonicalizeUrl(link) {
+    let url;
+    try {
+        url = new URL(withProtocol(link));
+    } catch {
+        return { url: link, platform: undefined, type: undefined, id: undefined };
+    }
+    const rule = PLATFORM_RULES.find(item => item.host.test(url.hostname));
+    if (!rule) {
+        stripParams(url);
+        return { url: url.href, platform: undefined, type: undefined, id: undefined };
+    }
+
+    url.protocol = "https:";
+    url = rule.normalize?.(url) || url;
+    // 先提取ID再去参数，部分平台的ID在参数中
+    const content = rule.content(url);
+    const canonical = content && rule.canonical?.(content);
+    if (canonical) {
+        url = new URL(canonical);
+    } else {
+        stripParams(url, rule.keep);
+        url.hash = "";
+    }
+    return { url: url.href, platform: rule.platform, type: content?.type, id: content?.id };
+}
+
+/**
+ * 解析链接：短链接先展开，再规范化
+ * @param link    链接，可以没有协议头
+ * @param options expandShortLink 的参数
+ * @returns {Promise<{url: string, platform: string|undefined, type: string|undefined, id: string|undefined, cookies: Object<string, string>}>}
+ */
+export async function resolveLink(link, options = {}) {
+    const { url, cookies } = isShortLink(link)
+        ? await expandShortLink(link, options)
+        : { url: withProtocol(link), cookies: {} };
+    return { ...canonicalizeUrl(url), cookies };
+}
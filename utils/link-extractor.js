@@ -0,0 +1,79 @@
+import { getResolvers } from "./resolver-registry.js";
+
+/**
+ * 匹配消息中的链接，遇到空白、引号、尖括号、反斜杠和中文标点就结束
+ * @type {RegExp}
+ */
+const LINK_REGEX = /https?:\/\/[^\s"'<>\\，。！？、；）]+/g;
+
+/**
+ * 卡片中的链接经常被转义，例如：https:\/\/b23.tv\/xxx、&amp;
+ * @param text
+ * @returns {string}
+ */
+function unescapeCardText(text) {
+    return text.replaceAll("\\/", "/").replaceAll("&amp;", "&");
+}
+
+/**
+ * 找到第一个能处理这个链接的解析器，顺序和 Yunzai 的规则顺序一致
+ * @param link
+ * @returns {Object|undefined}
+ */
+function matchResolver(link) {
+    return getResolvers().find(resolver => new RegExp(resolver.reg).test(link));
+}
+
+/**
+ * 提取一段文本中所有能解析的链接
+ * @param text
+ * @returns {{resolver: Object, link: string}[]}
+ */
+function extractFromText(text) {
+    return (unescapeCardText(text).match(LINK_REGEX) || [])
+        .map(link => ({ resolver: matchResolver(link), link }))
+        .filter(item => item.resolver);
+}
+
+/**
+ * 按消息顺序提取所有能解析的链接（文本、JSON 卡片、XML 卡片）
+ * 一张卡片只代表一次分享，里面的跳转链接、预览链接往往指向同一个内容，所以每张卡片只取第一个
+ * 同时兼容 Yunzai 的消息段 { type, text / data } 和 OneBot 的消息段 { type, data: { text / data } }
+ * @param segments 消息段数组
+ * @returns {{resolver: Object, link: string}[]} 已去重
+ */
+export function extractLinksFromSegments(segments = []) {
+    const links = [];
+    for (const segment of segments) {
+        if (segment.type === "text") {
+            links.push(...extractFromText(segment.text ?? segment.data?.text ?? ""));
+        } else if (segment.type === "json" || segment.type === "xml") {
+            const data = typeof segment.data === "object" ? segment.data?.data : segment.data;
+            const first = extractFromText(String(data || ""))[0];
+            first && links.push(first);
+        }
+    }
+    return links.filter((item, index) => links.findIndex(other => other.link === item.link) === index);
+}
+
+/**
+ * 提取消息中所有能解析的链接
+ * @param e Yunzai 机器人事件
+ * @returns {{resolver: Object, link: string}[]}
+ */
+export function extractResolveLinks(e) {
+    return extractLinksFromSegments(e.message);
+}
+
+/**
+ * 为其中一个链接构造事件，只替换消息内容，回复、发送者等仍然使用原来的事件
+ * @param e    Yunzai 机器人事件
+ * @param link
+ * @returns {Object}
+ */
+export function createLinkEvent(e, link) {
+    return Object.assign(Object.create(e), {
+        msg: link,
+        message: [{ type: "text", text: link }],
+    });
+}
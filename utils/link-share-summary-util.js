@@ -1,4 +1,7 @@
 import { SUMMARY_CONTENT_ESTIMATOR_PATTERNS } from "../constants/constant.js";
+import { createLogger } from "./plugin-logger.js";
+
+const summaryLog = createLogger("总结模块");
 
 /**
  * 内容评估器
@@ -15,6 +18,6 @@ export function contentEstimator(link) {
         }
     }
 
-    logger.error("[R插件][总结模块] 内容评估出错...");
+    summaryLog.error("内容评估出错...");
     throw Error("内容评估出错...");
 }
\ No newline at end of file
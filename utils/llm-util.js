@@ -1,14 +1,26 @@
-import { retryFetch } from "./common.js";
+import { RESOLVE_ERROR_TYPE } from "../constants/constant.js";
 import { PearAPI_CRAWLER, PearAPI_DEEPSEEK } from "../constants/tools.js";
+import { createHttpClient } from "./http-client.js";
+import { ResolveError } from "./resolve-error.js";
+import { readLimitedBody, safeFetch, TEXT_CONTENT_TYPES } from "./url-policy.js";
 
 /**
  * LLM 爬虫
+ * 链接来自群友或者大模型的 crawl 调用，先按访问策略检查：不能指向内网，跳转次数、大小和内容类型都有限制
+ * 爬虫接口返回的内容同样检查状态码和大小
  * @param summaryLink
  * @returns {Promise<string>}
+ * @throws {ResolveError} 爬虫接口失败时抛出 NETWORK，内容过大时抛出 OVER_LIMIT
  */
 export async function llmRead(summaryLink) {
-    const llmCrawler = await retryFetch(PearAPI_CRAWLER.replace("{}", summaryLink));
-    return (await llmCrawler.json())?.data;
+    const { url } = await safeFetch(summaryLink, { contentTypes: TEXT_CONTENT_TYPES, readBody: false });
+    const resp = await createHttpClient().fetch(PearAPI_CRAWLER.replace("{}", encodeURIComponent(url)));
+    if (!resp.ok) {
+        resp.body?.resume();
+        throw new ResolveError(RESOLVE_ERROR_TYPE.NETWORK, `读取网页失败，状态码: ${ resp.status }`);
+    }
+    const body = await readLimitedBody(resp);
+    return JSON.parse(body.toString("utf8"))?.data;
 }
 
 /**
@@ -0,0 +1,127 @@
+import crypto from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import config from "../model/config.js";
+import { mkdirIfNotExists } from "./file.js";
+import { createLogger } from "./plugin-logger.js";
+
+const mediaStoreLog = createLogger("媒体库");
+
+/**
+ * 媒体库中视频的 key
+ * @typedef {Object} MediaKey
+ * @property {string} platform 解析平台名称
+ * @property {string} id       平台内容ID
+ * @property {string} [quality] 清晰度 / 截取范围等会影响成品的参数
+ */
+
+/**
+ * 媒体库按平台 + 内容ID + 清晰度存放已经合并 / 转码好的视频，所有群共用
+ * 文件名为 key 的 md5，使用文件的修改时间作为最近使用时间，超过容量后删除最久没有使用的文件
+ * @returns {{enable: boolean, dir: string, quota: number}} quota 单位字节
+ */
+function getMediaStoreConfig() {
+    const toolsConfig = config.getCachedConfig("tools");
+    return {
+        enable: toolsConfig.mediaStoreEnable === true,
+        dir: toolsConfig.mediaStorePath || "./data/rcmedia/",
+        quota: (Number(toolsConfig.mediaStoreQuota) || 0) * 1024 * 1024,
+    };
+}
+
+/**
+ * 媒体库中的文件路径，key 不完整时返回 undefined
+ * @param key {MediaKey}
+ * @returns {string|undefined}
+ */
+function getStorePath(key) {
+    const { enable, dir } = getMediaStoreConfig();
+    if (!enable || !key?.platform || !key?.id) {
+        return undefined;
+    }
+    const hash = crypto.createHash("md5").update(`${ key.platform }:${ key.id }:${ key.quality ?? "" }`).digest("hex");
+    return path.join(dir, `${ hash }.mp4`);
+}
+
+/**
+ * 从媒体库中取出视频，复制到 destPath，后续发送完删除的是副本
+ * @param key      {MediaKey}
+ * @param destPath 复制到的位置
+ * @returns {Promise<boolean>} 媒体库中存在并复制成功时返回 true
+ */
+export async function restoreMedia(key, destPath) {
+    const storePath = getStorePath(key);
+    if (!storePath) {
+        return false;
+    }
+    try {
+        await fs.copyFile(storePath, destPath);
+        // 更新修改时间，淘汰时按最近使用排序
+        const now = new Date();
+        await fs.utimes(storePath, now, now);
+        mediaStoreLog.info(`命中 ${ key.platform }：${ key.id }`);
+        return true;
+    } catch (err) {
+        if (err.code !== "ENOENT") {
+            mediaStoreLog.error(`取出 ${ key.platform }：${ key.id } 失败：${ err.message }`);
+        }
+        return false;
+    }
+}
+
+/**
+ * 把下载好的视频存入媒体库，存入后检查容量
+ * @param key      {MediaKey}
+ * @param filePath 下载好的视频
+ * @returns {Promise<void>}
+ */
+export async function saveMedia(key, filePath) {
+    const storePath = getStorePath(key);
+    if (!storePath) {
+        return;
+    }
+    // 先写入临时文件再重命名，避免多个任务同时存入同一个视频时读到不完整的文件
+    const tempPath = `${ storePath }.${ process.pid }.${ Date.now() }.tmp`;
+    try {
+        await mkdirIfNotExists(path.dirname(storePath));
+        await fs.copyFile(filePath, tempPath);
+        await fs.rename(tempPath, storePath);
+        mediaStoreLog.info(`已存入 ${ key.platform }：${ key.id }`);
+        await evictMedia();
+    } catch (err) {
+        mediaStoreLog.error(`存入 ${ key.platform }：${ key.id } 失败：${ err.message }`);
+        await fs.rm(tempPath, { force: true });
+    }
+}
+
+/**
+ * 超过容量时按最近使用时间从旧到新删除，直到低于容量
+ * @returns {Promise<number>} 删除的文件数量
+ */
+export async function evictMedia() {
+    const { dir, quota } = getMediaStoreConfig();
+    if (quota <= 0) {
+        return 0;
+    }
+    const files = await Promise.all((await fs.readdir(dir))
+        .filter(file => file.endsWith(".mp4"))
+        .map(async file => {
+            const filePath = path.join(dir, file);
+            const { size, mtimeMs } = await fs.stat(filePath);
+            return { filePath, size, mtimeMs };
+        }));
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    let removed = 0;
+    for (const file of files.sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+        if (total <= quota) {
+            break;
+        }
+        await fs.rm(file.filePath, { force: true });
+        total -= file.size;
+        removed++;
+    }
+    if (removed > 0) {
+        mediaStoreLog.info(`超过容量，删除了 ${ removed } 个最久没有使用的视频`);
+    }
+    return removed;
+}
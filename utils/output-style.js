@@ -0,0 +1,95 @@
+import { OUTPUT_STYLE, OUTPUT_STYLE_LIST, REDIS_YUNZAI_OUTPUT_STYLE } from "../constants/constant.js";
+import config from "../model/config.js";
+import { redisExistAndGetKey, redisSetKey } from "./redis-util.js";
+import { getResolveScope } from "./yunzai-util.js";
+
+/**
+ * 用户输入的样式名称，除了 OUTPUT_STYLE_LIST 中的名称还支持这些别名
+ * @type {Object<string, number>}
+ */
+const OUTPUT_STYLE_ALIAS = {
+    "全文": OUTPUT_STYLE.FULL,
+    "详细": OUTPUT_STYLE.FULL,
+    "精简": OUTPUT_STYLE.COMPACT,
+    "一行": OUTPUT_STYLE.COMPACT,
+    "图片": OUTPUT_STYLE.CARD,
+    "只发媒体": OUTPUT_STYLE.SILENT,
+    "full": OUTPUT_STYLE.FULL,
+    "compact": OUTPUT_STYLE.COMPACT,
+    "card": OUTPUT_STYLE.CARD,
+    "silent": OUTPUT_STYLE.SILENT,
+};
+
+/**
+ * 将用户输入的名称匹配为 OUTPUT_STYLE 中的值
+ * @param input 例如：简洁、卡片、silent
+ * @returns {number|undefined}
+ */
+export function matchOutputStyle(input) {
+    const name = input?.trim().toLowerCase();
+    if (!name) {
+        return undefined;
+    }
+    return OUTPUT_STYLE_LIST.find(item => item.label === name)?.value ?? OUTPUT_STYLE_ALIAS[name];
+}
+
+/**
+ * 获取样式的中文名称
+ * @param style
+ * @returns {string}
+ */
+export function getOutputStyleLabel(style) {
+    return OUTPUT_STYLE_LIST.find(item => item.value === style)?.label ?? "完整";
+}
+
+/**
+ * 全局默认样式
+ * @returns {number}
+ */
+export function getDefaultOutputStyle() {
+    const style = Number(config.getCachedConfig("tools").outputStyle);
+    return OUTPUT_STYLE_LIST.some(item => item.value === style) ? style : OUTPUT_STYLE.FULL;
+}
+
+/**
+ * 获取全部作用域单独设置的样式
+ * @returns {Promise<Object<string, number>>} 例如：{ "group:123456": 1 }
+ */
+async function getAllOutputStyles() {
+    return await redisExistAndGetKey(REDIS_YUNZAI_OUTPUT_STYLE) || {};
+}
+
+/**
+ * 获取当前会话的输出样式，没有单独设置时跟随全局
+ * @param e Yunzai 机器人事件
+ * @returns {Promise<{style: number, isDefault: boolean}>}
+ */
+export async function getOutputStyle(e) {
+    const style = (await getAllOutputStyles())[getResolveScope(e)];
+    return style === undefined
+        ? { style: getDefaultOutputStyle(), isDefault: true }
+        : { style, isDefault: false };
+}
+
+/**
+ * 设置某个作用域的输出样式
+ * @param scope 例如：group:123456
+ * @param style OUTPUT_STYLE 中的值
+ * @returns {Promise<void>}
+ */
+export async function setOutputStyle(scope, style) {
+    const styles = await getAllOutputStyles();
+    styles[scope] = style;
+    await redisSetKey(REDIS_YUNZAI_OUTPUT_STYLE, styles);
+}
+
+/**
+ * 重置某个作用域的输出样式，恢复跟随全局
+ * @param scope
+ * @returns {Promise<void>}
+ */
+export async function resetOutputStyle(scope) {
+    const styles = await getAllOutputStyles();
+    delete styles[scope];
+    await redisSetKey(REDIS_YUNZAI_OUTPUT_STYLE, styles);
+}
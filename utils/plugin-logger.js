@@ -0,0 +1,192 @@
+import fs from "node:fs";
+import path from "node:path";
+import { inspect } from "node:util";
+import config from "../model/config.js";
+import { getCurrentJob } from "./resolve-job.js";
+
+/**
+ * 配置中保存密钥、Cookie 的字段，它们的值出现在日志中时会被隐藏
+ * @type {string[]}
+ */
+const SECRET_CONFIG_FIELDS = [
+    "biliSessData", "neteaseCookie", "douyinCookie", "xiaohongshuCookie", "weiboCookie",
+    "aiApiKey", "xaiApiKey", "ApiKey",
+];
+
+/**
+ * 太短的值不按原文隐藏，避免把日志中普通的数字、单词也替换掉
+ * @type {number}
+ */
+const MIN_SECRET_LENGTH = 6;
+
+/**
+ * 日志配置的缓存时间（毫秒），每条日志都读配置文件太慢
+ * @type {number}
+ */
+const CONFIG_CACHE_TIME = 10 * 1000;
+
+/**
+ * 日志中的敏感内容：Cookie、Authorization、SESSDATA、签名等键值，Bearer 令牌、sk- 开头的 API Key，以及带账号密码的链接
+ * @type {{pattern: RegExp, replacement: string}[]}
+ */
+const SECRET_PATTERNS = [
+    {
+        pattern: /\b(cookie|authorization|sessdata|token|access_token|ttwid|msToken|MUSIC_U|__csrf|w_rid|api[_-]?key|secret)(\s*["']?\s*[:=]\s*["']?(?:(?:Bearer|Basic)\s+)?)[^\s;&"',]+/gi,
+        replacement: "$1$2***",
+    },
+    { pattern: /\b(Bearer\s+)[\w.~+/-]+=*/gi, replacement: "$1***" },
+    { pattern: /\bsk-[\w-]{16,}/g, replacement: "sk-***" },
+    { pattern: /(\/\/)[^/@\s:]+:[^/@\s]+@/g, replacement: "$1***@" },
+];
+
+/**
+ * 日志配置缓存
+ * @type {{time: number, debugModules: Set<string>, jsonLines: boolean, jsonPath: string, secrets: string[]}|undefined}
+ */
+let logConfigCache;
+
+/**
+ * JSON 行日志当前写入的文件和写入流，日期变化时换一个文件
+ * @type {{file: string, stream: fs.WriteStream}|undefined}
+ */
+let jsonWriter;
+
+/**
+ * 从一个配置值中取出需要隐藏的原文：整个值，以及 Cookie 中每一项的值
+ * @param value
+ * @returns {string[]}
+ */
+function collectSecrets(value) {
+    const text = String(value ?? "").trim();
+    if (text.length < MIN_SECRET_LENGTH) {
+        return [];
+    }
+    const parts = text.split(";")
+        .map(pair => pair.slice(pair.indexOf("=") + 1).trim())
+        .filter(part => part.length >= MIN_SECRET_LENGTH);
+    return [text, ...parts];
+}
+
+/**
+ * 获取日志配置
+ * @returns {{debugModules: Set<string>, jsonLines: boolean, jsonPath: string, secrets: string[]}}
+ */
+function getLogConfig() {
+    if (logConfigCache && Date.now() - logConfigCache.time < CONFIG_CACHE_TIME) {
+        return logConfigCache;
+    }
+    let toolsConfig = {};
+    try {
+        toolsConfig = config.getCachedConfig("tools") || {};
+    } catch {
+        // 配置文件读取失败时照常输出日志，只是不能按配置隐藏
+    }
+    const secrets = SECRET_CONFIG_FIELDS.flatMap(field => collectSecrets(toolsConfig[field]));
+    // 代理地址只在和端口一起出现时隐藏，否则会把所有的 127.0.0.1 都替换掉
+    if (toolsConfig.proxyAddr && toolsConfig.proxyPort) {
+        secrets.push(`${ toolsConfig.proxyAddr }:${ toolsConfig.proxyPort }`);
+    }
+    logConfigCache = {
+        time: Date.now(),
+        debugModules: new Set((toolsConfig.logDebugModules || []).map(String)),
+        jsonLines: toolsConfig.logJsonLines === true,
+        jsonPath: toolsConfig.logJsonPath || "./data/rclogs/",
+        // 长的先替换，Cookie 整体和其中一项都在列表中时整体优先
+        secrets: [...new Set(secrets)].sort((a, b) => b.length - a.length),
+    };
+    return logConfigCache;
+}
+
+/**
+ * 隐藏文本中的 Cookie、密钥等敏感信息：先按配置中的原文替换，再按常见的键值格式替换
+ * @param text
+ * @returns {string}
+ * @example
+ * redactSecrets("https://api.bilibili.com/x/web-interface/view/conclusion/get?bvid=BV1&w_rid=abc");
+ * // "https://api.bilibili.com/x/web-interface/view/conclusion/get?bvid=BV1&w_rid=***"
+ */
+export function redactSecrets(text) {
+    let result = String(text);
+    for (const secret of getLogConfig().secrets) {
+        result = result.split(secret).join("***");
+    }
+    return SECRET_PATTERNS.reduce((acc, { pattern, replacement }) => acc.replace(pattern, replacement), result);
+}
+
+/**
+ * 把日志参数拼成一行文字，对象和错误用 inspect 展开
+ * @param args
+ * @returns {string}
+ */
+function formatArgs(args) {
+    return args.map(arg => typeof arg === "string" ? arg : inspect(arg, { depth: 3, breakLength: Infinity })).join(" ");
+}
+
+/**
+ * 追加一行 JSON 日志，按日期分文件，例如：data/rclogs/2024-08-02.jsonl
+ * @param record
+ * @param jsonPath
+ */
+function writeJsonLine(record, jsonPath) {
+    // 按本地日期分文件，sv-SE 的日期格式正好是 YYYY-MM-DD
+    const file = path.join(jsonPath, `${ new Date(record.time).toLocaleDateString("sv-SE") }.jsonl`);
+    try {
+        if (jsonWriter?.file !== file) {
+            jsonWriter?.stream.end();
+            fs.mkdirSync(jsonPath, { recursive: true });
+            const stream = fs.createWriteStream(file, { flags: "a" });
+            stream.on("error", err => {
+                logger.error(`[R插件][日志] 写入 ${ file } 失败：${ err.message }`);
+                jsonWriter = undefined;
+            });
+            jsonWriter = { file, stream };
+        }
+        jsonWriter.stream.write(`${ JSON.stringify(record) }\n`);
+    } catch (err) {
+        logger.error(`[R插件][日志] 写入 ${ file } 失败：${ err.message }`);
+    }
+}
+
+/**
+ * 创建模块日志：统一加上 [R插件][模块] 前缀，隐藏敏感信息，在解析任务中会带上任务ID
+ * 模块名写在 logDebugModules 中时，这个模块的 debug 日志按 mark 级别输出，不用调整整个 Yunzai 的日志级别
+ * 开启 logJsonLines 后每条日志还会以 JSON 行写入 logJsonPath，可以按任务ID查找一次解析的全部日志
+ * @param module 模块名，例如：BILI下载、yt-dlp
+ * @returns {{debug: function(...*): void, info: function(...*): void, mark: function(...*): void, warn: function(...*): void, error: function(...*): void, isDebug: function(): boolean}}
+ * @example
+ * const log = createLogger("BILI下载");
+ * log.info(`开始获取视频下载链接，视频ID: ${ videoId }`);
+ * // [R插件][BILI下载][m1x2y3z4-0a] 开始获取视频下载链接，视频ID: BV1xx
+ */
+export function createLogger(module) {
+    const isDebug = () => {
+        const { debugModules } = getLogConfig();
+        return debugModules.has(module) || debugModules.has("*");
+    };
+    const write = (level, args) => {
+        const logConfig = getLogConfig();
+        const job = getCurrentJob();
+        const message = redactSecrets(formatArgs(args));
+        const outputLevel = level === "debug" && isDebug() ? "mark" : level;
+        logger[outputLevel](`[R插件][${ module }]${ job ? `[${ job.id }]` : "" } ${ message }`);
+        if (logConfig.jsonLines && (level !== "debug" || isDebug())) {
+            writeJsonLine({
+                time: new Date().toISOString(),
+                level,
+                module,
+                job: job?.id,
+                platform: job?.platform,
+                group: job?.groupId,
+                msg: message,
+            }, logConfig.jsonPath);
+        }
+    };
+    return {
+        debug: (...args) => write("debug", args),
+        info: (...args) => write("info", args),
+        mark: (...args) => write("mark", args),
+        warn: (...args) => write("warn", args),
+        error: (...args) => write("error", args),
+        isDebug,
+    };
+}
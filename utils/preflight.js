@@ -0,0 +1,135 @@
+import { PREFLIGHT_ACTION } from "../constants/constant.js";
+import config from "../model/config.js";
+import { createHttpClient } from "./http-client.js";
+import { createLogger } from "./plugin-logger.js";
+import { runProcess } from "./process-runner.js";
+
+const preflightLog = createLogger("下载前检查");
+
+/**
+ * ffprobe 的超时时间，探测只读取文件头，不需要太久
+ * @type {number}
+ */
+const FFPROBE_TIMEOUT = 15000;
+
+/**
+ * 通过 HEAD 请求获取视频大小，拿不到时再用 Range: bytes=0-0 从 Content-Range 中读取
+ * @param url
+ * @param headers
+ * @param platform 解析平台名称，按平台的配置决定是否走代理
+ * @param signal   取消信号
+ * @returns {Promise<number|undefined>} 单位字节，无法获取时返回 undefined
+ */
+export async function probeContentLength(url, { headers, platform, signal } = {}) {
+    const client = createHttpClient(platform);
+    try {
+        const headRes = await client.fetch(url, { method: "HEAD", headers, signal });
+        const contentLength = headRes.ok ? Number(headRes.headers.get("content-length")) : 0;
+        if (contentLength) {
+            return contentLength;
+        }
+    } catch (err) {
+        preflightLog.debug(`HEAD 请求失败：${ err.message }`);
+    }
+    try {
+        const rangeRes = await client.fetch(url, {
+            headers: { ...headers, "Range": "bytes=0-0" },
+            signal,
+        });
+        rangeRes.body?.destroy();
+        // 例如：bytes 0-0/12345678
+        const total = rangeRes.ok && /\/(\d+)$/.exec(rangeRes.headers.get("content-range") || "")?.[1];
+        if (total) {
+            return Number(total);
+        }
+    } catch (err) {
+        preflightLog.debug(`Range 探测失败：${ err.message }`);
+    }
+    return undefined;
+}
+
+/**
+ * 使用 ffprobe 读取视频时长和码率，只会读取文件头
+ * @param url
+ * @param headers
+ * @returns {Promise<{duration: number, bitrate: number}|undefined>} 时长单位秒，码率单位 bit/s
+ */
+export async function probeMediaInfo(url, { headers } = {}) {
+    const args = ["-v", "error", "-show_entries", "format=duration,bit_rate", "-of", "json"];
+    if (headers && Object.keys(headers).length > 0) {
+        args.push("-headers", Object.entries(headers).map(([key, value]) => `${ key }: ${ value }\r\n`).join(""));
+    }
+    args.push(url);
+    let stdout;
+    try {
+        // 探测不算下载进度
+        ({ stdout } = await runProcess("ffprobe", args, { tag: "下载前检查", timeout: FFPROBE_TIMEOUT, onProgress: null }));
+    } catch (err) {
+        preflightLog.debug(`ffprobe 执行失败：${ err.message }`);
+        return undefined;
+    }
+    try {
+        const { format } = JSON.parse(stdout);
+        return {
+            duration: Number(format?.duration) || 0,
+            bitrate: Number(format?.bit_rate) || 0,
+        };
+    } catch (err) {
+        return undefined;
+    }
+}
+
+/**
+ * 获取某个平台的下载前限制，平台单独设置优先，没有则使用全局设置
+ * @param platform 解析平台名称（解析器的名称）
+ * @returns {{maxSize: number, maxDuration: number, action: number}} maxSize 单位MB，maxDuration 单位秒，0 为不限制
+ */
+export function getPreflightLimit(platform) {
+    const toolsConfig = config.getCachedConfig("tools");
+    const platformLimit = (toolsConfig.preflightPlatformLimits || []).find(item => item.platform === platform) || {};
+    return {
+        maxSize: Number(platformLimit.maxSize ?? toolsConfig.preflightMaxSize) || 0,
+        maxDuration: Number(platformLimit.maxDuration ?? toolsConfig.preflightMaxDuration) || 0,
+        action: Number(platformLimit.action ?? toolsConfig.preflightAction ?? PREFLIGHT_ACTION.COVER),
+    };
+}
+
+/**
+ * 下载前检查：在下载任何内容之前探测视频大小和时长，判断是否超过平台限制
+ * @param url
+ * @param platform    解析平台名称，同时决定探测请求是否走代理
+ * @param headers
+ * @param signal      取消信号
+ * @returns {Promise<{size: number|undefined, duration: number|undefined, exceeded: boolean, reason: string, action: number}>}
+ *          size 单位MB，duration 单位秒
+ */
+export async function preflightVideo(url, platform, { headers, signal } = {}) {
+    const limit = getPreflightLimit(platform);
+    const result = { size: undefined, duration: undefined, exceeded: false, reason: "", action: limit.action };
+    // 没有任何限制就不浪费请求
+    if (!limit.maxSize && !limit.maxDuration) {
+        return result;
+    }
+
+    const contentLength = limit.maxSize ? await probeContentLength(url, { headers, platform, signal }) : undefined;
+    // 只有需要看时长，或者拿不到大小（比如 m3u8）时才用 ffprobe
+    const mediaInfo = limit.maxDuration || !contentLength ? await probeMediaInfo(url, { headers }) : undefined;
+
+    if (contentLength) {
+        result.size = contentLength / 1024 / 1024;
+    } else if (mediaInfo?.duration && mediaInfo?.bitrate) {
+        // 用码率估算大小
+        result.size = mediaInfo.duration * mediaInfo.bitrate / 8 / 1024 / 1024;
+    }
+    result.duration = mediaInfo?.duration || undefined;
+
+    if (limit.maxSize && result.size > limit.maxSize) {
+        result.exceeded = true;
+        result.reason = `视频大小约 ${ result.size.toFixed(1) }MB，超过了限制 ${ limit.maxSize }MB`;
+    } else if (limit.maxDuration && result.duration > limit.maxDuration) {
+        result.exceeded = true;
+        result.reason = `视频时长 ${ Math.round(result.duration) } 秒，超过了限制 ${ limit.maxDuration } 秒`;
+    }
+    preflightLog.info(`${ platform }：大小 ${ result.size?.toFixed(1) ?? '未知' }MB，时长 ${ result.duration ?? '未知' }s${ result.exceeded ? `，${ result.reason }` : '' }`);
+    return result;
+}
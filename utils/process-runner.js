@@ -0,0 +1,267 @@
+import { spawn } from "child_process";
+import { RESOLVE_ERROR_TYPE } from "../constants/constant.js";
+import { createLogger, redactSecrets } from "./plugin-logger.js";
+import { ResolveError } from "./resolve-error.js";
+import { getCurrentJob, trackChildProcess } from "./resolve-job.js";
+
+/**
+ * 默认超时时间（毫秒），下载大文件的命令也不应该超过这个时间
+ * @type {number}
+ */
+const DEFAULT_TIMEOUT = 30 * 60 * 1000;
+
+/**
+ * 默认最多保留的输出长度（字符），超过后只保留最后的部分
+ * @type {number}
+ */
+const DEFAULT_MAX_BUFFER = 16 * 1024 * 1024;
+
+/**
+ * 超时后发送 SIGTERM，等待这么久还没有退出就发送 SIGKILL
+ * @type {number}
+ */
+const KILL_GRACE_TIME = 5000;
+
+/**
+ * 后面跟着敏感值的参数，审计日志中会把值替换为 ***
+ * @type {Set<string>}
+ */
+const SENSITIVE_FLAGS = new Set([
+    "--cookies", "--cookie", "--add-header", "--header", "-H", "-headers",
+    "--proxy", "--all-proxy", "--http-proxy", "--https-proxy",
+]);
+
+/**
+ * 常见命令的进度输出，例如：yt-dlp 的 [download]  45.3%、aria2c 的 (45%)、axel 的 [ 45%]
+ * @type {RegExp}
+ */
+const PERCENT_REGEX = /(\d{1,3}(?:\.\d+)?)%/g;
+
+/**
+ * 命令执行失败：退出码不为 0、超时或者被取消
+ * spawn 本身的错误（例如找不到命令的 ENOENT）会原样抛出，方便 toResolveError 判断为缺少环境
+ */
+export class ProcessError extends Error {
+    /**
+     * @param message
+     * @param code      退出码
+     * @param signal    结束进程的信号
+     * @param stderr    标准错误输出
+     * @param timedOut  是否超时
+     * @param cancelled 是否被取消
+     */
+    constructor(message, { code = null, signal = null, stderr = "", timedOut = false, cancelled = false } = {}) {
+        super(message);
+        this.name = "ProcessError";
+        this.code = code;
+        this.signal = signal;
+        this.stderr = stderr;
+        this.timedOut = timedOut;
+        this.cancelled = cancelled;
+    }
+}
+
+/**
+ * 校验传给外部命令的链接：只允许 http / https，不能以 - 开头被当成参数
+ * @param url
+ * @returns {string} 去掉首尾空白后的链接
+ * @throws {ResolveError} 链接无效时抛出 INVALID_LINK
+ */
+export function assertSafeUrl(url) {
+    const link = String(url ?? "").trim();
+    let parsed;
+    try {
+        parsed = new URL(link);
+    } catch {
+        throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "链接格式不正确");
+    }
+    if (!["http:", "https:"].includes(parsed.protocol) || link.startsWith("-") || /[\s\0]/.test(link)) {
+        throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "只支持 http / https 链接");
+    }
+    return link;
+}
+
+/**
+ * 隐藏参数中的 Cookie、代理等敏感信息，用于审计日志
+ * 跟在敏感参数后面的值整个隐藏，其他参数按 redactSecrets 的规则隐藏
+ * @param args 参数数组
+ * @returns {string[]}
+ * @example
+ * redactArgs(["--proxy", "http://127.0.0.1:7890", "-c", "SESSDATA=abc"]);
+ * // ["--proxy", "***", "-c", "SESSDATA=***"]
+ */
+export function redactArgs(args) {
+    return args.map((arg, index) => {
+        const value = String(arg);
+        if (index > 0 && SENSITIVE_FLAGS.has(String(args[index - 1]))) {
+            return "***";
+        }
+        const [flag] = value.split("=", 1);
+        if (value.startsWith("--") && value.includes("=") && SENSITIVE_FLAGS.has(flag)) {
+            return `${ flag }=***`;
+        }
+        return redactSecrets(value);
+    });
+}
+
+/**
+ * 外部命令的环境变量：Linux 下把 /usr/local/bin 放在 PATH 最前面，手动编译安装的 ffmpeg 等工具通常在这里
+ * @returns {Object}
+ */
+export function getToolEnv() {
+    if (process.platform !== "linux") {
+        return process.env;
+    }
+    return { ...process.env, PATH: `/usr/local/bin:${ process.env.PATH || "" }` };
+}
+
+/**
+ * 把命令格式化为一行，只用于日志
+ * @param command
+ * @param args
+ * @returns {string}
+ */
+function formatCommand(command, args) {
+    return [command, ...redactArgs(args).map(item => /[\s"']/.test(item) ? JSON.stringify(item) : item)].join(" ");
+}
+
+/**
+ * 默认的进度解析：取输出中最后一个百分比
+ * @param text 一段输出
+ * @returns {number|undefined} 0~1
+ */
+export function parsePercentProgress(text) {
+    const matches = [...text.matchAll(PERCENT_REGEX)];
+    if (matches.length === 0) {
+        return undefined;
+    }
+    const percent = parseFloat(matches[matches.length - 1][1]);
+    return percent >= 0 && percent <= 100 ? percent / 100 : undefined;
+}
+
+/**
+ * 追加输出，超过上限时只保留最后的部分
+ * @param buffer
+ * @param chunk
+ * @param maxBuffer
+ * @returns {string}
+ */
+function appendOutput(buffer, chunk, maxBuffer) {
+    const next = buffer + chunk;
+    return next.length > maxBuffer ? next.slice(next.length - maxBuffer) : next;
+}
+
+/**
+ * 启动外部命令：使用参数数组，不经过 shell，用户输入不会被当成命令执行
+ * 在解析任务中启动时会登记到任务，取消任务时一起结束；审计日志中的 Cookie 和代理会被隐藏
+ * @param command 命令，例如：yt-dlp
+ * @param args    参数数组
+ * @param options
+ * @param options.tag           日志中的名称，默认为命令名
+ * @param options.cwd           工作目录
+ * @param options.env           环境变量
+ * @param options.timeout       超时时间（毫秒），0 为不限制
+ * @param options.signal        取消信号，默认使用当前解析任务的信号
+ * @param options.maxBuffer     最多保留的输出长度
+ * @param options.onStdout      (chunk: string) => void
+ * @param options.onStderr      (chunk: string) => void
+ * @param options.onProgress    (ratio: number) => void，0~1；不传时在解析任务中更新任务的进度，不在任务中或传入 null 时不解析进度
+ * @param options.parseProgress (chunk: string) => number|undefined，默认取输出中的百分比
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ * @example
+ * const { stdout } = await runProcess("yt-dlp", ["--get-title", url], { timeout: 60 * 1000 });
+ */
+export function runProcess(command, args = [], {
+    tag = command,
+    cwd,
+    env,
+    timeout = DEFAULT_TIMEOUT,
+    signal = getCurrentJob()?.signal,
+    maxBuffer = DEFAULT_MAX_BUFFER,
+    onStdout,
+    onStderr,
+    onProgress,
+    parseProgress = parsePercentProgress,
+} = {}) {
+    const argList = args.map(String);
+    const log = createLogger(tag);
+    const job = getCurrentJob();
+    const progressHandler = onProgress === undefined && job ? ratio => job.setProgress(ratio) : onProgress;
+    createLogger(`${ tag }审计`).info(formatCommand(command, argList));
+
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new ProcessError(`[R插件][${ tag }] 已取消`, { cancelled: true }));
+            return;
+        }
+        const child = trackChildProcess(spawn(command, argList, { cwd, env, shell: false, windowsHide: true }));
+        let stdout = "";
+        let stderr = "";
+        let timedOut = false;
+        let settled = false;
+        let killTimer;
+
+        const kill = () => {
+            child.kill("SIGTERM");
+            killTimer = setTimeout(() => child.kill("SIGKILL"), KILL_GRACE_TIME);
+            killTimer.unref?.();
+        };
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            kill();
+        }, timeout) : undefined;
+        const onAbort = () => kill();
+        signal?.addEventListener("abort", onAbort, { once: true });
+
+        const finish = (fn) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            clearTimeout(timer);
+            clearTimeout(killTimer);
+            signal?.removeEventListener("abort", onAbort);
+            fn();
+        };
+        const handleChunk = (chunk, callback) => {
+            const text = chunk.toString();
+            callback?.(text);
+            if (progressHandler) {
+                const ratio = parseProgress(text);
+                ratio !== undefined && progressHandler(ratio);
+            }
+            return text;
+        };
+
+        child.stdout?.on("data", chunk => {
+            stdout = appendOutput(stdout, handleChunk(chunk, onStdout), maxBuffer);
+        });
+        child.stderr?.on("data", chunk => {
+            stderr = appendOutput(stderr, handleChunk(chunk, onStderr), maxBuffer);
+        });
+        // 找不到命令等启动失败的情况
+        child.once("error", err => finish(() => {
+            log.error(`启动失败：${ err.message }`);
+            reject(err);
+        }));
+        child.once("close", (code, exitSignal) => finish(() => {
+            if (code === 0) {
+                resolve({ stdout, stderr });
+                return;
+            }
+            const cancelled = !timedOut && !!signal?.aborted;
+            const reason = timedOut
+                ? `执行超时（timeout ${ timeout / 1000 }s）`
+                : cancelled ? "已取消" : `退出码 ${ code ?? exitSignal }`;
+            const tail = stderr.trim().split("\n").slice(-5).join("\n");
+            log.error(`${ reason }${ tail ? `：${ tail }` : "" }`);
+            reject(new ProcessError(`[R插件][${ tag }] ${ reason }${ tail ? `：${ tail }` : "" }`, {
+                code,
+                signal: exitSignal,
+                stderr,
+                timedOut,
+                cancelled,
+            }));
+        }));
+    });
+}
@@ -0,0 +1,136 @@
+import {
+    RATE_LIMIT_FEATURE_LIST,
+    RATE_LIMIT_SCOPE,
+    REDIS_YUNZAI_RATE_LIMIT,
+    REDIS_YUNZAI_WHITELIST
+} from "../constants/constant.js";
+import config from "../model/config.js";
+import { createLogger } from "./plugin-logger.js";
+import { redisExistAndGetKey } from "./redis-util.js";
+
+const rateLimitLog = createLogger("限流");
+
+/**
+ * 令牌桶脚本：所有桶都有令牌时才一起扣除，避免个人桶扣了但群桶不够的情况
+ * KEYS：每个桶的 key
+ * ARGV：当前时间（毫秒），之后每两个一组为对应桶的容量和每毫秒恢复的令牌数
+ * 返回：{ 是否通过, 需要等待的毫秒数 }
+ * @type {string}
+ */
+const TOKEN_BUCKET_SCRIPT = `
+local now = tonumber(ARGV[1])
+local tokens = {}
+local wait = 0
+for i, key in ipairs(KEYS) do
+    local capacity = tonumber(ARGV[i * 2])
+    local rate = tonumber(ARGV[i * 2 + 1])
+    local bucket = redis.call('HMGET', key, 'tokens', 'time')
+    local current = tonumber(bucket[1]) or capacity
+    local time = tonumber(bucket[2]) or now
+    current = math.min(capacity, current + (now - time) * rate)
+    tokens[i] = current
+    if current < 1 then
+        wait = math.max(wait, math.ceil((1 - current) / rate))
+    end
+end
+for i, key in ipairs(KEYS) do
+    local capacity = tonumber(ARGV[i * 2])
+    local rate = tonumber(ARGV[i * 2 + 1])
+    local current = tokens[i]
+    if wait == 0 then
+        current = current - 1
+    end
+    redis.call('HSET', key, 'tokens', tostring(current), 'time', tostring(now))
+    redis.call('PEXPIRE', key, math.ceil(capacity / rate))
+end
+if wait == 0 then
+    return { 1, 0 }
+end
+return { 0, wait }
+`;
+
+/**
+ * 获取某个功能的限流规则
+ * @param feature RATE_LIMIT_FEATURE 中的值
+ * @returns {{scope: string, capacity: number, interval: number}[]} capacity 为桶容量，interval 为从空桶恢复满的秒数
+ */
+function getRateLimitRules(feature) {
+    const toolsConfig = config.getCachedConfig("tools");
+    if (toolsConfig.rateLimitEnable !== true) {
+        return [];
+    }
+    return (toolsConfig.rateLimitRules || [])
+        .filter(rule => rule.feature === feature && Number(rule.capacity) > 0 && Number(rule.interval) > 0)
+        .map(rule => ({
+            scope: rule.scope || RATE_LIMIT_SCOPE.USER,
+            capacity: Number(rule.capacity),
+            interval: Number(rule.interval),
+        }));
+}
+
+/**
+ * 主人和信任用户不受限流
+ * @param e
+ * @returns {Promise<boolean>}
+ */
+async function isRateLimitExempt(e) {
+    if (e.isMaster) {
+        return true;
+    }
+    const whiteList = await redisExistAndGetKey(REDIS_YUNZAI_WHITELIST) || [];
+    return whiteList.includes(e.user_id?.toString()) || whiteList.includes(e.user_id);
+}
+
+/**
+ * 尝试消耗一个令牌
+ * @param e       Yunzai 机器人事件
+ * @param feature RATE_LIMIT_FEATURE 中的值
+ * @returns {Promise<{allowed: boolean, wait: number}>} wait 为需要等待的秒数
+ */
+export async function consumeRateLimit(e, feature) {
+    // 整个群的规则在私聊中不生效
+    const rules = getRateLimitRules(feature).filter(rule => rule.scope !== RATE_LIMIT_SCOPE.GROUP || e.isGroup);
+    if (rules.length === 0 || await isRateLimitExempt(e)) {
+        return { allowed: true, wait: 0 };
+    }
+    const keys = rules.map(rule => {
+        const target = rule.scope === RATE_LIMIT_SCOPE.GROUP ? e.group_id : e.user_id;
+        return `${ REDIS_YUNZAI_RATE_LIMIT }:${ feature }:${ rule.scope }:${ target }`;
+    });
+    const args = [Date.now().toString()];
+    for (const rule of rules) {
+        args.push(rule.capacity.toString(), (rule.capacity / (rule.interval * 1000)).toString());
+    }
+    const [allowed, wait] = await redis.eval(TOKEN_BUCKET_SCRIPT, { keys, arguments: args });
+    return {
+        allowed: allowed === 1,
+        wait: Math.ceil(wait / 1000),
+    };
+}
+
+/**
+ * 检查限流，超过时回复还需要等待多久
+ * 限流出错时直接放行，不影响正常使用
+ * @param e       Yunzai 机器人事件
+ * @param feature RATE_LIMIT_FEATURE 中的值
+ * @returns {Promise<boolean>} 可以继续时返回 true
+ * @example
+ * if (!(await checkRateLimit(e, RATE_LIMIT_FEATURE.TRANSLATE))) {
+ *     return true;
+ * }
+ */
+export async function checkRateLimit(e, feature) {
+    try {
+        const { allowed, wait } = await consumeRateLimit(e, feature);
+        if (allowed) {
+            return true;
+        }
+        const label = RATE_LIMIT_FEATURE_LIST.find(item => item.value === feature)?.label || feature;
+        rateLimitLog.info(`${ e.user_id } 的${ label }已超过限制，需要等待 ${ wait } 秒`);
+        e.reply(`${ label }用得太频繁啦，请 ${ wait } 秒后再试`, true);
+        return false;
+    } catch (err) {
+        rateLimitLog.error(`检查失败：${ err.message }`);
+        return true;
+    }
+}
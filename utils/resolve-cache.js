@@ -0,0 +1,136 @@
+import { REDIS_YUNZAI_RESOLVE_CACHE } from "../constants/constant.js";
+import config from "../model/config.js";
+import { createLogger } from "./plugin-logger.js";
+
+const cacheLog = createLogger("解析缓存");
+
+/**
+ * 查看缓存时最多列出的条目数量
+ * @type {number}
+ */
+const MAX_LIST_SIZE = 50;
+
+/**
+ * 缓存在 Redis 中的 key，例如：Yz:rconsole:resolve:cache:哔哩哔哩:BV1hY411m7cB
+ * @param platform 解析平台名称
+ * @param id       平台内容ID（BV号、抖音作品ID、小红书笔记ID、微博ID）
+ * @returns {string}
+ */
+function getCacheKey(platform, id) {
+    return `${ REDIS_YUNZAI_RESOLVE_CACHE }:${ platform }:${ id }`;
+}
+
+/**
+ * 获取某个平台的缓存时间，平台单独设置优先，没有则使用全局设置
+ * @param platform 解析平台名称
+ * @returns {number} 单位秒，0 为不缓存
+ */
+export function getResolveCacheTTL(platform) {
+    const toolsConfig = config.getCachedConfig("tools");
+    const platformTTL = (toolsConfig.resolveCachePlatformTTL || []).find(item => item.platform === platform);
+    return Number(platformTTL?.ttl ?? toolsConfig.resolveCacheTTL) || 0;
+}
+
+/**
+ * 读取解析缓存
+ * @param platform 解析平台名称
+ * @param id       平台内容ID
+ * @returns {Promise<Object|undefined>} 没有缓存时返回 undefined
+ */
+export async function getResolveCache(platform, id) {
+    if (!platform || !id || getResolveCacheTTL(platform) <= 0) {
+        return undefined;
+    }
+    const cache = JSON.parse(await redis.get(getCacheKey(platform, id)));
+    return cache?.data;
+}
+
+/**
+ * 写入解析缓存，过期时间跟随平台设置
+ * @param platform 解析平台名称
+ * @param id       平台内容ID
+ * @param data     解析得到的元数据
+ * @param title    标题，查看缓存时展示
+ * @returns {Promise<void>}
+ */
+export async function setResolveCache(platform, id, data, title = "") {
+    const ttl = getResolveCacheTTL(platform);
+    if (!platform || !id || !data || ttl <= 0) {
+        return;
+    }
+    await redis.set(getCacheKey(platform, id), JSON.stringify({
+        platform,
+        id,
+        title,
+        time: Date.now(),
+        data,
+    }), { EX: ttl });
+}
+
+/**
+ * 优先从缓存中获取解析结果，没有缓存时调用 fetcher 获取并写入缓存
+ * @param platform 解析平台名称
+ * @param id       平台内容ID
+ * @param fetcher  () => Promise<Object>，返回空值时不写入缓存
+ * @param getTitle (data) => string，从结果中取出标题
+ * @returns {Promise<Object>}
+ * @example
+ * const videoInfo = await withResolveCache("哔哩哔哩", bvid, () => getVideoInfo(url), data => data.title);
+ */
+export async function withResolveCache(platform, id, fetcher, getTitle = () => "") {
+    try {
+        const cache = await getResolveCache(platform, id);
+        if (cache) {
+            cacheLog.info(`命中 ${ platform }：${ id }`);
+            return cache;
+        }
+    } catch (err) {
+        // 缓存出问题不影响正常解析
+        cacheLog.error(`读取 ${ platform }：${ id } 失败：${ err.message }`);
+    }
+    const data = await fetcher();
+    try {
+        await setResolveCache(platform, id, data, data ? getTitle(data) : "");
+    } catch (err) {
+        cacheLog.error(`写入 ${ platform }：${ id } 失败：${ err.message }`);
+    }
+    return data;
+}
+
+/**
+ * 查看解析缓存
+ * @param platform 解析平台名称，不填则为全部平台
+ * @returns {Promise<{total: number, items: {platform: string, id: string, title: string, time: number, ttl: number}[]}>}
+ *          items 按缓存时间倒序，最多 MAX_LIST_SIZE 条
+ */
+export async function listResolveCache(platform) {
+    const keys = await redis.keys(getCacheKey(platform || "*", "*"));
+    const items = [];
+    for (const key of keys) {
+        const cache = JSON.parse(await redis.get(key));
+        if (!cache) {
+            continue;
+        }
+        const { data, ...info } = cache;
+        items.push({ ...info, ttl: await redis.ttl(key) });
+    }
+    items.sort((a, b) => b.time - a.time);
+    return {
+        total: items.length,
+        items: items.slice(0, MAX_LIST_SIZE),
+    };
+}
+
+/**
+ * 清理解析缓存
+ * @param platform 解析平台名称，不填则清理全部平台
+ * @returns {Promise<number>} 清理的条目数量
+ */
+export async function flushResolveCache(platform) {
+    const keys = await redis.keys(getCacheKey(platform || "*", "*"));
+    if (keys.length === 0) {
+        return 0;
+    }
+    await redis.del(keys);
+    return keys.length;
+}
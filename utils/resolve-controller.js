@@ -0,0 +1,93 @@
+import { REDIS_YUNZAI_RESOLVE_CONTROLLER } from "../constants/resolve.js";
+import { redisExistAndGetKey, redisSetKey } from "./redis-util.js";
+import { getResolvers } from "./resolver-registry.js";
+import { getResolveScope } from "./yunzai-util.js";
+
+// 作用域的计算放在 yunzai-util 中，解析器间接用到时不会反过来依赖解析器注册表
+export { getResolveScope };
+
+/**
+ * 将用户输入的平台名称匹配为解析器的名称
+ * 支持键名（douyin）和中文名（抖音），不区分大小写
+ * @param input
+ * @returns {string|undefined}
+ */
+export function matchResolveName(input) {
+    const name = input?.trim().toLowerCase();
+    if (!name) {
+        return undefined;
+    }
+    const resolver = getResolvers()
+        .find(({ key, name: resolveName }) => key.toLowerCase() === name || resolveName.toLowerCase() === name);
+    return resolver?.name;
+}
+
+/**
+ * 获取全部作用域的解析控制
+ * @returns {Promise<Object>} 例如：{ "group:123456": { "抖音": false } }
+ */
+async function getAllResolveOverrides() {
+    return await redisExistAndGetKey(REDIS_YUNZAI_RESOLVE_CONTROLLER) || {};
+}
+
+/**
+ * 获取某个作用域下的解析控制，没有设置过的平台跟随全局
+ * @param scope
+ * @returns {Promise<Object>}
+ */
+export async function getResolveOverrides(scope) {
+    return (await getAllResolveOverrides())[scope] || {};
+}
+
+/**
+ * 设置某个作用域下某个平台的开关
+ * @param scope
+ * @param resolveName 解析器的名称
+ * @param enabled
+ * @returns {Promise<void>}
+ */
+export async function setResolveOverride(scope, resolveName, enabled) {
+    const controller = await getAllResolveOverrides();
+    controller[scope] = { ...controller[scope], [resolveName]: enabled };
+    await redisSetKey(REDIS_YUNZAI_RESOLVE_CONTROLLER, controller);
+}
+
+/**
+ * 重置某个作用域的解析控制（恢复跟随全局），不传平台则重置整个作用域
+ * @param scope
+ * @param resolveName
+ * @returns {Promise<void>}
+ */
+export async function resetResolveOverride(scope, resolveName) {
+    const controller = await getAllResolveOverrides();
+    if (!controller[scope]) {
+        return;
+    }
+    if (resolveName) {
+        delete controller[scope][resolveName];
+    }
+    if (!resolveName || Object.keys(controller[scope]).length === 0) {
+        delete controller[scope];
+    }
+    await redisSetKey(REDIS_YUNZAI_RESOLVE_CONTROLLER, controller);
+}
+
+/**
+ * 判断当前会话是否启用某个解析，全局黑名单优先级最高
+ * @param e               Yunzai 机器人事件
+ * @param resolveName     解析器的名称
+ * @param globalBlackList 全局黑名单
+ * @returns {Promise<boolean>}
+ */
+export async function isResolveEnabled(e, resolveName, globalBlackList = []) {
+    // 全局禁用的直接拦截
+    if (globalBlackList?.includes(resolveName)) {
+        return false;
+    }
+    // 没有会话信息的情况下跟随全局
+    if (!e) {
+        return true;
+    }
+    const overrides = await getResolveOverrides(getResolveScope(e));
+    return overrides[resolveName] !== false;
+}
@@ -0,0 +1,51 @@
+import { DEDUP_ACTION, REDIS_YUNZAI_RESOLVE_DEDUP } from "../constants/constant.js";
+import config from "../model/config.js";
+
+/**
+ * 获取群内重复链接的设置
+ * @returns {{cooldown: number, action: number}} cooldown 单位秒，0 为不限制
+ */
+export function getDedupConfig() {
+    const toolsConfig = config.getCachedConfig("tools");
+    return {
+        cooldown: Number(toolsConfig.dedupCooldown) || 0,
+        action: Number(toolsConfig.dedupAction ?? DEDUP_ACTION.NOTE),
+    };
+}
+
+/**
+ * 检查同一个群在冷却时间内是否已经解析过这个内容，没有解析过则记录下来
+ * 只在群聊中生效，私聊不做限制
+ * @param e        Yunzai 机器人事件
+ * @param platform 解析平台名称
+ * @param id       平台内容ID（BV号、抖音作品ID、小红书笔记ID、微博ID）
+ * @returns {Promise<{time: number, messageId: string, userId: number}|undefined>} 之前的解析记录，没有重复时返回 undefined
+ */
+export async function checkDuplicateResolve(e, platform, id) {
+    const { cooldown } = getDedupConfig();
+    if (!e.isGroup || !platform || !id || cooldown <= 0) {
+        return undefined;
+    }
+    const key = `${ REDIS_YUNZAI_RESOLVE_DEDUP }:${ e.group_id }:${ platform }:${ id }`;
+    const record = {
+        time: Date.now(),
+        messageId: e.message_id,
+        userId: e.user_id,
+    };
+    // NX：只有第一次出现时写入，冷却时间内后面的消息都会拿到第一次的记录
+    const created = await redis.set(key, JSON.stringify(record), { NX: true, EX: cooldown });
+    if (created) {
+        return undefined;
+    }
+    return JSON.parse(await redis.get(key)) || undefined;
+}
+
+/**
+ * 格式化距离上次解析过去的时间，例如：3分钟前
+ * @param time 上次解析的时间戳
+ * @returns {string}
+ */
+export function formatDedupElapsed(time) {
+    const minutes = Math.floor((Date.now() - time) / 60000);
+    return minutes < 1 ? "刚刚" : `${ minutes }分钟前`;
+}
@@ -0,0 +1,111 @@
+import { HELP_DOC, RESOLVE_ERROR_TYPE } from "../constants/constant.js";
+
+/**
+ * 每种失败对应的回复，help 为 true 时附上文档链接
+ * @type {Object<string, {label: string, message: string, help: boolean}>}
+ */
+const RESOLVE_ERROR_REPLY = {
+    [RESOLVE_ERROR_TYPE.COOKIE_EXPIRED]: { label: "Cookie失效", message: "Cookie 没有填写或者已经过期，请重新获取后填写", help: true },
+    [RESOLVE_ERROR_TYPE.CONTENT_UNAVAILABLE]: { label: "内容不可用", message: "内容已被删除、设为私密或者需要登录才能查看", help: false },
+    [RESOLVE_ERROR_TYPE.REGION_BLOCKED]: { label: "地区限制", message: "内容在当前地区不可用，可以尝试开启海外解析或者使用代理", help: true },
+    [RESOLVE_ERROR_TYPE.PROXY_UNREACHABLE]: { label: "代理不可用", message: "检测到没有梯子或者代理无法连接，请检查魔法地址和端口", help: true },
+    [RESOLVE_ERROR_TYPE.TOOL_MISSING]: { label: "缺少环境", message: "当前环境缺少需要的工具", help: true },
+    [RESOLVE_ERROR_TYPE.OVER_LIMIT]: { label: "超过限制", message: "超过了管理员设置的大小或时长限制", help: false },
+    [RESOLVE_ERROR_TYPE.API_CHANGED]: { label: "接口变更", message: "平台接口可能已经变更，请更新插件或者等待修复", help: true },
+    [RESOLVE_ERROR_TYPE.INVALID_LINK]: { label: "无效链接", message: "无法识别这个链接，请检查链接是否完整", help: false },
+    [RESOLVE_ERROR_TYPE.NETWORK]: { label: "网络异常", message: "请求超时或者网络异常，请稍后重试", help: false },
+    [RESOLVE_ERROR_TYPE.UNKNOWN]: { label: "未知错误", message: "解析失败，请稍后重试", help: false },
+};
+
+/**
+ * 解析失败时抛出的错误，由 apps/tools.js 的 dispatchResolver 统一回复
+ * @example
+ * throw new ResolveError(RESOLVE_ERROR_TYPE.COOKIE_EXPIRED, "没有填写小红书 Cookie");
+ */
+export class ResolveError extends Error {
+    /**
+     * @param type    RESOLVE_ERROR_TYPE 中的值
+     * @param detail  补充说明，会跟在统一的回复后面，例如缺少的工具名称
+     * @param cause   原始错误
+     */
+    constructor(type = RESOLVE_ERROR_TYPE.UNKNOWN, detail = "", { cause } = {}) {
+        super(detail || RESOLVE_ERROR_REPLY[type]?.message || type, { cause });
+        this.name = "ResolveError";
+        this.type = type in RESOLVE_ERROR_REPLY ? type : RESOLVE_ERROR_TYPE.UNKNOWN;
+        this.detail = detail;
+    }
+}
+
+/**
+ * 根据常见的错误特征推断分类
+ * @param err
+ * @returns {string} RESOLVE_ERROR_TYPE 中的值
+ */
+function classifyError(err) {
+    const status = err?.response?.status ?? err?.status;
+    const code = err?.code;
+    const message = String(err?.message || err || "");
+    // 子进程找不到命令：ENOENT（spawn）或者 127（shell）
+    if ((code === "ENOENT" && err?.syscall?.startsWith("spawn")) || code === 127 || /command not found|不是内部或外部命令/.test(message)) {
+        return RESOLVE_ERROR_TYPE.TOOL_MISSING;
+    }
+    if (status === 401 || status === 403) {
+        return RESOLVE_ERROR_TYPE.COOKIE_EXPIRED;
+    }
+    if (status === 404 || status === 410) {
+        return RESOLVE_ERROR_TYPE.CONTENT_UNAVAILABLE;
+    }
+    if (status === 451 || /not available in your country|地区|region/i.test(message)) {
+        return RESOLVE_ERROR_TYPE.REGION_BLOCKED;
+    }
+    if (/proxy|ECONNREFUSED.*:(7890|1080|10809)/i.test(message)) {
+        return RESOLVE_ERROR_TYPE.PROXY_UNREACHABLE;
+    }
+    if (["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ECONNABORTED", "ENOTFOUND", "EAI_AGAIN"].includes(code) || /timeout|socket hang up/i.test(message)) {
+        return RESOLVE_ERROR_TYPE.NETWORK;
+    }
+    // 接口返回的结构变了，通常表现为读取 undefined 的属性
+    if (err instanceof TypeError || err instanceof SyntaxError) {
+        return RESOLVE_ERROR_TYPE.API_CHANGED;
+    }
+    return RESOLVE_ERROR_TYPE.UNKNOWN;
+}
+
+/**
+ * 把任意错误转换为 ResolveError
+ * @param err
+ * @param fallbackType 无法推断分类时使用的分类
+ * @returns {ResolveError}
+ */
+export function toResolveError(err, fallbackType = RESOLVE_ERROR_TYPE.UNKNOWN) {
+    if (err instanceof ResolveError) {
+        return err;
+    }
+    const type = classifyError(err);
+    return new ResolveError(type === RESOLVE_ERROR_TYPE.UNKNOWN ? fallbackType : type, "", { cause: err });
+}
+
+/**
+ * 失败分类的简短名称，用于统计和日志
+ * @param err {ResolveError}
+ * @returns {string}
+ */
+export function getResolveErrorLabel(err) {
+    return RESOLVE_ERROR_REPLY[err.type].label;
+}
+
+/**
+ * 生成统一的失败回复
+ * @param platform 解析平台名称
+ * @param err      {ResolveError}
+ * @returns {string}
+ * @example
+ * formatResolveError("小红书", new ResolveError(RESOLVE_ERROR_TYPE.COOKIE_EXPIRED));
+ * // ❌ 小红书解析失败：Cookie 没有填写或者已经过期，请重新获取后填写
+ * // 文档：https://zhiyu1998.github.io/rconsole-plugin/
+ */
+export function formatResolveError(platform, err) {
+    const { message, help } = RESOLVE_ERROR_REPLY[err.type];
+    const detail = err.detail && err.detail !== message ? `（${ err.detail }）` : "";
+    return `❌ ${ platform }解析失败：${ message }${ detail }${ help ? HELP_DOC : "" }`;
+}
@@ -0,0 +1,280 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { promises as fs } from "fs";
+import PQueue from "p-queue";
+import config from "../model/config.js";
+import { mkdirIfNotExists } from "./file.js";
+import { createLogger } from "./plugin-logger.js";
+
+const jobLog = createLogger("解析任务");
+
+/**
+ * 任务阶段
+ * @type {Readonly<{QUEUED: string, FETCHING: string, DOWNLOADING: string, MERGING: string, UPLOADING: string}>}
+ */
+export const JOB_STAGE = Object.freeze({
+    QUEUED: "排队中",
+    FETCHING: "获取信息",
+    DOWNLOADING: "下载中",
+    MERGING: "合并中",
+    UPLOADING: "上传中",
+});
+
+/**
+ * 正在进行的任务，key 为任务ID
+ * @type {Map<string, ResolveJob>}
+ */
+const jobs = new Map();
+
+/**
+ * 用于在异步调用链中找到当前任务，工具函数启动子进程时不需要层层传递任务
+ * @type {AsyncLocalStorage<ResolveJob>}
+ */
+const jobStorage = new AsyncLocalStorage();
+
+/**
+ * 全局共享的下载队列，所有群的下载都在这里排队
+ * @type {PQueue}
+ */
+let downloadQueue;
+
+/**
+ * 同一毫秒内创建多个任务时用于区分的自增序号
+ * @type {number}
+ */
+let jobSeq = 0;
+
+/**
+ * 生成任务ID，例如：m1x2y3z4-0a
+ * @returns {string}
+ */
+function genJobId() {
+    jobSeq = (jobSeq + 1) % 1296;
+    return `${ Date.now().toString(36) }-${ jobSeq.toString(36).padStart(2, "0") }`;
+}
+
+/**
+ * 一次解析任务
+ * 每个任务都有独立的工作目录：<下载目录>/<群号或QQ号>/<任务ID>
+ * 任务中的每次下载再分配一个子目录，这样同一个任务下载多个视频时也不会互相覆盖
+ */
+export class ResolveJob {
+    /**
+     * @param baseDir  当前群 / 私聊的下载目录
+     * @param platform 解析平台名称
+     * @param e        Yunzai 机器人事件
+     * @param overrides 只对本次解析生效的配置，例如 #解析 1080p 的清晰度
+     */
+    constructor(baseDir, platform, e = {}, overrides = {}) {
+        this.id = genJobId();
+        this.platform = platform;
+        this.dir = `${ baseDir }/${ this.id }`;
+        this.userId = e.user_id;
+        this.nickname = e.sender?.card || e.sender?.nickname || e.user_id;
+        this.groupId = e.group_id;
+        this.overrides = overrides;
+        this.stage = JOB_STAGE.FETCHING;
+        this.bytes = 0;
+        // 外部命令输出的下载进度，0~1，没有进度时为 undefined
+        this.progress = undefined;
+        // 专辑、歌单中正在下载的曲目：{ index: 第几首, total: 总数 }，不是曲目时为 undefined
+        this.track = undefined;
+        this.startTime = Date.now();
+        this.workDirCount = 0;
+        // 被跳过的任务（例如重复链接）不计入统计
+        this.skipped = false;
+        this.abortController = new AbortController();
+        this.childProcesses = new Set();
+    }
+
+    /**
+     * 取消信号，传给 axios / PQueue 后取消任务时会一起中断
+     * @returns {AbortSignal}
+     */
+    get signal() {
+        return this.abortController.signal;
+    }
+
+    /**
+     * 任务是否已被取消
+     * @returns {boolean}
+     */
+    get cancelled() {
+        return this.signal.aborted;
+    }
+
+    /**
+     * 更新任务阶段
+     * @param stage JOB_STAGE 中的值
+     */
+    setStage(stage) {
+        this.stage = stage;
+        this.progress = undefined;
+    }
+
+    /**
+     * 更新外部命令的下载进度
+     * @param ratio 0~1
+     */
+    setProgress(ratio) {
+        this.progress = ratio;
+    }
+
+    /**
+     * 更新正在下载的曲目
+     * @param index 第几首，从 1 开始
+     * @param total 专辑、歌单的曲目总数
+     */
+    setTrack(index, total) {
+        this.track = { index, total };
+    }
+
+    /**
+     * 累加已下载的字节数
+     * @param length
+     */
+    addBytes(length) {
+        this.bytes += length;
+    }
+
+    /**
+     * 为一次下载分配独立的子目录
+     * @returns {Promise<string>}
+     */
+    async createWorkDir() {
+        this.workDirCount += 1;
+        const workDir = `${ this.dir }/${ this.workDirCount }`;
+        await mkdirIfNotExists(workDir);
+        return workDir;
+    }
+
+    /**
+     * 记录任务启动的子进程，取消时会一并结束
+     * @param child ChildProcess
+     */
+    attachChildProcess(child) {
+        if (this.cancelled) {
+            child.kill("SIGTERM");
+            return;
+        }
+        this.childProcesses.add(child);
+        child.once("exit", () => this.childProcesses.delete(child));
+    }
+
+    /**
+     * 取消任务：中断请求、移出队列并结束子进程
+     */
+    cancel() {
+        if (this.cancelled) {
+            return;
+        }
+        this.abortController.abort(new Error(`任务 ${ this.id } 已被取消`));
+        for (const child of this.childProcesses) {
+            child.kill("SIGTERM");
+        }
+        jobLog.info(`${ this.platform } 任务 ${ this.id } 已取消，结束了 ${ this.childProcesses.size } 个子进程`);
+    }
+
+    /**
+     * 删除任务目录及其中的所有文件
+     * @returns {Promise<void>}
+     */
+    async dispose() {
+        try {
+            await fs.rm(this.dir, { recursive: true, force: true });
+        } catch (err) {
+            jobLog.error(`清理任务 ${ this.id } 的目录失败：${ err.message }`);
+        }
+    }
+}
+
+/**
+ * 在一个解析任务中执行，结束后（无论成功、失败还是取消）都会清理任务目录
+ * @param baseDir  当前群 / 私聊的下载目录
+ * @param platform 解析平台名称
+ * @param e        Yunzai 机器人事件
+ * @param task     (job) => Promise<T>
+ * @param overrides 只对本次解析生效的配置
+ * @returns {Promise<T>}
+ */
+export async function runResolveJob(baseDir, platform, e, task, overrides = {}) {
+    const job = new ResolveJob(baseDir, platform, e, overrides);
+    await mkdirIfNotExists(job.dir);
+    jobs.set(job.id, job);
+    jobLog.info(`${ platform } 任务 ${ job.id } 开始`);
+    try {
+        return await jobStorage.run(job, () => task(job));
+    } finally {
+        jobs.delete(job.id);
+        await job.dispose();
+        jobLog.info(`${ platform } 任务 ${ job.id } 结束，耗时 ${ ((Date.now() - job.startTime) / 1000).toFixed(1) }s`);
+    }
+}
+
+/**
+ * 获取当前异步调用链所在的任务
+ * @returns {ResolveJob|undefined}
+ */
+export function getCurrentJob() {
+    return jobStorage.getStore();
+}
+
+/**
+ * 将子进程登记到当前任务，不在任务中时什么都不做
+ * @param child ChildProcess
+ * @returns {ChildProcess} 原样返回，方便链式调用
+ */
+export function trackChildProcess(child) {
+    getCurrentJob()?.attachChildProcess(child);
+    return child;
+}
+
+/**
+ * 获取正在进行的全部任务（按开始时间排序）
+ * @returns {ResolveJob[]}
+ */
+export function getJobs() {
+    return [...jobs.values()].sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * 取消任务
+ * @param id 任务ID
+ * @returns {ResolveJob|undefined} 找不到任务时返回 undefined
+ */
+export function cancelJob(id) {
+    const job = jobs.get(id);
+    job?.cancel();
+    return job;
+}
+
+/**
+ * 把下载加入全局队列
+ * 队列中的任务可能在其他任务的调用链中被启动，这里重新进入当前任务的上下文，并在任务取消时移出队列
+ * @param fn () => Promise<T>
+ * @returns {Promise<T>}
+ */
+export function enqueueDownload(fn) {
+    const job = getCurrentJob();
+    job?.setStage(JOB_STAGE.QUEUED);
+    return getDownloadQueue().add(() => {
+        if (!job) {
+            return fn();
+        }
+        job.setStage(JOB_STAGE.DOWNLOADING);
+        return jobStorage.run(job, fn);
+    }, { signal: job?.signal });
+}
+
+/**
+ * 获取全局共享的下载队列，并发数跟随配置 queueConcurrency
+ * @returns {PQueue}
+ */
+export function getDownloadQueue() {
+    const concurrency = Number(config.getCachedConfig("tools").queueConcurrency) || 1;
+    if (!downloadQueue) {
+        downloadQueue = new PQueue({ concurrency });
+    } else if (downloadQueue.concurrency !== concurrency) {
+        downloadQueue.concurrency = concurrency;
+    }
+    return downloadQueue;
+}
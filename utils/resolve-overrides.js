@@ -0,0 +1,44 @@
+import { BILI_RESOLUTION_LIST } from "../constants/constant.js";
+
+/**
+ * 哔哩哔哩清晰度对应的高度，和 BILI_RESOLUTION_LIST 的 value 一一对应（1080P 使用普通码率）
+ * @type {{height: number, value: number}[]}
+ */
+const BILI_RESOLUTION_HEIGHTS = [
+    { height: 4320, value: BILI_RESOLUTION_LIST[0].value },
+    { height: 2160, value: BILI_RESOLUTION_LIST[1].value },
+    { height: 1080, value: BILI_RESOLUTION_LIST[3].value },
+    { height: 720, value: BILI_RESOLUTION_LIST[4].value },
+    { height: 480, value: BILI_RESOLUTION_LIST[5].value },
+    { height: 360, value: BILI_RESOLUTION_LIST[6].value },
+];
+
+/**
+ * 解析 #解析 后面的临时参数
+ * @param text 例如：1080p、4k、音频
+ * @returns {{height: number|undefined, audio: boolean}} height 为清晰度的高度
+ * @example
+ * parseResolveOverrides("1080p"); // { height: 1080, audio: false }
+ * parseResolveOverrides("音频");  // { height: undefined, audio: true }
+ */
+export function parseResolveOverrides(text = "") {
+    const input = text.trim().toLowerCase();
+    let height = Number(/(\d{3,4})p/.exec(input)?.[1]) || undefined;
+    const k = /([48])k/.exec(input)?.[1];
+    if (k) {
+        height = k === "8" ? 4320 : 2160;
+    }
+    return {
+        height,
+        audio: /音频|音乐|audio/.test(input),
+    };
+}
+
+/**
+ * 找到不超过指定高度的最高哔哩哔哩清晰度
+ * @param height
+ * @returns {number} BILI_RESOLUTION_LIST 中的 value
+ */
+export function pickBiliResolution(height) {
+    return (BILI_RESOLUTION_HEIGHTS.find(item => item.height <= height) || BILI_RESOLUTION_HEIGHTS.at(-1)).value;
+}
@@ -0,0 +1,118 @@
+import puppeteer from "../../../lib/puppeteer/puppeteer.js";
+import { OUTPUT_STYLE } from "../constants/constant.js";
+import ResolveCard from "../model/resolve-card.js";
+import { formatSeconds, truncateString } from "./common.js";
+import { createLogger } from "./plugin-logger.js";
+
+const rendererLog = createLogger("输出样式");
+
+/**
+ * 简洁样式中标题的最大长度
+ * @type {number}
+ */
+const COMPACT_TITLE_LEN_LIMIT = 40;
+
+/**
+ * 卡片中简介的最大长度
+ * @type {number}
+ */
+const CARD_DESC_LEN_LIMIT = 200;
+
+/**
+ * 一次解析的统一元数据，由渲染器按会话的输出样式生成消息
+ * @typedef {Object} ResolveMeta
+ * @property {string}   platform   平台名称，例如：哔哩哔哩、抖音直播
+ * @property {string}   [title]    标题
+ * @property {string}   [author]   作者
+ * @property {string}   [desc]     简介
+ * @property {string}   [cover]    封面链接或本地路径
+ * @property {number}   [duration] 时长，单位秒
+ * @property {string[]} [lines]    完整样式和卡片中附加的信息，例如播放量、标签
+ * @property {string}   [notice]   提示，例如下载中、超过时长限制，除了静默样式都会发送
+ */
+
+/**
+ * 完整样式的文字
+ * @param meta   {ResolveMeta}
+ * @param prefix 识别前缀
+ * @returns {string}
+ */
+export function buildFullText(meta, prefix = "") {
+    // 没有标题时作者放在第一行，例如抖音只有作者和简介
+    const head = meta.title || meta.author;
+    return [
+        `${ prefix }识别：${ meta.platform }${ head ? `，${ head }` : "" }`,
+        meta.title && meta.author && `👤 作者：${ meta.author }`,
+        meta.desc && `📝 简介：${ meta.desc }`,
+        meta.duration && `⌚ 时长：${ formatSeconds(Math.round(meta.duration)) }`,
+        ...(meta.lines || []),
+        meta.notice,
+    ].filter(item => item).join("\n");
+}
+
+/**
+ * 简洁样式的文字，只有一行：平台｜标题 @作者 ⌚时长｜提示
+ * @param meta   {ResolveMeta}
+ * @param prefix 识别前缀
+ * @returns {string}
+ */
+export function buildCompactText(meta, prefix = "") {
+    const title = truncateString((meta.title || meta.desc || "").replace(/\s+/g, " ").trim(), COMPACT_TITLE_LEN_LIMIT);
+    return [
+        `${ prefix }${ meta.platform }｜${ title }`,
+        meta.author && ` @${ meta.author }`,
+        meta.duration && ` ⌚${ formatSeconds(Math.round(meta.duration)) }`,
+        meta.notice && `｜${ meta.notice.replace(/\s*\n\s*/g, " ") }`,
+    ].filter(item => item).join("");
+}
+
+/**
+ * 用 puppeteer 生成信息卡片
+ * @param e    Yunzai 机器人事件
+ * @param meta {ResolveMeta}
+ * @returns {Promise<Object|undefined>} 截图失败时返回 undefined
+ */
+export async function renderResolveCard(e, meta) {
+    try {
+        const data = await new ResolveCard(e).getData({
+            platform: meta.platform,
+            title: meta.title || "",
+            author: meta.author || "",
+            desc: truncateString(meta.desc || "", CARD_DESC_LEN_LIMIT),
+            cover: meta.cover || "",
+            duration: meta.duration ? formatSeconds(Math.round(meta.duration)) : "",
+            lines: meta.lines || [],
+            notice: meta.notice || "",
+        });
+        return await puppeteer.screenshot("resolve-card", data) || undefined;
+    } catch (err) {
+        rendererLog.error(`生成卡片失败：${ err.message }`);
+        return undefined;
+    }
+}
+
+/**
+ * 按输出样式生成解析信息的消息
+ * @param e      Yunzai 机器人事件
+ * @param meta   {ResolveMeta}
+ * @param style  OUTPUT_STYLE 中的值
+ * @param prefix 识别前缀
+ * @returns {Promise<Array|string|Object|undefined>} 静默样式返回 undefined
+ */
+export async function renderResolveInfo(e, meta, style, prefix = "") {
+    if (style === OUTPUT_STYLE.SILENT) {
+        return undefined;
+    }
+    if (style === OUTPUT_STYLE.COMPACT) {
+        return buildCompactText(meta, prefix);
+    }
+    if (style === OUTPUT_STYLE.CARD) {
+        const card = await renderResolveCard(e, meta);
+        // 卡片生成失败时退回完整样式
+        if (card) {
+            return card;
+        }
+    }
+    const text = buildFullText(meta, prefix);
+    return meta.cover ? [segment.image(meta.cover), text] : text;
+}
@@ -0,0 +1,121 @@
+import { REDIS_YUNZAI_RESOLVE_STATS } from "../constants/constant.js";
+import { createLogger } from "./plugin-logger.js";
+
+const statsLog = createLogger("解析统计");
+
+/**
+ * 每天的统计保留的天数，需要覆盖 #R统计 最长的 30 天
+ * @type {number}
+ */
+const STATS_EXPIRE_DAYS = 31;
+
+/**
+ * 失败原因最多保留的长度，太长的错误信息只会让统计分散
+ * @type {number}
+ */
+const MAX_REASON_LENGTH = 40;
+
+/**
+ * 统计字段的分隔符，平台名称和群号中不会出现
+ * @type {string}
+ */
+const FIELD_SEPARATOR = "|";
+
+/**
+ * 某一天的统计 key，使用本地日期
+ * @param date
+ * @returns {string}
+ */
+function getDayKey(date = new Date()) {
+    const day = `${ date.getFullYear() }-${ String(date.getMonth() + 1).padStart(2, "0") }-${ String(date.getDate()).padStart(2, "0") }`;
+    return `${ REDIS_YUNZAI_RESOLVE_STATS }:${ day }`;
+}
+
+/**
+ * 记录一次解析，每天一个 hash，字段例如：
+ *  - platform|哔哩哔哩|total / fail / latency / bytes
+ *  - group|123456|total
+ *  - reason|哔哩哔哩|请求超时
+ * @param platform 解析平台名称
+ * @param groupId  群号，私聊为 undefined
+ * @param success  是否成功
+ * @param reason   失败原因
+ * @param latency  耗时（毫秒）
+ * @param bytes    下载的字节数
+ * @returns {Promise<void>}
+ */
+export async function recordResolveStats({ platform, groupId, success, reason = "", latency = 0, bytes = 0 }) {
+    const key = getDayKey();
+    const field = (...parts) => parts.join(FIELD_SEPARATOR);
+    try {
+        const multi = redis.multi()
+            .hIncrBy(key, field("platform", platform, "total"), 1)
+            .hIncrBy(key, field("platform", platform, "latency"), Math.round(latency))
+            .hIncrBy(key, field("platform", platform, "bytes"), Math.round(bytes))
+            .hIncrBy(key, field("group", groupId || "私聊", "total"), 1);
+        if (!success) {
+            multi.hIncrBy(key, field("platform", platform, "fail"), 1)
+                .hIncrBy(key, field("reason", platform, reason.slice(0, MAX_REASON_LENGTH) || "未知错误"), 1);
+        }
+        await multi.expire(key, STATS_EXPIRE_DAYS * 24 * 60 * 60).exec();
+    } catch (err) {
+        statsLog.error(`记录失败：${ err.message }`);
+    }
+}
+
+/**
+ * 汇总最近几天的解析统计
+ * @param days 天数，包括今天
+ * @returns {Promise<{
+ *     days: number,
+ *     total: number,
+ *     fail: number,
+ *     platforms: {platform: string, total: number, fail: number, successRate: number, avgLatency: number, bytes: number}[],
+ *     groups: {groupId: string, total: number}[],
+ *     reasons: {platform: string, reason: string, count: number}[]
+ * }>} platforms 按使用次数倒序，successRate 为百分比，avgLatency 单位毫秒
+ */
+export async function getResolveStats(days = 7) {
+    const platformMap = {};
+    const groupMap = {};
+    const reasonMap = {};
+    for (let i = 0; i < days; i++) {
+        const date = new Date();
+        date.setDate(date.getDate() - i);
+        const hash = await redis.hGetAll(getDayKey(date)) || {};
+        for (const [field, value] of Object.entries(hash)) {
+            const [type, name, ...rest] = field.split(FIELD_SEPARATOR);
+            const count = Number(value) || 0;
+            if (type === "platform") {
+                platformMap[name] ??= { platform: name, total: 0, fail: 0, latency: 0, bytes: 0 };
+                platformMap[name][rest[0]] += count;
+            } else if (type === "group") {
+                groupMap[name] = (groupMap[name] || 0) + count;
+            } else if (type === "reason") {
+                // 失败原因中可能带有分隔符
+                reasonMap[field] ??= { platform: name, reason: rest.join(FIELD_SEPARATOR), count: 0 };
+                reasonMap[field].count += count;
+            }
+        }
+    }
+    const platforms = Object.values(platformMap)
+        .map(({ platform, total, fail, latency, bytes }) => ({
+            platform,
+            total,
+            fail,
+            successRate: total ? Math.round((total - fail) / total * 1000) / 10 : 0,
+            avgLatency: total ? Math.round(latency / total) : 0,
+            bytes,
+        }))
+        .sort((a, b) => b.total - a.total);
+    return {
+        days,
+        total: platforms.reduce((sum, item) => sum + item.total, 0),
+        fail: platforms.reduce((sum, item) => sum + item.fail, 0),
+        platforms,
+        groups: Object.entries(groupMap)
+            .map(([groupId, total]) => ({ groupId, total }))
+            .sort((a, b) => b.total - a.total),
+        reasons: Object.values(reasonMap).sort((a, b) => b.count - a.count),
+    };
+}
@@ -0,0 +1,199 @@
+import fs from "node:fs";
+import path from "path";
+import { RATE_LIMIT_FEATURE, RESOLVER_CATEGORY } from "../constants/constant.js";
+import { createLogger } from "./plugin-logger.js";
+
+const registryLog = createLogger("解析注册");
+
+/**
+ * 解析器目录，放入这里的 .js 文件会被自动加载
+ * @type {string}
+ */
+const RESOLVERS_DIR = path.join("./plugins", "rconsole-plugin", "resolvers");
+
+/**
+ * 没有声明 order 的解析器默认排在内置解析器之后
+ * @type {number}
+ */
+const DEFAULT_RESOLVER_ORDER = 1000;
+
+/**
+ * 解析器分类对应的限流功能
+ * @type {Object<string, string>}
+ */
+const CATEGORY_RATE_LIMIT_FEATURE = {
+    [RESOLVER_CATEGORY.VIDEO]: RATE_LIMIT_FEATURE.VIDEO,
+    [RESOLVER_CATEGORY.IMAGE]: RATE_LIMIT_FEATURE.IMAGE,
+    [RESOLVER_CATEGORY.MUSIC]: RATE_LIMIT_FEATURE.MUSIC,
+};
+
+/**
+ * 解析器 resolve 步骤返回的统一结构
+ * @typedef {Object} ResolveResult
+ * @property {string}   [id]       平台内容ID，提供时会按它跳过重复解析
+ * @property {string}   [title]    标题
+ * @property {string}   [author]   作者
+ * @property {string}   [desc]     简介
+ * @property {string}   [cover]    封面链接
+ * @property {string}   [videoUrl] 视频直链
+ * @property {string[]} [images]   图片链接
+ */
+
+/**
+ * 校验解析器是否满足约定
+ * 一个解析器至少需要：
+ *  - key：唯一标识，也可以作为解析控制中的平台名称
+ *  - name：中文名称，用于解析控制、黑名单、帮助菜单
+ *  - reg：匹配消息的正则（字符串或 RegExp），需要随配置变化时可以写成 getter
+ *  - resolve(e, ctx)：返回统一的元数据和媒体 ResolveResult，返回空值时不再继续
+ * 可选：
+ *  - send(e, result, ctx)：自定义发送，不提供则由 apps/tools.js 按统一格式发送
+ * ctx 是 apps/tools.js 的插件实例，可以使用其中的配置和下载、上传、发送等公共方法
+ * （sendResolveInfo、downloadAndSendVideo、sendVideoToUpload、getCurDownloadPath 等）
+ * 解析器不能直接或间接导入本模块，否则加载时会互相等待
+ *  - order：规则顺序，越小越先匹配
+ *  - category：内容分类 RESOLVER_CATEGORY，不声明时为视频，限流时计入对应的功能
+ *  - help：帮助菜单条目 [{ icon, title, desc }]
+ *  - ytDlpFallback：解析失败时是否交给 yt-dlp 通用解析兜底，不声明时除音乐分类外都兜底
+ * 解析失败时抛出 utils/resolve-error.js 的 ResolveError，由 apps/tools.js 统一回复
+ * @param resolver
+ * @returns {string|undefined} 不合法时返回原因
+ */
+function validateResolver(resolver) {
+    if (!resolver || typeof resolver !== "object") {
+        return "没有默认导出解析器对象";
+    }
+    for (const field of ["key", "name", "reg"]) {
+        if (!resolver[field]) {
+            return `缺少字段 ${ field }`;
+        }
+    }
+    if (typeof resolver.resolve !== "function") {
+        return "缺少 resolve 方法";
+    }
+    if (resolver.category !== undefined && !Object.values(RESOLVER_CATEGORY).includes(resolver.category)) {
+        return `未知的分类 ${ resolver.category }`;
+    }
+    return undefined;
+}
+
+/**
+ * 加载 resolvers 目录下的全部解析器
+ * @returns {Promise<Object[]>}
+ */
+async function loadResolvers() {
+    const files = fs.readdirSync(RESOLVERS_DIR).filter(file => file.endsWith(".js")).sort();
+
+    const ret = await Promise.allSettled(files.map(file => import(`../resolvers/${ file }`)));
+
+    const resolvers = [];
+    for (let i in files) {
+        if (ret[i].status !== "fulfilled") {
+            registryLog.error(`载入解析器错误：${ files[i] }`);
+            registryLog.error(ret[i].reason);
+            continue;
+        }
+        const resolver = ret[i].value.default;
+        const invalidReason = validateResolver(resolver);
+        if (invalidReason) {
+            registryLog.error(`${ files[i] } 不是合法的解析器：${ invalidReason }`);
+            continue;
+        }
+        if (resolvers.some(item => item.key === resolver.key)) {
+            registryLog.error(`${ files[i] } 的 key「${ resolver.key }」与已有解析器重复，已跳过`);
+            continue;
+        }
+        resolvers.push(resolver);
+    }
+    // 规则的先后顺序会影响 Yunzai 的匹配，所以按 order 排序
+    return resolvers.sort((a, b) => (a.order ?? DEFAULT_RESOLVER_ORDER) - (b.order ?? DEFAULT_RESOLVER_ORDER));
+}
+
+const resolvers = await loadResolvers();
+
+/**
+ * 获取全部已注册的解析器（已按 order 排序）
+ * @returns {Object[]}
+ */
+export function getResolvers() {
+    return resolvers;
+}
+
+/**
+ * 获取全部解析名称，用于解析控制、黑名单
+ * 在调用时读取注册表，不要在模块顶层求值，避免和解析器之间形成循环引用
+ * @returns {string[]} 例如：[ "抖音", "哔哩哔哩", ... ]
+ */
+export function getResolverNames() {
+    return resolvers.map(resolver => resolver.name);
+}
+
+/**
+ * 根据 key 获取解析器
+ * @param key
+ * @returns {Object|undefined}
+ */
+export function getResolver(key) {
+    return resolvers.find(resolver => resolver.key === key);
+}
+
+/**
+ * 解析器限流时计入的功能，按解析器声明的分类决定
+ * @param resolver
+ * @returns {string} RATE_LIMIT_FEATURE 中的值
+ */
+export function getResolverRateLimitFeature(resolver) {
+    return CATEGORY_RATE_LIMIT_FEATURE[resolver.category ?? RESOLVER_CATEGORY.VIDEO];
+}
+
+/**
+ * 解析失败时是否可以交给 yt-dlp 通用解析兜底
+ * 没有声明 ytDlpFallback 时按分类决定：yt-dlp 不支持音乐平台的链接，音乐分类的解析器不兜底
+ * @param resolver
+ * @returns {boolean}
+ */
+export function isYtDlpFallbackAllowed(resolver) {
+    return resolver.ytDlpFallback ?? resolver.category !== RESOLVER_CATEGORY.MUSIC;
+}
+
+/**
+ * 解析器对应到插件中的方法名
+ * @param resolver
+ * @returns {string}
+ */
+export function getResolverFnc(resolver) {
+    return `resolve_${ resolver.key }`;
+}
+
+/**
+ * apps/tools.js 中 #总结一下 规则所在的 order
+ * 这条规则的正则包含 github.com、zhihu.com 等域名，排在它前面的解析器先匹配，保持拆分解析器之前的匹配顺序
+ * @type {number}
+ */
+export const LINK_SUMMARY_ORDER = 155;
+
+/**
+ * 生成 Yunzai 的规则列表
+ * @param minOrder 只包含 order 大于等于该值的解析器
+ * @param maxOrder 只包含 order 小于该值的解析器
+ * @returns {{reg: string|RegExp, fnc: string}[]}
+ */
+export function buildResolverRules(minOrder = -Infinity, maxOrder = Infinity) {
+    return resolvers
+        .filter(resolver => {
+            const order = resolver.order ?? DEFAULT_RESOLVER_ORDER;
+            return order >= minOrder && order < maxOrder;
+        })
+        .map(resolver => ({
+            reg: resolver.reg,
+            fnc: getResolverFnc(resolver),
+        }));
+}
+
+/**
+ * 收集解析器声明的帮助菜单
+ * @returns {{icon: string, title: string, desc: string}[]}
+ */
+export function buildResolverHelpList() {
+    return resolvers.flatMap(resolver => resolver.help || []);
+}
@@ -1,5 +1,15 @@
-import { exec } from 'child_process';
 import path from 'path'
+import { assertSafeUrl, runProcess } from "./process-runner.js";
+
+/**
+ * 构造代理参数
+ * @param isOversea
+ * @param proxyAddr
+ * @returns {string[]}
+ */
+function constructProxyParam(isOversea, proxyAddr) {
+    return isOversea || !proxyAddr ? [] : ["--proxy", proxyAddr];
+}
 
 /**
  * 执行 TDL 进行下载
@@ -11,24 +21,14 @@ import path from 'path'
  * @returns {Promise<string>}
  */
 export async function startTDL(url, curPath, isOversea, proxyAddr, videoDownloadConcurrency = 1) {
-    return new Promise((resolve, reject) => {
-        curPath = path.resolve(curPath);
-        const proxyStr = isOversea ? `` : `--proxy ${ proxyAddr }`;
-        const concurrencyStr = videoDownloadConcurrency > 1 ? `-t ${ videoDownloadConcurrency } -l ${ videoDownloadConcurrency }` : '';
-        const command = `tdl dl -u ${ url } -d ${ curPath } ${ concurrencyStr } ${ proxyStr }`
-        logger.mark(`[R插件][TDL] ${ command }`);
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                reject(`[R插件][TDL]执行出错: ${ error.message }`);
-                return;
-            }
-            if (stderr) {
-                reject(`[R插件][TDL]错误信息: ${ stderr }`);
-                return;
-            }
-            resolve(stdout);
-        })
-    })
+    curPath = path.resolve(curPath);
+    const concurrencyParam = videoDownloadConcurrency > 1 ? ["-t", videoDownloadConcurrency, "-l", videoDownloadConcurrency] : [];
+    const { stdout } = await runProcess("tdl", [
+        "dl", "-u", assertSafeUrl(url), "-d", curPath,
+        ...concurrencyParam,
+        ...constructProxyParam(isOversea, proxyAddr),
+    ], { tag: "TDL" });
+    return stdout;
 }
 
 /**
@@ -36,24 +36,14 @@ export async function startTDL(url, curPath, isOversea, proxyAddr, videoDownload
  * @param url
  * @param isOversea
  * @param proxyAddr
- * @returns {Promise<unknown>}
+ * @returns {Promise<string>}
  */
 export async function saveTDL(url, isOversea, proxyAddr) {
-    return new Promise((resolve, reject) => {
-        const proxyStr = isOversea ? `` : `--proxy ${ proxyAddr }`;
-        const command = `tdl forward --from ${ url } ${ proxyStr }`
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                reject(`[R插件][TDL保存]执行出错: ${ error.message }`);
-                return;
-            }
-            if (stderr) {
-                reject(`[R插件][TDL保存]错误信息: ${ stderr }`);
-                return;
-            }
-            resolve(stdout);
-        })
-    })
+    const { stdout } = await runProcess("tdl", [
+        "forward", "--from", assertSafeUrl(url),
+        ...constructProxyParam(isOversea, proxyAddr),
+    ], { tag: "TDL保存" });
+    return stdout;
 }
 
 /**
@@ -61,22 +51,12 @@ export async function saveTDL(url, isOversea, proxyAddr) {
  * @param filePath
  * @param isOversea
  * @param proxyAddr
- * @returns {Promise<void>}
+ * @returns {Promise<string>}
  */
 export async function uploadTDL(filePath, isOversea, proxyAddr) {
-    return new Promise((resolve, reject) => {
-        const proxyStr = isOversea ? `` : `--proxy ${ proxyAddr }`;
-        const command = `tdl up -p ${ filePath } ${ proxyStr }`;
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                reject(`[R插件][TDL上传]执行出错: ${ error.message }`);
-                return;
-            }
-            if (stderr) {
-                reject(`[R插件][TDL上传]错误信息: ${ stderr }`);
-                return;
-            }
-            resolve(stdout);
-        })
-    })
+    const { stdout } = await runProcess("tdl", [
+        "up", "-p", path.resolve(filePath),
+        ...constructProxyParam(isOversea, proxyAddr),
+    ], { tag: "TDL上传" });
+    return stdout;
 }
@@ -2,6 +2,13 @@ import { tencentTransMap } from "../constants/constant.js";
 import fetch from "node-fetch";
 import _ from 'lodash'
 import config from "../model/config.js";
+import { createLogger } from "./plugin-logger.js";
+
+const tencentLog = createLogger("企鹅翻译");
+const deeplLog = createLogger("Deepl翻译");
+const geminiLog = createLogger("GoogelAI翻译");
+const openaiLog = createLogger("OpenAI翻译");
+const transLog = createLogger("翻译策略");
 
 // 定义翻译策略接口
 export class TranslateStrategy {
@@ -42,7 +49,7 @@ export class TencentTranslateStrategy extends TranslateStrategy {
             const data = await response.json();
             return data.header.ret_code === 'succ' ? data.language : "en";
         } catch (error) {
-            logger.error("Error detecting language:", error);
+            tencentLog.error("Error detecting language:", error);
             return "en";
         }
     }
@@ -73,7 +80,7 @@ export class TencentTranslateStrategy extends TranslateStrategy {
             const data = await response.json();
             return data.header.ret_code === 'succ' ? data.auto_translation?.[1] : "翻译失败";
         } catch (error) {
-            logger.error("Error translating text:", error);
+            tencentLog.error("Error translating text:", error);
             return "翻译失败";
         }
     }
@@ -89,10 +96,10 @@ export class DeeplTranslateStrategy extends TranslateStrategy {
 
     async translate(query, targetLanguage) {
         const url = this.deeplUrls[Math.floor(Math.random() * this.deeplUrls.length)];
-        logger.info(`[R插件][Deepl翻译]：当前使用的API：${url}`);
+        deeplLog.info(`当前使用的API：${url}`);
         try {
             const source_lang = await new TencentTranslateStrategy(this.config).detectLanguage(query);
-            logger.info(`[R插件][Deepl翻译]：检测到的源语言：${source_lang}`);
+            deeplLog.info(`检测到的源语言：${source_lang}`);
             const response = await fetch(url, {
                 method: "POST",
                 headers: {
@@ -109,7 +116,7 @@ export class DeeplTranslateStrategy extends TranslateStrategy {
             const data = await response.json();
             return data.data;
         } catch (error) {
-            logger.error("Error translating text:", error);
+            deeplLog.error("Error translating text:", error);
             return "翻译失败";
         }
     }
@@ -146,9 +153,8 @@ export class GeminiOpenAITranslateStrategy extends TranslateStrategy {
         if (this.baseURL === this.geminiURL) {
             // 使用GoogelAI API
             const fullUrl = `${this.geminiURL}/v1beta/models/${this.currentModel}:generateContent`;
-            logger.info(`[R插件][GoogelAI翻译]：完整的GoogelAI URL: ${fullUrl}`);
-            logger.info(`[R插件][GoogelAI翻译]：使用的GoogelAI模型: ${this.currentModel}`);
-            logger.info(`[R插件][GoogelAI翻译]：使用的GoogelAI密钥: ${this.apiKey.substring(0, 5)}...${this.apiKey.substring(this.apiKey.length - 5)}`);
+            geminiLog.info(`完整的GoogelAI URL: ${fullUrl}`);
+            geminiLog.info(`使用的GoogelAI模型: ${this.currentModel}`);
 
             try {
                 const response = await fetch(fullUrl, {
@@ -184,16 +190,15 @@ export class GeminiOpenAITranslateStrategy extends TranslateStrategy {
                 }
 
                 aiContent = responseData.candidates[0].content.parts[0].text;
-                logger.info(`[R插件][GoogelAI翻译]：请求成功`);
+                geminiLog.info(`请求成功`);
             } catch (error) {
-                logger.error(`[R插件][GoogelAI翻译]：错误: ${error.message}`);
+                geminiLog.error(`错误: ${error.message}`);
                 return "翻译失败";
             }
         } else {
             // 使用OpenAI API
-            logger.info(`[R插件][OpenAI翻译]：完整的OpenAI URL: ${this.baseURL}/v1/chat/completions`);
-            logger.info(`[R插件][OpenAI翻译]：使用的OpenAI模型: ${this.currentModel}`);
-            logger.info(`[R插件][OpenAI翻译]：使用的OpenAI密钥: ${this.apiKey.substring(0, 5)}...${this.apiKey.substring(this.apiKey.length - 5)}`);
+            openaiLog.info(`完整的OpenAI URL: ${this.baseURL}/v1/chat/completions`);
+            openaiLog.info(`使用的OpenAI模型: ${this.currentModel}`);
 
             try {
                 const completion = await fetch(this.baseURL + "/v1/chat/completions", {
@@ -224,9 +229,9 @@ export class GeminiOpenAITranslateStrategy extends TranslateStrategy {
                 }
 
                 aiContent = responseData.choices[0].message.content;
-                logger.info(`[R插件][OpenAI翻译]：请求成功`);
+                openaiLog.info(`请求成功`);
             } catch (error) {
-                logger.error(`[R插件][OpenAI翻译]：错误: ${error.message}`);
+                openaiLog.error(`错误: ${error.message}`);
                 return "翻译失败";
             }
         }
@@ -244,14 +249,14 @@ export class Translate {
     selectStrategy() {
         // 首先检查 XAI 翻译（最高优先级）
         if (!_.isEmpty(this.config.xaiBaseURL) && !_.isEmpty(this.config.xaiApiKey)) {
-            logger.info("[R插件][翻译策略]：当前选择 XAI 翻译");
+            transLog.info("当前选择 XAI 翻译");
             return new GeminiOpenAITranslateStrategy(this.config);
         }
     
         // 检查 Deepl 翻译（当 xaiBaseURL 和 xaiApiKey 都为空时）
         if (_.isEmpty(this.config.xaiBaseURL) && _.isEmpty(this.config.xaiApiKey)) {
             if (!_.isEmpty(this.config.deeplApiUrls)) {
-                logger.info("[R插件][翻译策略]：当前选择 Deepl翻译");
+                transLog.info("当前选择 Deepl翻译");
                 return new DeeplTranslateStrategy(this.config);
             }
         }
@@ -259,13 +264,13 @@ export class Translate {
         // 只有在 xaiBaseURL 为空时，选择 OpenAI/Gemini 翻译
         if (_.isEmpty(this.config.xaiBaseURL)) {
             if (!_.isEmpty(this.config.aiBaseURL) && !_.isEmpty(this.config.aiApiKey)) {
-                logger.info("[R插件][翻译策略]：当前选择 OpenAI/Gemini 翻译");
+                transLog.info("当前选择 OpenAI/Gemini 翻译");
                 return new GeminiOpenAITranslateStrategy(this.config);
             }
         }
     
         // 最后使用企鹅翻译
-        logger.info("[R插件][翻译策略]：当前选择 企鹅翻译");
+        transLog.info("当前选择 企鹅翻译");
         return new TencentTranslateStrategy(this.config);
     }               
 
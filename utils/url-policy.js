@@ -0,0 +1,298 @@
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import fetch from "node-fetch";
+import { COMMON_USER_AGENT, RESOLVE_ERROR_TYPE } from "../constants/constant.js";
+import { ResolveError } from "./resolve-error.js";
+
+/**
+ * 允许访问的协议
+ * @type {string[]}
+ */
+const ALLOWED_PROTOCOLS = ["http:", "https:"];
+
+/**
+ * 最多跟随的跳转次数
+ * @type {number}
+ */
+export const MAX_REDIRECTS = 5;
+
+/**
+ * 默认的请求超时时间
+ * @type {number}
+ */
+const FETCH_TIMEOUT = 15 * 1000;
+
+/**
+ * 默认的响应大小上限（字节）
+ * @type {number}
+ */
+const MAX_RESPONSE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * 网页总结允许的内容类型，图片、视频、压缩包等不交给大模型
+ * @type {string[]}
+ */
+export const TEXT_CONTENT_TYPES = [
+    "text/html",
+    "text/plain",
+    "text/markdown",
+    "text/xml",
+    "application/xhtml+xml",
+    "application/xml",
+    "application/json",
+    "application/pdf",
+];
+
+/**
+ * 不允许访问的主机名，例如 localhost 和内网常用的后缀
+ * @type {RegExp}
+ */
+const BLOCKED_HOSTNAME = /(^|\.)(localhost|local|internal|intranet|lan|home\.arpa)$/i;
+
+/**
+ * 不允许访问的 IP 段：本机、内网、链路本地、运营商 NAT、组播和保留地址
+ * @type {net.BlockList}
+ */
+const BLOCKED_IPS = new net.BlockList();
+for (const [address, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) {
+    BLOCKED_IPS.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+    // ::/96 是已废弃的 IPv4 兼容地址，::ffff:0:0:0/96 是 IPv4 转换地址，都可能指向内网的 IPv4
+    ["::", 96], ["::ffff:0:0:0", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8], ["64:ff9b::", 96], ["2001:db8::", 32],
+]) {
+    BLOCKED_IPS.addSubnet(address, prefix, "ipv6");
+}
+
+/**
+ * 访问被拒绝时的错误码，连接阶段的 DNS 检查通过它传递给 safeFetch 和 HTTP 客户端
+ * @type {string}
+ */
+export const URL_POLICY_CODE = "ERR_URL_POLICY";
+
+/**
+ * 判断 IP 是否是内网、本机等不允许访问的地址
+ * @param address IPv4 或 IPv6 地址
+ * @returns {boolean}
+ */
+export function isBlockedIp(address) {
+    const family = net.isIP(address);
+    if (family === 0) {
+        return false;
+    }
+    // IPv4 映射的 IPv6 地址，例如 ::ffff:127.0.0.1
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)?.[1];
+    if (mapped) {
+        return BLOCKED_IPS.check(mapped, "ipv4");
+    }
+    return BLOCKED_IPS.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * 生成访问被拒绝的错误
+ * @param detail
+ * @returns {Error}
+ */
+function policyError(detail) {
+    const err = new Error(detail);
+    err.code = URL_POLICY_CODE;
+    return err;
+}
+
+/**
+ * 检查链接本身：协议、账号密码、主机名和直接写在链接中的 IP，不访问网络
+ * 主机名解析出的 IP 在建立连接时由 safeLookup 检查，防止 DNS 重绑定
+ * @param link
+ * @returns {URL}
+ * @throws {ResolveError} 不允许访问时抛出 INVALID_LINK
+ */
+export function assertPublicUrl(link) {
+    let url;
+    try {
+        url = new URL(String(link ?? "").trim());
+    } catch {
+        throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "链接格式不正确");
+    }
+    if (!ALLOWED_PROTOCOLS.includes(url.protocol)) {
+        throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, `不支持 ${ url.protocol } 协议`);
+    }
+    if (url.username || url.password) {
+        throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "链接中不能包含账号密码");
+    }
+    const hostname = url.hostname.replace(/^\[|\]$/g, "");
+    if (BLOCKED_HOSTNAME.test(hostname) || isBlockedIp(hostname)) {
+        throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "不允许访问本机或内网地址");
+    }
+    return url;
+}
+
+/**
+ * 建立连接时使用的 DNS 查询：解析出的任意一个地址是内网地址就拒绝连接
+ * 参数和 dns.lookup 一致，可以直接传给 http.Agent
+ * @param hostname
+ * @param options
+ * @param callback
+ */
+export function safeLookup(hostname, options, callback) {
+    if (typeof options === "function") {
+        callback = options;
+        options = {};
+    }
+    const lookupOptions = typeof options === "number" ? { family: options } : { ...options };
+    dns.lookup(hostname, { ...lookupOptions, all: true }, (err, addresses) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        const blocked = addresses.find(item => isBlockedIp(item.address));
+        if (blocked) {
+            callback(policyError(`${ hostname } 解析到了内网地址 ${ blocked.address }`));
+            return;
+        }
+        if (lookupOptions.all) {
+            callback(null, addresses);
+            return;
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * 检查主机名解析出的 IP，用于交给 aria2、axel 等外部工具的链接
+ * 外部工具会自己再解析一次 DNS，这里只能在启动前检查，直接请求时用 getSafeAgent 在连接阶段检查
+ * @param link
+ * @returns {Promise<string>} 检查通过的链接
+ * @throws {ResolveError} 不允许访问时抛出 INVALID_LINK
+ */
+export async function assertPublicHost(link) {
+    const url = assertPublicUrl(link);
+    const hostname = url.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(hostname) === 0) {
+        try {
+            await new Promise((resolve, reject) => safeLookup(hostname, { all: true }, err => err ? reject(err) : resolve()));
+        } catch (err) {
+            if (err.code === URL_POLICY_CODE) {
+                throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "不允许访问本机或内网地址", { cause: err });
+            }
+            throw err;
+        }
+    }
+    return url.href;
+}
+
+const safeHttpAgent = new http.Agent({ lookup: safeLookup });
+const safeHttpsAgent = new https.Agent({ lookup: safeLookup });
+
+/**
+ * node-fetch 的 agent 参数：按协议使用检查 DNS 的 Agent
+ * @param url {URL}
+ * @returns {http.Agent}
+ */
+export function getSafeAgent(url) {
+    return url.protocol === "http:" ? safeHttpAgent : safeHttpsAgent;
+}
+
+/**
+ * 读取响应内容，Content-Length 或者实际读取的大小超过上限时中断
+ * @param resp    node-fetch 的响应
+ * @param maxSize 响应大小上限（字节）
+ * @returns {Promise<Buffer>}
+ * @throws {ResolveError} 内容过大时抛出 OVER_LIMIT
+ */
+export async function readLimitedBody(resp, maxSize = MAX_RESPONSE_SIZE) {
+    if (Number(resp.headers.get("content-length")) > maxSize) {
+        resp.body?.destroy();
+        throw new ResolveError(RESOLVE_ERROR_TYPE.OVER_LIMIT, `内容超过 ${ Math.round(maxSize / 1024 / 1024) }MB`);
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of resp.body) {
+        size += chunk.length;
+        if (size > maxSize) {
+            resp.body.destroy();
+            throw new ResolveError(RESOLVE_ERROR_TYPE.OVER_LIMIT, `内容超过 ${ Math.round(maxSize / 1024 / 1024) }MB`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * 按访问策略请求用户提供的链接：每一跳都检查链接和 DNS，限制跳转次数、响应大小和内容类型
+ * @param link
+ * @param options
+ * @param options.method       请求方法
+ * @param options.headers      请求头
+ * @param options.timeout      超时时间（毫秒）
+ * @param options.maxRedirects 最多跟随的跳转次数
+ * @param options.maxSize      响应大小上限（字节）
+ * @param options.contentTypes 允许的内容类型，不传时不检查
+ * @param options.readBody     是否读取响应内容，只检查链接时可以不读取
+ * @returns {Promise<{url: string, status: number, contentType: string, body: Buffer|undefined}>}
+ * @throws {ResolveError} 不允许访问时抛出 INVALID_LINK，内容过大时抛出 OVER_LIMIT，超时抛出 NETWORK
+ * @example
+ * const { url, body } = await safeFetch("https://sspai.com/post/1", { contentTypes: TEXT_CONTENT_TYPES });
+ */
+export async function safeFetch(link, {
+    method = "GET",
+    headers = {},
+    timeout = FETCH_TIMEOUT,
+    maxRedirects = MAX_REDIRECTS,
+    maxSize = MAX_RESPONSE_SIZE,
+    contentTypes,
+    readBody = true,
+} = {}) {
+    const signal = AbortSignal.timeout(timeout);
+    let url = assertPublicUrl(link);
+    for (let hop = 0; ; hop++) {
+        let resp;
+        try {
+            resp = await fetch(url.href, {
+                method,
+                headers: { "User-Agent": COMMON_USER_AGENT, ...headers },
+                redirect: "manual",
+                agent: getSafeAgent,
+                signal,
+            });
+        } catch (err) {
+            if (err.code === URL_POLICY_CODE) {
+                throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, "不允许访问本机或内网地址", { cause: err });
+            }
+            if (signal.aborted) {
+                throw new ResolveError(RESOLVE_ERROR_TYPE.NETWORK, "请求超时", { cause: err });
+            }
+            throw err;
+        }
+
+        const location = resp.headers.get("location");
+        if (resp.status >= 300 && resp.status < 400 && location) {
+            resp.body?.resume();
+            if (hop >= maxRedirects) {
+                throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, `跳转超过 ${ maxRedirects } 次`);
+            }
+            url = assertPublicUrl(new URL(location, url).href);
+            continue;
+        }
+
+        const contentType = (resp.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+        if (contentTypes && !contentTypes.includes(contentType)) {
+            resp.body?.destroy();
+            throw new ResolveError(RESOLVE_ERROR_TYPE.INVALID_LINK, `不支持的内容类型：${ contentType || "未知" }`);
+        }
+        const length = Number(resp.headers.get("content-length"));
+        if (length > maxSize) {
+            resp.body?.destroy();
+            throw new ResolveError(RESOLVE_ERROR_TYPE.OVER_LIMIT, `内容超过 ${ Math.round(maxSize / 1024 / 1024) }MB`);
+        }
+        if (!readBody) {
+            resp.body?.destroy();
+            return { url: url.href, status: resp.status, contentType, body: undefined };
+        }
+        return { url: url.href, status: resp.status, contentType, body: await readLimitedBody(resp, maxSize) };
+    }
+}
@@ -16,19 +16,6 @@ export function ytbFormatTime(seconds) {
     return `00:00:00-${formattedHours}:${formattedMinutes}:${formattedSeconds}`;
 }
 
-/**
- * 移除链接中的不需要的参数
- * @param url
- * @returns {*}
- */
-export function removeParams(url) {
-    return url
-        .replace(/&list=[^&]*/g, '')
-        .replace(/&start_radio=[^&]*/g, '')
-        .replace(/&index=[^&]*/g, '')
-        .replace(/&si=[^&]*/g, '');
-}
-
 export function convertToSeconds(timeStr) {
     const parts = timeStr.split(':').map(Number);
     if (parts.length === 2) {
@@ -1,13 +1,22 @@
-import { exec } from "child_process";
+import { createLogger } from "./plugin-logger.js";
+import { assertSafeUrl, runProcess } from "./process-runner.js";
+
+const ytDlpLog = createLogger("yt-dlp审计");
+
+/**
+ * 只获取信息（标题、时长、元数据）的超时时间
+ * @type {number}
+ */
+const YT_DLP_INFO_TIMEOUT = 2 * 60 * 1000;
 
 /**
  * 构建梯子参数
  * @param isOversea
  * @param proxy
- * @returns {string|string}
+ * @returns {string[]}
  */
 function constructProxyParam(isOversea, proxy) {
-    return isOversea ? "" : `--proxy ${proxy}`;
+    return isOversea || !proxy ? [] : ["--proxy", proxy];
 }
 
 /**
@@ -15,19 +24,30 @@ function constructProxyParam(isOversea, proxy) {
  * 目前只支持YouTube构造cookie，否则就必须修改`url.includes("youtu")`
  * @param url
  * @param cookiePath
- * @returns {string}
+ * @returns {string[]}
  */
 function constructCookiePath(url, cookiePath) {
-    return (cookiePath !== "" && url.includes("youtu")) ? `--cookies ${ cookiePath }` : "";
+    return (cookiePath && url.includes("youtu")) ? ["--cookies", cookiePath] : [];
 }
 
 /**
  * yt-dlp获取标题的时候可能需要的一个编码参数，也在一定程度上解决部分window系统乱码问题
  * @param url
- * @returns {string}
+ * @returns {string[]}
  */
 function constructEncodingParam(url) {
-    return "--encoding UTF-8"; // 始终为标题获取使用 UTF-8 编码
+    return ["--encoding", "UTF-8"]; // 始终为标题获取使用 UTF-8 编码
+}
+
+/**
+ * 执行 yt-dlp，链接放在 -- 之后，不会被当成参数
+ * @param args    参数数组（不含链接）
+ * @param url     链接
+ * @param options 见 runProcess
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+function runYtDlp(args, url, options = {}) {
+    return runProcess("yt-dlp", [...args, "--", assertSafeUrl(url)], { tag: "yt-dlp", ...options });
 }
 
 
@@ -39,20 +59,13 @@ function constructEncodingParam(url) {
  * @param cookiePath
  * @returns string
  */
-export function ytDlpGetDuration(url, isOversea, proxy, cookiePath = "") {
-    return new Promise((resolve, reject) => {
-        // 构造 cookie 参数
-        const cookieParam = constructCookiePath(url, cookiePath);
-        const command = `yt-dlp --get-duration --skip-download ${cookieParam} ${constructProxyParam(isOversea, proxy)} "${url}"`;
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                logger.error(`[R插件][yt-dlp审计] Error executing ytDlpGetDuration: ${error}. Stderr: ${stderr}`);
-                reject(error);
-            } else {
-                resolve(stdout.trim());
-            }
-        });
-    });
+export async function ytDlpGetDuration(url, isOversea, proxy, cookiePath = "") {
+    const { stdout } = await runYtDlp([
+        "--get-duration", "--skip-download",
+        ...constructCookiePath(url, cookiePath),
+        ...constructProxyParam(isOversea, proxy),
+    ], url, { timeout: YT_DLP_INFO_TIMEOUT });
+    return stdout.trim();
 }
 
 /**
@@ -63,22 +76,14 @@ export function ytDlpGetDuration(url, isOversea, proxy, cookiePath = "") {
  * @param cookiePath
  * @returns string
  */
-export function ytDlpGetTilt(url, isOversea, proxy, cookiePath = "") {
-    return new Promise((resolve, reject) => {
-        // 构造 cookie 参数
-        const cookieParam = constructCookiePath(url, cookiePath);
-        // 构造 编码 参数
-        const encodingParam = constructEncodingParam(url);
-        const command = `yt-dlp --get-title --skip-download ${cookieParam} ${ constructProxyParam(isOversea, proxy) } "${url}" ${encodingParam}`;
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                logger.error(`[R插件][yt-dlp审计] Error executing ytDlpGetTilt: ${error}. Stderr: ${stderr}`);
-                reject(error);
-            } else {
-                resolve(stdout.trim());
-            }
-        });
-    });
+export async function ytDlpGetTilt(url, isOversea, proxy, cookiePath = "") {
+    const { stdout } = await runYtDlp([
+        "--get-title", "--skip-download",
+        ...constructCookiePath(url, cookiePath),
+        ...constructProxyParam(isOversea, proxy),
+        ...constructEncodingParam(url),
+    ], url, { timeout: YT_DLP_INFO_TIMEOUT });
+    return stdout.trim();
 }
 
 /**
@@ -90,39 +95,106 @@ export function ytDlpGetTilt(url, isOversea, proxy, cookiePath = "") {
  * @param cookiePath
  * @param thumbnailFilenamePrefix 缩略图文件名前缀 (不含扩展名)
  */
-export function ytDlpGetThumbnail(path, url, isOversea, proxy, cookiePath = "", thumbnailFilenamePrefix = "thumbnail") {
-    return new Promise((resolve, reject) => {
-        const cookieParam = constructCookiePath(url, cookiePath);
-        const finalThumbnailName = thumbnailFilenamePrefix || "thumbnail";
-        const command = `yt-dlp --write-thumbnail --convert-thumbnails png --skip-download ${cookieParam} ${constructProxyParam(isOversea, proxy)} "${url}" -P "${path}" -o "${finalThumbnailName}.%(ext)s"`;
+export async function ytDlpGetThumbnail(path, url, isOversea, proxy, cookiePath = "", thumbnailFilenamePrefix = "thumbnail") {
+    const finalThumbnailName = thumbnailFilenamePrefix || "thumbnail";
+    const { stdout } = await runYtDlp([
+        "--write-thumbnail", "--convert-thumbnails", "png", "--skip-download",
+        ...constructCookiePath(url, cookiePath),
+        ...constructProxyParam(isOversea, proxy),
+        "-P", path,
+        "-o", `${ finalThumbnailName }.%(ext)s`,
+    ], url, { timeout: YT_DLP_INFO_TIMEOUT });
+    // 从yt-dlp的输出中提取文件名
+    const match = stdout.match(/Writing thumbnail to: (.*)/);
+    if (match && match[1]) {
+        const thumbnailPath = match[1].trim();
+        // 只返回文件名部分
+        const thumbnailFilename = thumbnailPath.split(/[\\/]/).pop();
+        ytDlpLog.info(`Thumbnail downloaded: ${thumbnailFilename}`);
+        return thumbnailFilename;
+    }
+    // 兜底方案：如果无法从输出中解析，则按原逻辑拼接
+    ytDlpLog.warn("Could not parse thumbnail filename from stdout. Falling back to default.");
+    // 尝试查找文件，因为yt-dlp可能没有输出我们期望的格式
+    return `${finalThumbnailName}.png`;
+}
 
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                logger.error(`[R插件][yt-dlp审计] Error executing ytDlpGetThumbnail: ${error}. Stderr: ${stderr}`);
-                return reject(error);
-            }
-            // 从yt-dlp的输出中提取文件名
-            const match = stdout.match(/Writing thumbnail to: (.*)/);
-            if (match && match[1]) {
-                const thumbnailPath = match[1].trim();
-                // 只返回文件名部分
-                const thumbnailFilename = thumbnailPath.split(/[\\/]/).pop();
-                logger.info(`[R插件][yt-dlp审计] Thumbnail downloaded: ${thumbnailFilename}`);
-                resolve(thumbnailFilename);
-            } else {
-                // 兜底方案：如果无法从输出中解析，则按原逻辑拼接
-                logger.warn("[R插件][yt-dlp审计] Could not parse thumbnail filename from stdout. Falling back to default.");
-                // 尝试查找文件，因为yt-dlp可能没有输出我们期望的格式
-                const expectedPngPath = `${finalThumbnailName}.png`;
-                resolve(expectedPngPath);
-            }
-        });
+/**
+ * 获取完整的元数据（yt-dlp -J），只取单个视频，不展开播放列表
+ * @param url
+ * @param isOversea
+ * @param proxy
+ * @param cookiePath
+ * @returns {Promise<Object>} 常用字段：id、title、uploader、duration、thumbnail、filesize_approx、vcodec、extractor_key
+ */
+export async function ytDlpGetInfo(url, isOversea, proxy, cookiePath = "") {
+    const { stdout } = await runYtDlp([
+        "-J", "--no-playlist",
+        ...constructCookiePath(url, cookiePath),
+        ...constructProxyParam(isOversea, proxy),
+        ...constructEncodingParam(url),
+    ], url, {
+        timeout: YT_DLP_INFO_TIMEOUT,
+        // 元数据中包含全部格式，可能有几 MB
+        maxBuffer: 64 * 1024 * 1024,
     });
+    return JSON.parse(stdout);
+}
+
+/**
+ * 通用下载：视频统一封装为 mp4，音频转为 mp3，不带 YouTube 的画质和截取参数
+ * @param path           下载路径
+ * @param url            下载链接
+ * @param isOversea      是否是海外用户
+ * @param proxy          代理地址
+ * @param maxThreads     最大并发
+ * @param outputFilename 输出文件名 (不含扩展名)
+ * @param cookiePath     Cookie所在位置，和 ytDlpGetInfo 相同
+ * @param audio          是否只下载音频
+ * @returns {Promise<string>} 下载后的文件路径
+ */
+export async function ytDlpDownload(path, url, { isOversea, proxy, maxThreads, outputFilename, cookiePath = "", audio = false }) {
+    const ext = audio ? "mp3" : "mp4";
+    const formatParam = audio
+        ? ["-x", "--audio-format", "mp3", "-f", "ba/b"]
+        : ["-N", maxThreads, "--concurrent-fragments", maxThreads, "-f", "bv*[ext=mp4]+ba[ext=m4a]/b[ext=mp4]/bv*+ba/b", "--merge-output-format", "mp4", "--remux-video", "mp4"];
+    await runYtDlp([
+        "--no-playlist", "--newline",
+        ...formatParam,
+        ...constructCookiePath(url, cookiePath),
+        ...constructProxyParam(isOversea, proxy),
+        "-P", path,
+        "-o", `${outputFilename}.%(ext)s`,
+    ], url);
+    return `${path}/${outputFilename}.${ext}`;
+}
+
+/**
+ * 构造 ytDlpHelper 的参数（不含链接），参数含义见 ytDlpHelper
+ * @returns {string[]}
+ * @example
+ * constructHelperArgs({ path: "/tmp", url: "https://www.youtube.com/watch?v=xxx", maxThreads: 1, outputFilename: "a", audio: true });
+ * // ["--newline", "-x", "--audio-format", "flac", "-f", "ba", "-P", "/tmp", "-o", "a.flac"]
+ */
+export function constructHelperArgs({ path, url, isOversea, proxy, maxThreads, outputFilename, graphics, timeRange, cookiePath = "", audio = false }) {
+    // 构造 cookie 参数
+    const cookieParam = constructCookiePath(url, cookiePath);
+    // 确保 outputFilename 不为空，提供一个默认值以防万一
+    const finalOutputFilename = outputFilename || "temp_download";
+
+    if (audio) {
+        // 只要音频：YouTube Music 或者 #解析 音频
+        // e.g yt-dlp -x --audio-format mp3 https://youtu.be/5wEtefq9VzM -o test.mp3
+        return ["--newline", "-x", "--audio-format", "flac", "-f", "ba", ...cookieParam, ...constructProxyParam(isOversea, proxy), "-P", path, "-o", `${finalOutputFilename}.flac`];
+    }
+    // 正常情况下的处理逻辑
+    const fParam = url.includes("youtu") ? ["--download-sections", `*${timeRange}`, "-f", `bv${graphics}[ext=mp4]+ba[ext=m4a]`] : [];
+    return ["--newline", "-N", maxThreads, ...fParam, "--concurrent-fragments", maxThreads, ...cookieParam, ...constructProxyParam(isOversea, proxy), "-P", path, "-o", `${finalOutputFilename}.%(ext)s`];
 }
 
 /**
  * yt-dlp 工具类
- * @returns {Promise<void>}
+ * @returns {Promise<string>}
  * @param path       下载路径
  * @param url        下载链接
  * @param isOversea  是否是海外用户
@@ -133,35 +205,10 @@ export function ytDlpGetThumbnail(path, url, isOversea, proxy, cookiePath = "",
  * @param maxThreads 最大并发
  * @param outputFilename 输出文件名 (不含扩展名)
  * @param cookiePath Cookie所在位置
+ * @param audio      是否只下载音频，下载为 outputFilename.flac
  */
-export async function ytDlpHelper(path, url, isOversea, proxy, maxThreads, outputFilename, merge = false, graphics, timeRange, cookiePath = "") {
-    return new Promise((resolve, reject) => {
-        let command = "";
-        // 构造 cookie 参数
-        const cookieParam = constructCookiePath(url, cookiePath);
-        // 确保 outputFilename 不为空，提供一个默认值以防万一
-        const finalOutputFilename = outputFilename || "temp_download";
-
-        if (url.includes("music")) {
-            // 这里是 YouTube Music的处理逻辑
-            // e.g yt-dlp -x --audio-format mp3 https://youtu.be/5wEtefq9VzM -o test.mp3
-            command = `yt-dlp -x --audio-format flac -f ba ${cookieParam} ${constructProxyParam(isOversea, proxy)} -P "${path}" -o "${finalOutputFilename}.flac" "${url}"`;
-        } else {
-            // 正常情况下的处理逻辑
-            const fParam = url.includes("youtu") ? `--download-sections "*${timeRange}" -f "bv${graphics}[ext=mp4]+ba[ext=m4a]" ` : "";
-
-            command = `yt-dlp -N ${maxThreads} ${fParam} --concurrent-fragments ${maxThreads} ${cookieParam} ${constructProxyParam(isOversea, proxy)} -P "${path}" -o "${finalOutputFilename}.%(ext)s" "${url}"`;
-        }
-
-        logger.info(`[R插件][yt-dlp审计] ${command}`);
-
-        exec(command, (error, stdout) => {
-            if (error) {
-                logger.error(`[R插件][yt-dlp审计] 执行命令时出错: ${error}`);
-                reject(error);
-            } else {
-                resolve(stdout);
-            }
-        });
-    });
+export async function ytDlpHelper(path, url, isOversea, proxy, maxThreads, outputFilename, merge = false, graphics, timeRange, cookiePath = "", audio = false) {
+    const args = constructHelperArgs({ path, url, isOversea, proxy, maxThreads, outputFilename, graphics, timeRange, cookiePath, audio });
+    const { stdout } = await runYtDlp(args, url);
+    return stdout;
 }
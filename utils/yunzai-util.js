@@ -113,14 +113,19 @@ export async function getGroupFileUrl(e, count = 10) {
 }
 
 /**
- * 获取群回复
+ * 获取引用的消息，群聊和私聊都可以使用
  * @param e
  */
 export async function getReplyMsg(e) {
-    const msgList = await e.bot.sendApi("get_group_msg_history", {
-        "group_id": e.group_id,
-        "count": 1
-    });
+    const msgList = e.isGroup
+        ? await e.bot.sendApi("get_group_msg_history", {
+            "group_id": e.group_id,
+            "count": 1
+        })
+        : await e.bot.sendApi("get_friend_msg_history", {
+            "user_id": e.user_id,
+            "count": 1
+        });
     let msgId = msgList.data.messages[0]?.message[0]?.data.id
     let msg = await e.bot.sendApi("get_msg",{
         "message_id" : msgId
@@ -159,11 +164,21 @@ export async function getBotVersionInfo(e) {
  * 发送私聊消息
  * @param e
  * @param message
+ * @param userId  接收的QQ号，默认发给触发的人
  * @returns {Promise<void>}
  */
-export async function sendPrivateMsg(e, message) {
-    e.bot.sendApi("send_private_msg", {
-        user_id: e.user_id,
+export async function sendPrivateMsg(e, message, userId = e.user_id) {
+    return e.bot.sendApi("send_private_msg", {
+        user_id: userId,
         message: message,
     })
 }
+
+/**
+ * 获取当前会话的解析控制作用域，群聊按群号，私聊按用户
+ * @param e Yunzai 机器人事件
+ * @returns {string} 例如：group:123456 / private:654321
+ */
+export function getResolveScope(e) {
+    return e.group_id ? `group:${ e.group_id }` : `private:${ e.user_id }`;
+}